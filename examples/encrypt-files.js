@@ -0,0 +1,53 @@
+/**
+ * Encrypt Files Tool
+ * Encrypts plaintext token and credential files (HonFileTokenStore, HonAuthAdapter)
+ * and re-encrypts them when the encryption key is rotated
+ *
+ * Usage:
+ *   HON_ENCRYPTION_KEY=<key> node examples/encrypt-files.js <file> [file...]
+ *   HON_ENCRYPTION_KEY=<new key> HON_ENCRYPTION_KEY_PREVIOUS=<old key> node examples/encrypt-files.js --rotate <file> [file...]
+ */
+
+const { secureFile } = require('..');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const rotate = args.includes('--rotate');
+    const files = args.filter(arg => arg !== '--rotate');
+    const key = secureFile.getEncryptionKey();
+
+    if (files.length === 0 || !key) {
+        console.log('Usage: node examples/encrypt-files.js [--rotate] <file> [file...]');
+        console.log('Set HON_ENCRYPTION_KEY to the (new) encryption key');
+        console.log('With --rotate, set HON_ENCRYPTION_KEY_PREVIOUS to the old key(s), comma separated');
+        process.exit(1);
+    }
+
+    const previousKeys = secureFile.getPreviousEncryptionKeys();
+    if (rotate && previousKeys.length === 0) {
+        console.log('❌ --rotate needs HON_ENCRYPTION_KEY_PREVIOUS');
+        process.exit(1);
+    }
+
+    let failed = 0;
+    for (const file of files) {
+        try {
+            const changed = rotate
+                ? await secureFile.rotateFile(file, previousKeys, key)
+                : await secureFile.migrateFile(file, key);
+
+            if (changed) {
+                console.log(`✅ ${file}: ${rotate ? 're-encrypted with the new key' : 'encrypted'}`);
+            } else {
+                console.log(`ℹ️  ${file}: ${rotate ? 'already uses the new key' : 'already encrypted'}`);
+            }
+        } catch (error) {
+            console.log(`❌ ${file}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
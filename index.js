@@ -7,9 +7,16 @@
 const { HonAuth, HonLoginData, HonAuthData, Authenticator } = require('./lib/auth/authenticator');
 const HonDevice = require('./lib/auth/device');
 const Session = require('./lib/auth/session');
+const {
+  HonTokenStore,
+  HonMemoryTokenStore,
+  HonFileTokenStore,
+  HonEncryptedFileTokenStore
+} = require('./lib/auth/tokenStore');
 
 // API client classes
 const { HonAPI, ApiClient } = require('./lib/api/client');
+const HonAccountManager = require('./lib/api/accountManager');
 
 // Connection handlers
 const ConnectionHandler = require('./lib/api/handlers/base');
@@ -18,10 +25,23 @@ const HonConnectionHandler = require('./lib/api/handlers/hon');
 const HonAnonymousConnectionHandler = require('./lib/api/handlers/anonym');
 
 // Appliance management
-const { HonAppliance, HonAttribute, HonCommand, HonCommandLoader } = require('./lib/appliances');
+const { HonAppliance, HonAttribute, HonCommand, HonCommandLoader, HonCommandBuilder, HonCommandHistoryEntry, HonRule, HonRuleSet,
+  HonPresetStore, HonFilePresetStore, HonPresetManager } = require('./lib/appliances');
 
 // Appliance types
 const WashingMachine = require('./lib/appliances/types/wm');
+const TumbleDryer = require('./lib/appliances/types/td');
+const WasherDryer = require('./lib/appliances/types/wd');
+const Dishwasher = require('./lib/appliances/types/dw');
+const AirConditioner = require('./lib/appliances/types/ac');
+const Refrigerator = require('./lib/appliances/types/ref');
+const Oven = require('./lib/appliances/types/ov');
+const InductionHob = require('./lib/appliances/types/ih');
+const Hood = require('./lib/appliances/types/hood');
+const WineCellar = require('./lib/appliances/types/wc');
+const WaterHeater = require('./lib/appliances/types/wh');
+const Microwave = require('./lib/appliances/types/mw');
+const AirPurifier = require('./lib/appliances/types/apc');
 const ApplianceBase = require('./lib/appliances/types/base');
 
 // Parameter management
@@ -42,12 +62,16 @@ const diagnostics = require('./lib/diagnostics');
 // Utilities
 const constants = require('./lib/config/constants');
 const crypto = require('./lib/utils/crypto');
+const secureFile = require('./lib/utils/secureFile');
 const { 
   HonAuthenticationError,
   HonNoAuthenticationNeeded,
   NoSessionException,
   NoAuthenticationException,
-  ApiError
+  ApiError,
+  CommandValidationError,
+  CommandTimeoutError,
+  InvalidStateTransitionError
 } = require('./lib/utils/exceptions');
 
 // Main exports
@@ -55,8 +79,15 @@ module.exports = {
     // Primary authentication classes
     HonAuth,
     HonAPI,
+    HonAccountManager,
     HonDevice,
     
+    // Token stores
+    HonTokenStore,
+    HonMemoryTokenStore,
+    HonFileTokenStore,
+    HonEncryptedFileTokenStore,
+    
     // Data containers
     HonLoginData,
     HonAuthData,
@@ -72,9 +103,28 @@ module.exports = {
     HonAttribute,
     HonCommand,
     HonCommandLoader,
+    HonCommandBuilder,
+    HonCommandHistoryEntry,
+    HonRule,
+    HonRuleSet,
+    HonPresetStore,
+    HonFilePresetStore,
+    HonPresetManager,
     
     // Appliance types
     WashingMachine,
+    TumbleDryer,
+    WasherDryer,
+    Dishwasher,
+    AirConditioner,
+    Refrigerator,
+    Oven,
+    InductionHob,
+    Hood,
+    WineCellar,
+    WaterHeater,
+    Microwave,
+    AirPurifier,
     ApplianceBase,
     
     // Parameter management
@@ -93,6 +143,7 @@ module.exports = {
     // Utilities
     constants,
     crypto,
+    secureFile,
     
     // Exception classes (individual exports)
     HonAuthenticationError,
@@ -100,6 +151,9 @@ module.exports = {
     NoSessionException,
     NoAuthenticationException,
     ApiError,
+    CommandValidationError,
+    CommandTimeoutError,
+    InvalidStateTransitionError,
     
     // Legacy compatibility
     Authenticator,
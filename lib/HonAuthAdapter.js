@@ -1,15 +1,41 @@
 const HonProxy = require('./HonProxy');
-const fs = require('fs').promises;
+const { HonAuth } = require('./auth/authenticator');
+const HonDevice = require('./auth/device');
+const {
+    getEncryptionKey,
+    getPreviousEncryptionKeys,
+    writeJsonFile,
+    readSecureJson
+} = require('./utils/secureFile');
 
 /**
  * Adapter che integra HonProxy con JavahOn
  * Usa il login web tramite proxy invece di username/password diretto
+ * Le credenziali vengono cifrate (AES-256-GCM) se è disponibile una chiave,
+ * passata nelle opzioni o tramite la variabile d'ambiente HON_ENCRYPTION_KEY
+ * La sessione catturata viene scambiata con i token OAuth (idToken, refreshToken, cognitoToken)
+ * accettati da HonAuth.setTokens() e dai token store di HonAPI
  */
 class HonAuthAdapter {
+    /**
+     * @param {Object} [options={}] - Opzioni
+     * @param {string} [options.credentialsFile='./hon_credentials.json'] - File delle credenziali
+     * @param {number} [options.port=8888] - Porta del proxy
+     * @param {string} [options.encryptionKey] - Chiave di cifratura (default: HON_ENCRYPTION_KEY)
+     * @param {Array<string>} [options.previousEncryptionKeys] - Chiavi precedenti accettate in lettura
+     *   (si aggiungono quelle in HON_ENCRYPTION_KEY_PREVIOUS)
+     * @param {string} [options.mobileId] - Mobile ID del dispositivo registrato per il cognitoToken
+     *   (usare lo stesso di HonAPI)
+     * @param {boolean} [options.debug=false] - Log dettagliato dello scambio dei token
+     */
     constructor(options = {}) {
         this.proxy = null;
         this.credentialsFile = options.credentialsFile || './hon_credentials.json';
         this.port = options.port || 8888;
+        this.encryptionKey = getEncryptionKey(options.encryptionKey);
+        this.previousEncryptionKeys = getPreviousEncryptionKeys(options.previousEncryptionKeys || []);
+        this.mobileId = options.mobileId || '';
+        this.debug = options.debug || false;
     }
 
     /**
@@ -32,10 +58,7 @@ class HonAuthAdapter {
 
                 try {
                     // Salva le credenziali
-                    await fs.writeFile(
-                        this.credentialsFile,
-                        JSON.stringify(data, null, 2)
-                    );
+                    await this.saveCredentials(data);
                     console.log('[+] Credentials saved to:', this.credentialsFile);
 
                     // Ferma il proxy
@@ -61,43 +84,101 @@ class HonAuthAdapter {
         });
     }
 
+    /**
+     * Salva le credenziali, cifrate se è disponibile una chiave
+     * @param {Object} credentials - Credenziali catturate dal proxy
+     * @returns {Promise<void>}
+     */
+    async saveCredentials(credentials) {
+        await writeJsonFile(this.credentialsFile, credentials, this.encryptionKey);
+    }
+
     /**
      * Carica credenziali salvate
+     * Un file in chiaro, o cifrato con una chiave precedente, viene riscritto con la chiave attuale
+     * @returns {Promise<Object>} Credenziali
+     * @throws {Error} Se il file non esiste o non può essere decifrato
      */
     async loadCredentials() {
+        let result;
         try {
-            const data = await fs.readFile(this.credentialsFile, 'utf-8');
-            return JSON.parse(data);
+            result = await readSecureJson(this.credentialsFile, {
+                passphrase: this.encryptionKey,
+                previousPassphrases: this.previousEncryptionKeys
+            });
         } catch (error) {
+            throw new Error(`Credentials not readable: ${error.message}`);
+        }
+
+        if (!result) {
             throw new Error(`Credentials not found. Run webLogin() first.`);
         }
+
+        if (this.encryptionKey && (!result.encrypted || result.passphrase !== this.encryptionKey)) {
+            await this.saveCredentials(result.data);
+        }
+        return result.data;
+    }
+
+    /**
+     * Cifra di nuovo le credenziali salvate con una nuova chiave
+     * La chiave attuale resta accettata in lettura
+     * @param {string} newKey - Nuova chiave di cifratura
+     * @returns {Promise<void>}
+     * @throws {Error} Se le credenziali non possono essere caricate
+     */
+    async rotateEncryptionKey(newKey) {
+        if (!newKey) {
+            throw new Error('Encryption key is required');
+        }
+
+        const credentials = await this.loadCredentials();
+        if (this.encryptionKey) {
+            this.previousEncryptionKeys.unshift(this.encryptionKey);
+        }
+        this.encryptionKey = newKey;
+        await this.saveCredentials(credentials);
     }
 
     /**
-     * Converte session ID Salesforce in formato compatibile con JavahOn
+     * Scambia la sessione Salesforce catturata con i token delle API Hon
+     * Completa il flusso OAuth con i cookie della sessione (senza form di login) e
+     * ottiene il cognitoToken; il risultato può essere passato a HonAuth.setTokens()
+     * o salvato in un token store di HonAPI
+     * @param {Object} credentials - Credenziali catturate dal proxy
+     * @returns {Promise<Object>} Token ({ accessToken, idToken, refreshToken, cognitoToken, expiresAt, expiresIn })
+     *   e sessionId della sessione usata
+     * @throws {HonAuthenticationError} Se la sessione è scaduta o non valida
      */
     async convertToJavaHonSession(credentials) {
-        console.log('[*] Converting Salesforce session to JavahOn format...');
+        console.log('[*] Exchanging Salesforce session for hOn API tokens...');
 
-        // Il session ID di Salesforce può essere usato come access_token
-        // per autenticarsi alle API Hon
+        const auth = this.createAuth();
+        let tokens = null;
+        auth.once('tokens', (emitted) => {
+            tokens = emitted;
+        });
+
+        await auth.authenticateWithSession(credentials.sessionId, credentials.cookies || {});
+
+        console.log('[+] API tokens obtained');
         return {
-            sessionId: credentials.sessionId,
-            accessToken: credentials.sessionId, // Salesforce session ID come access token
-            refreshToken: null, // Da implementare se necessario
-            idToken: null,
-            expiresAt: credentials.expiresAt || null,
-            timestamp: credentials.timestamp,
-            // Metadata aggiuntivi da Salesforce
-            cshc: credentials.cshc,
-            retURL: credentials.retURL,
-            auraContext: credentials.auraContext,
-            redirectUrl: credentials.redirectUrl
+            ...tokens,
+            sessionId: credentials.sessionId
         };
     }
 
     /**
-     * Ottiene una sessione JavahOn usando il session ID del proxy
+     * Crea l'istanza HonAuth usata per lo scambio della sessione
+     * @returns {HonAuth} Istanza senza email e password
+     */
+    createAuth() {
+        return new HonAuth(null, '', '', new HonDevice(this.mobileId), this.debug);
+    }
+
+    /**
+     * Ottiene i token JavahOn usando la sessione salvata dal proxy
+     * @returns {Promise<Object>} Token per HonAuth.setTokens()
      */
     async getJavaHonSession() {
         const credentials = await this.loadCredentials();
@@ -147,6 +228,8 @@ class HonAuthAdapter {
 
     /**
      * Workflow completo di autenticazione
+     * Usa la sessione salvata se ancora valida, altrimenti avvia il login web
+     * @returns {Promise<Object>} Token per HonAuth.setTokens()
      */
     async authenticate() {
         console.log('\n' + '='.repeat(60));
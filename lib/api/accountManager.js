@@ -0,0 +1,437 @@
+/**
+ * Multi-account registry
+ * Creates, caches and tears down one HonAPI + MQTTClient pair per hOn account
+ * @module api/accountManager
+ */
+
+const EventEmitter = require('events');
+const axios = require('axios');
+const constants = require('../config/constants');
+const { HonAuthenticationError } = require('../utils/exceptions');
+const { HonAPI } = require('./client');
+const { HonAppliance } = require('../appliances');
+const { MQTTClient } = require('../mqtt');
+
+/**
+ * HonAuth events forwarded to the aggregate stream
+ * @private
+ */
+const AUTH_EVENTS = ['tokens', 'refreshFailed', 'reauthenticated'];
+
+/**
+ * MQTTClient events forwarded to the aggregate stream
+ * @private
+ */
+const MQTT_EVENTS = [
+  'connected', 'disconnected', 'reconnecting', 'offline', 'error',
+  'message', 'applianceUpdate', 'connectionChange', 'discovery'
+];
+
+/**
+ * Multi-account manager
+ * Every account gets its own axios session, so cookie jars are never shared between accounts.
+ * Logins are started lazily and at most `maxConcurrentLogins` run at the same time.
+ * @class
+ * @extends EventEmitter
+ * @fires HonAccountManager#event
+ * @example
+ * const manager = new HonAccountManager({ maxConcurrentLogins: 2, defaults: { autoRefresh: true } });
+ * manager.addAccount('home', { email: 'home@example.com', password: '...' });
+ * manager.addAccount('office', { email: 'office@example.com', password: '...' });
+ *
+ * manager.on('applianceUpdate', ({ accountId, data }) => {
+ *   console.log(`[${accountId}] ${data.appliance.macAddress}`, data.payload.parameters);
+ * });
+ *
+ * await manager.connectMqtt('home');
+ * const api = await manager.getApiForAppliance('aa:bb:cc:dd:ee:ff');
+ */
+class HonAccountManager extends EventEmitter {
+  /**
+   * @param {Object} [options={}] - Manager options
+   * @param {number} [options.maxConcurrentLogins=2] - Maximum number of HonAPI.create() calls running at the same time
+   * @param {Object} [options.defaults={}] - HonAPI options applied to every account (e.g. autoRefresh)
+   * @param {Function} [options.createApi] - (options) => HonAPI, creates the API client of an account
+   * @param {Function} [options.createMqttClient] - async (api, appliances, mobileId) => MQTTClient,
+   *   creates and connects the MQTT client of an account
+   */
+  constructor({
+    maxConcurrentLogins = 2,
+    defaults = {},
+    createApi = options => new HonAPI(options),
+    createMqttClient = (api, appliances, mobileId) => MQTTClient.create(api, appliances, mobileId)
+  } = {}) {
+    super();
+    if (!Number.isInteger(maxConcurrentLogins) || maxConcurrentLogins < 1) {
+      throw new Error('maxConcurrentLogins must be a positive integer');
+    }
+
+    this._maxConcurrentLogins = maxConcurrentLogins;
+    this._defaults = { ...defaults };
+    this._createApi = createApi;
+    this._createMqttClient = createMqttClient;
+    this._accounts = new Map();
+    this._routes = new Map();
+    this._activeLogins = 0;
+    this._loginQueue = [];
+  }
+
+  /**
+   * Get the registered account IDs
+   * @returns {Array<string>} Account IDs
+   */
+  get accountIds() {
+    return [...this._accounts.keys()];
+  }
+
+  /**
+   * Get the number of logins currently running
+   * @returns {number} Running logins
+   */
+  get activeLogins() {
+    return this._activeLogins;
+  }
+
+  /**
+   * Register an account
+   * Nothing is requested until the account is used
+   * @param {string} accountId - Unique account ID
+   * @param {Object} options - HonAPI options (email, password, tokenStore, mobileId, autoRefresh, ...),
+   *   merged over the manager defaults
+   * @throws {Error} If the ID is already registered or the session is used by another account
+   */
+  addAccount(accountId, options = {}) {
+    if (!accountId) {
+      throw new Error('Account ID is required');
+    }
+    if (this._accounts.has(accountId)) {
+      throw new Error(`Account already registered: ${accountId}`);
+    }
+
+    const apiOptions = { ...this._defaults, ...options };
+    if (apiOptions.anonymous) {
+      throw new Error('Anonymous clients cannot be registered as accounts');
+    }
+
+    // A dedicated session keeps the cookie jar of the account isolated
+    if (apiOptions.session) {
+      for (const [otherId, other] of this._accounts) {
+        if (other.options.session === apiOptions.session) {
+          throw new Error(`Session already used by account ${otherId}`);
+        }
+      }
+    } else {
+      apiOptions.session = axios.create({
+        timeout: 30000,
+        withCredentials: true
+      });
+    }
+
+    this._accounts.set(accountId, {
+      id: accountId,
+      options: apiOptions,
+      api: null,
+      login: null,
+      appliances: [],
+      mqtt: null,
+      listeners: []
+    });
+  }
+
+  /**
+   * Check if an account is registered
+   * @param {string} accountId - Account ID
+   * @returns {boolean} True if registered
+   */
+  hasAccount(accountId) {
+    return this._accounts.has(accountId);
+  }
+
+  /**
+   * Get a registered account
+   * @param {string} accountId - Account ID
+   * @returns {Object} Account entry
+   * @throws {Error} If the account is not registered
+   * @private
+   */
+  _getAccount(accountId) {
+    const account = this._accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Unknown account: ${accountId}`);
+    }
+    return account;
+  }
+
+  /**
+   * Wait for a free login slot
+   * @returns {Promise<void>}
+   * @private
+   */
+  _acquireLoginSlot() {
+    if (this._activeLogins < this._maxConcurrentLogins) {
+      this._activeLogins++;
+      return Promise.resolve();
+    }
+    // The slot is handed over by _releaseLoginSlot() without decrementing
+    return new Promise(resolve => this._loginQueue.push(resolve));
+  }
+
+  /**
+   * Release a login slot, handing it to the next waiting login
+   * @private
+   */
+  _releaseLoginSlot() {
+    const next = this._loginQueue.shift();
+    if (next) {
+      next();
+    } else {
+      this._activeLogins--;
+    }
+  }
+
+  /**
+   * Get the API client of an account, logging in on first use
+   * Concurrent calls share the same login; a failed login is retried on the next call
+   * @param {string} accountId - Account ID
+   * @returns {Promise<HonAPI>} Initialized API client
+   * @throws {HonAuthenticationError} If the login fails
+   */
+  async getApi(accountId) {
+    const account = this._getAccount(accountId);
+    if (account.api) return account.api;
+
+    if (!account.login) {
+      account.login = this._login(account).finally(() => {
+        account.login = null;
+      });
+    }
+    return await account.login;
+  }
+
+  /**
+   * Log in an account within the concurrency limit
+   * @param {Object} account - Account entry
+   * @returns {Promise<HonAPI>} Initialized API client
+   * @private
+   */
+  async _login(account) {
+    await this._acquireLoginSlot();
+    let api;
+    try {
+      api = this._createApi({ ...account.options });
+      await api.create();
+    } catch (error) {
+      throw new HonAuthenticationError(`Failed to log in account ${account.id}: ${error.message}`);
+    } finally {
+      this._releaseLoginSlot();
+    }
+
+    // Removed while logging in
+    if (this._accounts.get(account.id) !== account) {
+      await api.close();
+      throw new HonAuthenticationError(`Account removed during login: ${account.id}`);
+    }
+
+    account.api = api;
+    this._forwardEvents(account, 'auth', api.auth, AUTH_EVENTS);
+    return api;
+  }
+
+  /**
+   * Forward events of an emitter to the aggregate stream
+   * @param {Object} account - Account entry
+   * @param {string} source - 'auth' or 'mqtt'
+   * @param {EventEmitter} emitter - Source emitter
+   * @param {Array<string>} types - Event names
+   * @private
+   */
+  _forwardEvents(account, source, emitter, types) {
+    for (const type of types) {
+      const listener = data => this._emitAccountEvent(account.id, source, type, data);
+      emitter.on(type, listener);
+      account.listeners.push({ emitter, type, listener });
+    }
+  }
+
+  /**
+   * Emit an account event
+   * Every event is emitted as `event`, and under its own name (`error` becomes `accountError`,
+   * so that an unhandled account error does not throw)
+   * @param {string} accountId - Account ID
+   * @param {string} source - 'auth' or 'mqtt'
+   * @param {string} type - Original event name
+   * @param {*} data - Original event payload
+   * @private
+   */
+  _emitAccountEvent(accountId, source, type, data) {
+    /**
+     * Aggregate event - every forwarded auth and MQTT event of every account
+     * @event HonAccountManager#event
+     * @type {Object}
+     * @property {string} accountId - Account the event belongs to
+     * @property {string} source - 'auth' or 'mqtt'
+     * @property {string} type - Original event name (e.g. applianceUpdate)
+     * @property {*} data - Original event payload
+     */
+    this.emit('event', { accountId, source, type, data });
+    this.emit(type === 'error' ? 'accountError' : type, { accountId, source, data });
+  }
+
+  /**
+   * Load the appliances of an account and route them to it
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<HonAppliance>>} Appliances
+   */
+  async loadAppliances(accountId) {
+    const account = this._getAccount(accountId);
+    const api = await this.getApi(accountId);
+    const appliances = (await api.loadAppliances()).map(data => new HonAppliance(api, data));
+
+    this._unroute(account);
+    account.appliances = appliances;
+    for (const appliance of appliances) {
+      const routed = this._routes.get(appliance.macAddress);
+      if (routed && routed !== accountId) {
+        console.warn(`Appliance ${appliance.macAddress} is also registered by account ${routed}, routing it to ${accountId}`);
+      }
+      this._routes.set(appliance.macAddress, accountId);
+    }
+    return appliances;
+  }
+
+  /**
+   * Get the loaded appliances of an account
+   * @param {string} accountId - Account ID
+   * @returns {Array<HonAppliance>} Appliances (empty until loadAppliances())
+   */
+  getAppliances(accountId) {
+    return [...this._getAccount(accountId).appliances];
+  }
+
+  /**
+   * Remove the routes of an account
+   * @param {Object} account - Account entry
+   * @private
+   */
+  _unroute(account) {
+    for (const appliance of account.appliances) {
+      if (this._routes.get(appliance.macAddress) === account.id) {
+        this._routes.delete(appliance.macAddress);
+      }
+    }
+  }
+
+  /**
+   * Get the account an appliance belongs to
+   * @param {string} macAddress - Appliance MAC address
+   * @returns {string|null} Account ID, or null if no loaded account has the appliance
+   */
+  getAccountId(macAddress) {
+    return this._routes.get(macAddress) || null;
+  }
+
+  /**
+   * Get a loaded appliance by MAC address
+   * @param {string} macAddress - Appliance MAC address
+   * @returns {HonAppliance|null} Appliance, or null if not loaded
+   */
+  getAppliance(macAddress) {
+    const accountId = this.getAccountId(macAddress);
+    if (!accountId) return null;
+    return this._accounts.get(accountId).appliances.find(a => a.macAddress === macAddress) || null;
+  }
+
+  /**
+   * Get the API client of the account an appliance belongs to
+   * @param {string} macAddress - Appliance MAC address
+   * @returns {Promise<HonAPI>} API client
+   * @throws {Error} If no loaded account has the appliance
+   */
+  async getApiForAppliance(macAddress) {
+    const accountId = this.getAccountId(macAddress);
+    if (!accountId) {
+      throw new Error(`No account found for appliance ${macAddress}`);
+    }
+    return await this.getApi(accountId);
+  }
+
+  /**
+   * Connect the MQTT client of an account
+   * Appliances are loaded first if needed; an existing client is returned as is
+   * @param {string} accountId - Account ID
+   * @returns {Promise<MQTTClient>} Connected MQTT client
+   */
+  async connectMqtt(accountId) {
+    const account = this._getAccount(accountId);
+    if (account.mqtt) return account.mqtt;
+
+    const api = await this.getApi(accountId);
+    if (account.appliances.length === 0) {
+      await this.loadAppliances(accountId);
+    }
+
+    const mqtt = await this._createMqttClient(api, account.appliances, account.options.mobileId || constants.MOBILE_ID);
+    if (this._accounts.get(accountId) !== account) {
+      await mqtt.disconnect();
+      throw new Error(`Account removed while connecting: ${accountId}`);
+    }
+
+    account.mqtt = mqtt;
+    this._forwardEvents(account, 'mqtt', mqtt, MQTT_EVENTS);
+    return mqtt;
+  }
+
+  /**
+   * Get the MQTT client of an account
+   * @param {string} accountId - Account ID
+   * @returns {MQTTClient|null} MQTT client, or null if not connected
+   */
+  getMqttClient(accountId) {
+    return this._getAccount(accountId).mqtt;
+  }
+
+  /**
+   * Get the cookie jar of an account
+   * @param {string} accountId - Account ID
+   * @returns {Object|null} tough-cookie jar, or null before the first request
+   */
+  getCookieJar(accountId) {
+    return this._getAccount(accountId).options.session._cookieJar || null;
+  }
+
+  /**
+   * Disconnect and log out an account, and unregister it
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async removeAccount(accountId) {
+    const account = this._getAccount(accountId);
+    this._accounts.delete(accountId);
+    this._unroute(account);
+
+    for (const { emitter, type, listener } of account.listeners) {
+      emitter.removeListener(type, listener);
+    }
+    account.listeners = [];
+
+    if (account.mqtt) {
+      await account.mqtt.disconnect();
+      account.mqtt = null;
+    }
+    if (account.api) {
+      await account.api.close();
+      account.api = null;
+    }
+    account.appliances = [];
+  }
+
+  /**
+   * Remove all accounts
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.accountIds.map(accountId => this.removeAccount(accountId)));
+  }
+}
+
+module.exports = HonAccountManager;
@@ -18,7 +18,21 @@ const HonAnonymousConnectionHandler = require('./handlers/anonym');
  * Main API client class
  */
 class HonAPI {
+  /**
+   * @param {HonAuth|Object} [authOrOptions={}] - Authenticated HonAuth instance, or options
+   * @param {string} [authOrOptions.email] - User email
+   * @param {string} [authOrOptions.password] - User password
+   * @param {boolean} [authOrOptions.anonymous=false] - Only create the anonymous handler
+   * @param {string} [authOrOptions.mobileId] - Mobile ID of the device
+   * @param {string} [authOrOptions.refreshToken] - Refresh token used instead of a full login
+   * @param {Object} [authOrOptions.session] - Axios session instance
+   * @param {HonTokenStore} [authOrOptions.tokenStore] - Store the tokens are loaded from by create() and saved to on every refresh
+   * @param {boolean|Object} [authOrOptions.autoRefresh=false] - Refresh the tokens in the background after create()
+   *   (true, or the options of HonAuth.startAutoRefresh())
+   */
   constructor(authOrOptions = {}) {
+    this._tokenSave = Promise.resolve();
+
     // Check if first argument is a HonAuth instance
     if (authOrOptions && authOrOptions.constructor && authOrOptions.constructor.name === 'HonAuth') {
       // Direct auth instance provided
@@ -27,6 +41,8 @@ class HonAPI {
       this._anonymous = false;
       this._mobileId = '';
       this._refreshToken = '';
+      this._tokenStore = null;
+      this._autoRefresh = false;
       this._session = authOrOptions._session;
       this._honHandler = new HonConnectionHandler(authOrOptions, authOrOptions._session);
       this._honAnonymousHandler = null;
@@ -38,7 +54,9 @@ class HonAPI {
         anonymous = false,
         mobileId = '',
         refreshToken = '',
-        session = null
+        session = null,
+        tokenStore = null,
+        autoRefresh = false
       } = authOrOptions;
 
       this._email = email;
@@ -46,6 +64,8 @@ class HonAPI {
       this._anonymous = anonymous;
       this._mobileId = mobileId;
       this._refreshToken = refreshToken;
+      this._tokenStore = tokenStore;
+      this._autoRefresh = autoRefresh;
       this._honHandler = null;
       this._honAnonymousHandler = null;
       this._session = session || axios.create({
@@ -66,6 +86,14 @@ class HonAPI {
     return this._honHandler._auth;
   }
 
+  /**
+   * Get token store
+   * @returns {HonTokenStore|null} Token store or null if tokens are not persisted
+   */
+  get tokenStore() {
+    return this._tokenStore;
+  }
+
   /**
    * Get authenticated connection handler
    * @returns {HonConnectionHandler} Authenticated handler
@@ -105,8 +133,41 @@ class HonAPI {
     }
   }
 
+  /**
+   * Load tokens from the token store
+   * A store that cannot be read is treated as empty (full login)
+   * @returns {Promise<Object|null>} Stored tokens or null
+   * @private
+   */
+  async _loadStoredTokens() {
+    if (!this._tokenStore) return null;
+
+    try {
+      return await this._tokenStore.load();
+    } catch (error) {
+      console.error(`Failed to load stored tokens: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save tokens to the token store
+   * Saves are serialized so that the last tokens are written last
+   * @param {Object} tokens - Tokens emitted by HonAuth
+   * @returns {Promise<void>} Resolves once saved (errors are logged, not thrown)
+   * @private
+   */
+  _saveTokens(tokens) {
+    this._tokenSave = this._tokenSave
+      .then(() => this._tokenStore.save(tokens))
+      .catch(error => console.error(`Failed to save tokens: ${error.message}`));
+    return this._tokenSave;
+  }
+
   /**
    * Initialize the API client
+   * With a token store: stored tokens are used while valid, then refreshed with their
+   * refresh token, and a full login is only done if both fail
    * @returns {Promise<HonAPI>} Initialized client
    */
   async create() {
@@ -118,9 +179,18 @@ class HonAPI {
       const device = new HonDevice(this._mobileId);
       const auth = new HonAuth(this._session, this._email, this._password, device);
 
-      // If refresh token is provided, try to use it
-      if (this._refreshToken) {
-        auth._auth.refreshToken = this._refreshToken;
+      // Stored tokens that are still valid avoid any request
+      const stored = await this._loadStoredTokens();
+      const restored = stored !== null && auth.setTokens(stored);
+      const refreshToken = stored?.refreshToken || this._refreshToken;
+
+      if (this._tokenStore) {
+        auth.on('tokens', tokens => this._saveTokens(tokens));
+      }
+
+      if (!restored && refreshToken) {
+        // If refresh token is provided, try to use it
+        auth._auth.refreshToken = refreshToken;
         try {
           const refreshed = await auth.refresh();
           if (!refreshed) {
@@ -131,12 +201,16 @@ class HonAPI {
           // If refresh fails, fall back to full authentication
           await auth.authenticate();
         }
-      } else {
+      } else if (!restored) {
         // Perform full authentication
         await auth.authenticate();
       }
 
       this._honHandler = new HonConnectionHandler(auth, this._session);
+      if (this._autoRefresh) {
+        auth.startAutoRefresh(this._autoRefresh === true ? {} : this._autoRefresh);
+      }
+      await this._tokenSave;
     }
 
     return this;
@@ -250,7 +324,7 @@ class HonAPI {
    */
   async loadFavourites(appliance) {
     try {
-      const url = `${constants.API_URL}/commands/v1/appliance/${appliance.macAddress}/favourite`;
+      const url = this._favouriteUrl(appliance);
       const response = await this._hon.get(url);
       const result = response.data;
 
@@ -265,6 +339,87 @@ class HonAPI {
     }
   }
 
+  /**
+   * Get the favourites endpoint of an appliance
+   * @param {Object} appliance - Appliance object
+   * @param {string} [favouriteId=''] - Favourite ID (for a single favourite)
+   * @returns {string} URL
+   * @private
+   */
+  _favouriteUrl(appliance, favouriteId = '') {
+    const url = `${constants.API_URL}/commands/v1/appliance/${appliance.macAddress}/favourite`;
+    return favouriteId ? `${url}/${encodeURIComponent(favouriteId)}` : url;
+  }
+
+  /**
+   * Check the resultCode of a favourite write response
+   * @param {Object} response - Axios response
+   * @returns {Object} Response payload
+   * @throws {Error} If resultCode is present and not "0"
+   * @private
+   */
+  static _checkFavouriteResponse(response) {
+    const payload = response.data?.payload || {};
+    if (payload.resultCode !== undefined && payload.resultCode !== '0') {
+      throw new Error(`resultCode ${payload.resultCode}`);
+    }
+    return payload;
+  }
+
+  /**
+   * Save a favourite for appliance
+   * @param {Object} appliance - Appliance object
+   * @param {Object} favourite - Favourite data ({ favouriteName, command: { commandName, programName, parameters, ancillaryParameters } })
+   * @returns {Promise<Object>} Saved favourite (including its favouriteId)
+   */
+  async saveFavourite(appliance, favourite) {
+    try {
+      const response = await this._hon.post(this._favouriteUrl(appliance), {
+        macAddress: appliance.macAddress,
+        applianceType: appliance.applianceType,
+        ...favourite
+      });
+      const payload = HonAPI._checkFavouriteResponse(response);
+      return { ...favourite, ...(payload.favourite || {}) };
+    } catch (error) {
+      throw new HonAuthenticationError(`Failed to save favourite: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a favourite of appliance
+   * @param {Object} appliance - Appliance object
+   * @param {Object} favourite - Favourite data as loaded (must include favouriteId)
+   * @param {string} name - New favourite name
+   * @returns {Promise<Object>} Updated favourite
+   */
+  async renameFavourite(appliance, favourite, name) {
+    try {
+      const updated = { ...favourite, favouriteName: name };
+      const response = await this._hon.put(this._favouriteUrl(appliance, favourite.favouriteId), updated);
+      const payload = HonAPI._checkFavouriteResponse(response);
+      return { ...updated, ...(payload.favourite || {}) };
+    } catch (error) {
+      throw new HonAuthenticationError(`Failed to rename favourite: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a favourite of appliance
+   * @param {Object} appliance - Appliance object
+   * @param {string} favouriteId - Favourite ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteFavourite(appliance, favouriteId) {
+    try {
+      const response = await this._hon.delete(this._favouriteUrl(appliance, favouriteId));
+      HonAPI._checkFavouriteResponse(response);
+      return true;
+    } catch (error) {
+      throw new HonAuthenticationError(`Failed to delete favourite: ${error.message}`);
+    }
+  }
+
   /**
    * Load last activity for appliance
    * @param {Object} appliance - Appliance object
@@ -451,62 +606,86 @@ class HonAPI {
   }
 
   /**
-   * Send command to appliance
+   * Build the request body for a command
    * Ported EXACTLY from pyhOn api.py send_command method
    * @param {Object} appliance - Appliance object
    * @param {string} commandName - Command name
    * @param {Object} parameters - Command parameters
    * @param {Object} ancillaryParameters - Ancillary parameters
    * @param {string} programName - Program name (for startProgram)
-   * @returns {Promise<boolean>} Success status
+   * @returns {Object} Payload posted to /commands/v1/send
    */
-  async sendCommand(appliance, commandName, parameters = {}, ancillaryParameters = {}, programName = '') {
-    try {
-      const now = new Date().toISOString();
-      const timestamp = now.slice(0, -1) + 'Z'; // Remove trailing 'Z' and add it back (match pyhOn format)
+  buildCommandPayload(appliance, commandName, parameters = {}, ancillaryParameters = {}, programName = '') {
+    const now = new Date().toISOString();
+    const timestamp = now.slice(0, -1) + 'Z'; // Remove trailing 'Z' and add it back (match pyhOn format)
 
-      // Build data object EXACTLY like pyhOn
-      const data = {
-        macAddress: appliance.macAddress,
-        timestamp: timestamp,
-        commandName: commandName,
-        transactionId: `${appliance.macAddress}_${timestamp}`,
-        applianceOptions: appliance.options || {},
-        device: this.auth._device.get(true),
-        attributes: {
-          channel: 'mobileApp',
-          origin: 'standardProgram',
-          energyLabel: '0'
-        },
-        ancillaryParameters: ancillaryParameters,
-        parameters: parameters,
-        applianceType: appliance.applianceType
-      };
+    // Build data object EXACTLY like pyhOn
+    const data = {
+      macAddress: appliance.macAddress,
+      timestamp: timestamp,
+      commandName: commandName,
+      transactionId: `${appliance.macAddress}_${timestamp}`,
+      applianceOptions: appliance.options || {},
+      device: this.auth._device.get(true),
+      attributes: {
+        channel: 'mobileApp',
+        origin: 'standardProgram',
+        energyLabel: '0'
+      },
+      ancillaryParameters: ancillaryParameters,
+      parameters: parameters,
+      applianceType: appliance.applianceType
+    };
 
-      // Add prStr to attributes if present in parameters (like official hOn app)
-      if (parameters.prStr) {
-        data.attributes.prStr = parameters.prStr;
-      }
+    // Add prStr to attributes if present in parameters (like official hOn app)
+    if (parameters.prStr) {
+      data.attributes.prStr = parameters.prStr;
+    }
 
-      // Add programName for startProgram command
-      if (commandName === 'startProgram' && programName) {
-        data.programName = programName.toUpperCase();
-      }
+    // Add programName for startProgram command
+    if (commandName === 'startProgram' && programName) {
+      data.programName = programName.toUpperCase();
+    }
+
+    return data;
+  }
+
+  /**
+   * Send command to appliance
+   * Ported EXACTLY from pyhOn api.py send_command method
+   * @param {Object} appliance - Appliance object
+   * @param {string} commandName - Command name
+   * @param {Object} parameters - Command parameters
+   * @param {Object} ancillaryParameters - Ancillary parameters
+   * @param {string} programName - Program name (for startProgram)
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendCommand(appliance, commandName, parameters = {}, ancillaryParameters = {}, programName = '') {
+    const data = this.buildCommandPayload(appliance, commandName, parameters, ancillaryParameters, programName);
+    return await this.postCommand(data);
+  }
 
+  /**
+   * Post a command payload built by buildCommandPayload()
+   * @param {Object} data - Command payload
+   * @returns {Promise<boolean>} True if the cloud accepted the command (resultCode "0")
+   */
+  async postCommand(data) {
+    try {
       const url = `${constants.API_URL}/commands/v1/send`;
 
-      console.log('📤 [JavahOn] Sending command:', commandName);
+      console.log('📤 [JavahOn] Sending command:', data.commandName);
       console.log('   URL:', url);
       console.log('   macAddress:', data.macAddress);
       console.log('   applianceType:', data.applianceType);
 
       // Log complete payload for debugging
-      if (commandName === 'startProgram') {
+      if (data.commandName === 'startProgram') {
         console.log('📋 [JavahOn] Complete API Payload:');
         console.log(JSON.stringify(data, null, 2));
       } else {
-        console.log('   parameters:', JSON.stringify(parameters));
-        console.log('   ancillaryParameters:', JSON.stringify(ancillaryParameters));
+        console.log('   parameters:', JSON.stringify(data.parameters));
+        console.log('   ancillaryParameters:', JSON.stringify(data.ancillaryParameters));
       }
 
       const response = await this._hon.post(url, data);
@@ -610,6 +789,7 @@ class HonAPI {
     // Implementation depends on how axios handles cleanup
     // For now, just clear authentication
     if (this._honHandler && this._honHandler._auth) {
+      this._honHandler._auth.stopAutoRefresh();
       this._honHandler._auth.clear();
     }
   }
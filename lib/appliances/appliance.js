@@ -3,20 +3,45 @@
  * Ported from pyhOn appliance.py
  */
 
+const EventEmitter = require('events');
 const HonAttribute = require('./attribute');
 const HonCommandLoader = require('./commandLoader');
+const HonCommandBuilder = require('./commandBuilder');
+const HonCommandHistoryEntry = require('./history');
 const { HonParameter, HonParameterRange, HonParameterEnum } = require('../parameters');
 const { NoAuthenticationException } = require('../utils/exceptions');
 
 const MINIMAL_UPDATE_INTERVAL = 5; // seconds
 
-class HonAppliance {
+// Appliance types whose class module is not named after the lowercased type
+const APPLIANCE_TYPE_MODULES = {
+  ho: 'hood',
+};
+
+/**
+ * Appliance with attributes, commands and settings
+ * Extends EventEmitter so every appliance can be observed the same way;
+ * appliance type classes (appliance.extra) add their domain events on top
+ * @class
+ * @extends EventEmitter
+ * @fires HonAppliance#attributeChanged
+ * @fires HonAppliance#connectionChanged
+ * @fires HonAppliance#updated
+ * @example
+ * appliance.on('attributeChanged', (key, oldValue, newValue) => {
+ *   console.log(`${appliance.nickName}: ${key} ${oldValue} → ${newValue}`);
+ * });
+ * appliance.on('connectionChanged', ({ connected }) => console.log(connected ? 'online' : 'offline'));
+ */
+class HonAppliance extends EventEmitter {
   /**
    * @param {Object} api - API instance
    * @param {Object} info - Appliance info
    * @param {number} zone - Zone number (default 0)
    */
   constructor(api, info, zone = 0) {
+    super();
+
     // Process attributes if present
     if (info.attributes) {
       const processedAttributes = {};
@@ -32,6 +57,10 @@ class HonAppliance {
     this._api = api;
     this._applianceModel = {};
     this._commands = {};
+    this._commandLoader = null;
+    this._favourites = [];
+    this._commandHistory = null;
+    this._commandHistorySequence = 0;
     this._statistics = {};
     this._attributes = {};
     this._zone = zone;
@@ -46,7 +75,7 @@ class HonAppliance {
     // Load appliance-specific extras
     try {
       const applianceType = (info.applianceTypeName || info.applianceType || '').toLowerCase();
-      const ApplianceClass = require(`./types/${applianceType}`);
+      const ApplianceClass = require(`./types/${APPLIANCE_TYPE_MODULES[applianceType] || applianceType}`);
       this._extra = new ApplianceClass(this);
     } catch (error) {
       // No specific appliance class found, use defaults
@@ -160,7 +189,61 @@ class HonAppliance {
    * @param {boolean} connection - Connection status
    */
   set connection(connection) {
-    this._connection = connection;
+    this._setConnection(connection);
+  }
+
+  /**
+   * Update connection status and emit 'connectionChanged' if it changed
+   * @param {boolean} connected - New connection status
+   * @returns {void}
+   * @fires HonAppliance#connectionChanged
+   * @private
+   */
+  _setConnection(connected) {
+    const previous = this._connection;
+    this._connection = connected;
+
+    if (previous !== connected) {
+      /**
+       * Connection changed event
+       * @event HonAppliance#connectionChanged
+       * @type {Object}
+       * @property {boolean} connected - New connection status
+       * @property {boolean} previous - Previous connection status
+       * @property {number} timestamp - Unix timestamp in milliseconds
+       */
+      this.emit('connectionChanged', { connected, previous, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Emit 'attributeChanged' for every value that differs from its previous value
+   * @param {Object} oldValues - Values before the update (key -> value)
+   * @param {Array<string>} keys - Parameter names to compare
+   * @returns {Array<string>} Keys whose value changed
+   * @fires HonAppliance#attributeChanged
+   * @private
+   */
+  _emitAttributeChanges(oldValues, keys) {
+    const changed = [];
+
+    for (const key of keys) {
+      const newValue = this._attributes.parameters?.[key]?.value;
+      const oldValue = oldValues[key];
+      if (oldValue !== undefined && String(oldValue) === String(newValue)) continue;
+
+      changed.push(key);
+      /**
+       * Attribute changed event
+       * @event HonAppliance#attributeChanged
+       * @param {string} key - Parameter name (e.g., 'machMode')
+       * @param {*} oldValue - Previous value (undefined if the parameter is new)
+       * @param {*} newValue - New value
+       */
+      this.emit('attributeChanged', key, oldValue, newValue);
+    }
+
+    return changed;
   }
 
   /**
@@ -272,6 +355,22 @@ class HonAppliance {
     return this._commands;
   }
 
+  /**
+   * Start building a command with the fluent builder
+   * @param {string} name - Command name (e.g., 'startProgram')
+   * @returns {HonCommandBuilder} Builder for the command
+   * @throws {Error} If the appliance has no such command
+   * @example
+   * await appliance.command('startProgram').program('cottons').set('temp', 40).send();
+   */
+  command(name) {
+    const command = this._commands?.[name];
+    if (!command) {
+      throw new Error(`Unknown command '${name}'. Available: ${Object.keys(this._commands || {}).join(', ')}`);
+    }
+    return new HonCommandBuilder(command);
+  }
+
   /**
    * Get attributes
    * @returns {Object} Attributes
@@ -339,19 +438,241 @@ class HonAppliance {
     const commandLoader = new HonCommandLoader(this.api, this);
     await commandLoader.loadCommands();
     this._commands = commandLoader.commands;
+    this._commandLoader = commandLoader;
+    this._favourites = commandLoader.favourites;
     this._additionalData = commandLoader.additionalData;
     this._applianceModel = commandLoader.applianceData;
     this.syncParamsToCommand('settings');
   }
 
+  /**
+   * Get the saved hOn favourites
+   * Available after loadCommands(); favourites whose base program is unknown are skipped
+   * @returns {Array<Object>} Favourites: { id, name, commandName, program, overrides }
+   *   where id is the hOn favouriteId, program the base program ID and overrides the values saved with the favourite
+   * @example
+   * appliance.getFavourites();
+   * // [{ id: '6f1c…', name: 'My Cotton', commandName: 'startProgram', program: 'iot_cotton', overrides: { temp: '60', spinSpeed: '1000' } }]
+   */
+  getFavourites() {
+    return this._favourites.map(favourite => ({ ...favourite, overrides: { ...favourite.overrides } }));
+  }
+
+  /**
+   * Start a saved hOn favourite by its name
+   * Sends the base program with the favourite's values, through the appliance type's
+   * start() when available (remote control and machine state checks)
+   * @param {string} name - Favourite name as shown in the hOn app
+   * @param {Object} [sendOptions={}] - Options passed to HonCommand.send() (e.g. { waitForAck: true })
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If no favourite has this name or its command is not available
+   */
+  async startFavourite(name, sendOptions = {}) {
+    const favourite = this._favourites.find(f => f.name === name);
+    if (!favourite) {
+      throw new Error(`Unknown favourite '${name}'. Available: ${this._favourites.map(f => f.name).join(', ')}`);
+    }
+
+    if (favourite.commandName === 'startProgram' && typeof this._extra?.start === 'function') {
+      return await this._extra.start(favourite.program, favourite.overrides, sendOptions);
+    }
+
+    const command = this._commands[favourite.commandName];
+    if (!command) {
+      throw new Error(`Cannot start favourite '${name}': ${favourite.commandName} command not available`);
+    }
+    return await command.send({ ...favourite.overrides, program: favourite.program }, sendOptions);
+  }
+
+  /**
+   * Get a loaded favourite by name
+   * @param {string} name - Favourite name
+   * @returns {Object} Loaded favourite
+   * @throws {Error} If commands are not loaded or no favourite has this name
+   * @private
+   */
+  _getFavourite(name) {
+    const favourite = this._favourites.find(f => f.name === name);
+    if (!favourite || !this._commandLoader) {
+      throw new Error(`Unknown favourite '${name}'. Available: ${this._favourites.map(f => f.name).join(', ')}`);
+    }
+    return favourite;
+  }
+
+  /**
+   * Save the current startProgram configuration (program and parameter values) as a favourite
+   * The favourite is added to the startProgram categories in place (no loadCommands() needed)
+   * @param {string} name - Favourite name
+   * @returns {Promise<Object>} Saved favourite (see getFavourites())
+   * @throws {Error} If the name is taken or startProgram is not available
+   * @example
+   * appliance.commands.startProgram.category = 'iot_cotton';
+   * appliance.commands.startProgram.parameters.temp.value = '60';
+   * await appliance.saveFavourite('My Cotton');
+   */
+  async saveFavourite(name) {
+    if (this._favourites.some(f => f.name === name)) {
+      throw new Error(`Favourite '${name}' already exists`);
+    }
+
+    const command = this._commands.startProgram;
+    if (!command || !this._commandLoader) {
+      throw new Error('Cannot save favourite: startProgram command not available');
+    }
+
+    const groups = command.parameterGroups;
+    const ancillaryParameters = { ...(groups.ancillaryParameters || {}) };
+    delete ancillaryParameters.programRules;
+
+    const saved = await this.api.saveFavourite(this, {
+      favouriteName: name,
+      command: {
+        commandName: 'startProgram',
+        programName: command.category,
+        parameters: { ...(groups.parameters || {}) },
+        ancillaryParameters
+      }
+    });
+
+    this._commandLoader.addFavourite(saved);
+    return this.getFavourites().find(f => f.name === name) || null;
+  }
+
+  /**
+   * Rename a favourite
+   * The favourite's program category is renamed in place
+   * @param {string} name - Current favourite name
+   * @param {string} newName - New favourite name
+   * @returns {Promise<void>}
+   * @throws {Error} If the favourite is unknown, has no favouriteId, or the new name is taken
+   */
+  async renameFavourite(name, newName) {
+    const favourite = this._getFavourite(name);
+    if (this._favourites.some(f => f.name === newName)) {
+      throw new Error(`Favourite '${newName}' already exists`);
+    }
+    if (!favourite.id) {
+      throw new Error(`Cannot rename favourite '${name}': no favouriteId`);
+    }
+
+    await this.api.renameFavourite(this, this._commandLoader.getFavouriteData(name), newName);
+    this._commandLoader.renameFavourite(name, newName);
+  }
+
+  /**
+   * Delete a favourite
+   * The favourite's program category is removed in place
+   * @param {string} name - Favourite name
+   * @returns {Promise<void>}
+   * @throws {Error} If the favourite is unknown or has no favouriteId
+   */
+  async deleteFavourite(name) {
+    const favourite = this._getFavourite(name);
+    if (!favourite.id) {
+      throw new Error(`Cannot delete favourite '${name}': no favouriteId`);
+    }
+
+    await this.api.deleteFavourite(this, favourite.id);
+    this._commandLoader.removeFavourite(name);
+  }
+
+  /**
+   * Get the command history, newest first
+   * Without a cursor, the whole history is loaded from the API and kept as a snapshot.
+   * Passing the returned cursor pages through that snapshot without loading it again.
+   * Only the latest snapshot is kept, so a call without a cursor expires earlier cursors.
+   * @param {Object} [options={}] - Filter and paging options
+   * @param {Date|string|number} [options.since] - Only commands sent at or after this time
+   * @param {Date|string|number} [options.until] - Only commands sent at or before this time
+   * @param {string} [options.commandName] - Only this command (e.g. 'startProgram')
+   * @param {number} [options.limit=50] - Maximum number of entries per page
+   * @param {number} [options.offset=0] - Number of matching entries to skip
+   * @param {string} [options.cursor] - Cursor of a previous page, to reuse its snapshot
+   * @returns {Promise<Object>} { entries: HonCommandHistoryEntry[], total, offset, nextOffset, cursor }
+   *   where nextOffset is the offset of the next page, or null on the last page
+   * @throws {Error} If since/until is not a valid date, limit/offset is invalid or the cursor has expired
+   * @example
+   * let page = await appliance.getCommandHistory({ commandName: 'startProgram', limit: 20 });
+   * page.entries.forEach(e => console.log(e.timestamp, e.programName, e.parameters));
+   * while (page.nextOffset !== null) {
+   *   page = await appliance.getCommandHistory({
+   *     commandName: 'startProgram', limit: 20, offset: page.nextOffset, cursor: page.cursor
+   *   });
+   * }
+   */
+  async getCommandHistory(options = {}) {
+    const { commandName = null, limit = 50, offset = 0, cursor = null } = options;
+    const since = HonAppliance._historyBound(options.since, 'since');
+    const until = HonAppliance._historyBound(options.until, 'until');
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Invalid offset: ${offset}`);
+    }
+
+    if (cursor !== null && cursor !== this._commandHistory?.cursor) {
+      throw new Error(`Command history cursor expired: ${cursor}`);
+    }
+    if (cursor === null) {
+      this._commandHistory = {
+        cursor: String(++this._commandHistorySequence),
+        history: await this.api.loadCommandHistory(this)
+      };
+    }
+
+    const { history } = this._commandHistory;
+    const matching = history
+      .map(data => new HonCommandHistoryEntry(data, this))
+      .filter(entry => {
+        if (commandName && entry.commandName !== commandName) return false;
+        if (!since && !until) return true;
+        if (!entry.timestamp) return false;
+        return (!since || entry.timestamp >= since) && (!until || entry.timestamp <= until);
+      })
+      .sort((a, b) => (b.timestamp?.getTime() ?? 0) - (a.timestamp?.getTime() ?? 0));
+
+    const entries = matching.slice(offset, offset + limit);
+    const nextOffset = offset + limit < matching.length ? offset + limit : null;
+    return { entries, total: matching.length, offset, nextOffset, cursor: this._commandHistory.cursor };
+  }
+
+  /**
+   * Parse a since/until bound of getCommandHistory()
+   * @param {Date|string|number|undefined} value - Bound
+   * @param {string} name - Option name (for the error message)
+   * @returns {Date|null} Date or null if not set
+   * @throws {Error} If the value is not a valid date
+   * @private
+   */
+  static _historyBound(value, name) {
+    if (value === undefined || value === null) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date: ${value}`);
+    }
+    return date;
+  }
+
   /**
    * Load attributes from API
    * @returns {Promise<void>}
+   * @fires HonAppliance#attributeChanged
+   * @fires HonAppliance#connectionChanged
+   * @fires HonAppliance#updated
    */
   async loadAttributes() {
     const attributes = await this.api.loadAttributes(this);
     const shadowParams = attributes.shadow?.parameters || {};
 
+    // Capture old values to report changes (nothing is reported on the first load)
+    const isFirstLoad = !this._attributes.parameters;
+    const oldValues = {};
+    for (const [name, attribute] of Object.entries(this._attributes.parameters || {})) {
+      oldValues[name] = attribute.value;
+    }
+
     // Update or create attributes
     for (const [name, values] of Object.entries(shadowParams)) {
       if (this._attributes.parameters && this._attributes.parameters[name]) {
@@ -369,13 +690,25 @@ class HonAppliance {
 
     // Update connection status from lastConnEvent
     if (this._attributes.lastConnEvent) {
-      this._connection = this._attributes.lastConnEvent.category !== 'DISCONNECTED';
+      this._setConnection(this._attributes.lastConnEvent.category !== 'DISCONNECTED');
     }
 
     // Apply extras if available
     if (this._extra && this._extra.attributes) {
       this._attributes = this._extra.attributes(this._attributes);
     }
+
+    const changed = isFirstLoad ? [] : this._emitAttributeChanges(oldValues, Object.keys(shadowParams));
+
+    /**
+     * Updated event, emitted after attributes were loaded from the API or received via MQTT
+     * @event HonAppliance#updated
+     * @type {Object}
+     * @property {string} source - 'api' or 'mqtt'
+     * @property {Array<string>} changed - Parameter names whose value changed
+     * @property {number} timestamp - Unix timestamp in milliseconds
+     */
+    this.emit('updated', { source: 'api', changed, timestamp: Date.now() });
   }
 
   /**
@@ -410,6 +743,9 @@ class HonAppliance {
    * @param {Object} payload - MQTT message payload
    * @param {Object} payload.parameters - Key-value pairs of appliance parameters
    * @returns {void}
+   * @fires HonAppliance#attributeChanged
+   * @fires HonAppliance#connectionChanged
+   * @fires HonAppliance#updated
    * @example
    * // Called automatically by MQTTClient when message received
    * appliance.updateFromMQTT({
@@ -452,16 +788,22 @@ class HonAppliance {
     // Attach old values to payload for subclasses (e.g., WashingMachine state detection)
     payload.oldValues = oldValues;
 
+    const changed = this._attributes && this._attributes.parameters
+      ? this._emitAttributeChanges(oldValues, Object.keys(params))
+      : [];
+
     // If we receive an MQTT message, the appliance is online
     const wasOffline = !this._connection;
-    this._connection = true;
+    this._setConnection(true);
 
     if (wasOffline) {
       this._debugLog('📡 Appliance came online (MQTT message received)');
     }
 
-    // Note: Subclasses (e.g., WashingMachine) should override this method
-    // to call updateState() for event emission after calling super.updateFromMQTT()
+    this.emit('updated', { source: 'mqtt', changed, timestamp: Date.now() });
+
+    // Note: Appliance type classes (e.g., WashingMachine) call this method first
+    // and then emit their domain events from updateState()
   }
 
 
@@ -10,9 +10,27 @@ const {
   HonParameterRange,
   HonParameterProgram
 } = require('../parameters');
-const { NoAuthenticationException, ApiError } = require('../utils/exceptions');
+const { HonRuleSet } = require('./rules');
+const {
+  NoAuthenticationException,
+  ApiError,
+  CommandValidationError,
+  CommandTimeoutError
+} = require('../utils/exceptions');
 
 class HonCommand {
+  /**
+   * Default time to wait for the appliance to confirm a command (send() with waitForAck)
+   * @static
+   */
+  static ACK_TIMEOUT = 30000;
+
+  /**
+   * machMode values confirming startProgram (running, scheduled/delayed start)
+   * @static
+   */
+  static STARTED_MACH_MODES = ['2', '4'];
+
   /**
    * @param {string} name - Command name
    * @param {Object} attributes - Command attributes
@@ -189,10 +207,15 @@ class HonCommand {
       data.default = this._appliance.zone;
     }
 
-    // Handle rules
+    // Handle rules (programRules): patched onto the parameters once all are created
     if (data.category === 'rule') {
-      // Rules will be implemented later
-      this._debugLog('Rule handling not yet implemented');
+      if ('fixedValue' in data) {
+        this._rules.push(new HonRuleSet(this, data.fixedValue));
+      } else if ('enumValues' in data) {
+        this._rules.push(new HonRuleSet(this, data.enumValues));
+      } else {
+        this._debugLog(`Rule not supported: ${JSON.stringify(data)}`);
+      }
       return;
     }
 
@@ -235,6 +258,65 @@ class HonCommand {
     return this._categories[programId] || null;
   }
 
+  /**
+   * Create a copy of the command with cloned parameters and rules
+   * Setting values on the copy leaves this command untouched
+   * @returns {HonCommand} Copy
+   * @private
+   */
+  _copy() {
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+    copy._parameters = {};
+    for (const [key, parameter] of Object.entries(this._parameters)) {
+      copy._parameters[key] = parameter.clone();
+    }
+    copy._rules = this._rules.map(ruleSet => ruleSet.bind(copy));
+    return copy;
+  }
+
+  /**
+   * Apply parameter rules (programRules) to the values about to be sent
+   * Sets the requested values on the rule trigger parameters so dependent parameters
+   * get patched, then replaces requested dependent values the rules no longer allow
+   * @param {HonCommand} command - Command (or program category) owning the rules
+   * @param {Object} params - Parameters to send (updated in place)
+   * @param {boolean} [adjust=true] - Replace disallowed dependent values (false leaves them to validation)
+   * @returns {Array<Object>} Adjusted values ({ parameter, from, to })
+   * @private
+   */
+  _applyRules(command, params, adjust = true) {
+    const adjusted = [];
+    if (!command._rules || command._rules.length === 0) return adjusted;
+
+    const triggerKeys = new Set(command._rules.flatMap(ruleSet => Object.keys(ruleSet.rules)));
+    const dependentKeys = new Set(command._rules.flatMap(ruleSet => ruleSet.paramKeys));
+
+    for (const [key, value] of Object.entries(params)) {
+      const parameter = command.parameters[key];
+      if (!parameter || !triggerKeys.has(key) || value === undefined || value === null) continue;
+
+      try {
+        parameter.value = parameter instanceof HonParameterEnum ? String(value) : value;
+      } catch (error) {
+        this._debugLog(`⚠️  [JavahOn] Rule trigger ${key}=${value} not applied: ${error.message}`);
+      }
+    }
+
+    if (!adjust) return adjusted;
+
+    for (const key of dependentKeys) {
+      const parameter = command.parameters[key];
+      if (!parameter || params[key] === undefined) continue;
+
+      if (!parameter.values.includes(String(params[key]))) {
+        this._debugLog(`   🔧 Rule adjusted ${key}: ${params[key]} → ${parameter.value}`);
+        adjusted.push({ parameter: key, from: params[key], to: parameter.value });
+        params[key] = parameter.value;
+      }
+    }
+    return adjusted;
+  }
+
   /**
    * Send specific parameters
    * @param {Array<string>} paramNames - Parameter names to send
@@ -251,23 +333,26 @@ class HonCommand {
   }
 
   /**
-   * Send command with parameters
-   * @param {Object} params - Custom parameters to set before sending (optional)
-   * @returns {Promise<boolean>} Success status
-   * @example
-   * // Send with custom parameters
-   * await command.send({ program: 'iot_wash_rapid_14', temp: 20, spinSpeed: 1000 });
-   * 
-   * // Send with existing parameters
-   * await command.send();
+   * Resolve the program, apply rules, auto-complete and stringify the parameters to send
+   * @param {Object} params - Parameters to send (updated in place)
+   * @param {boolean} [simulate=false] - Apply the rules to a copy of the parameters and keep disallowed
+   *   values (validation without side effects)
+   * @returns {Object} { params, ancillaryParams, translationKey, programId, programCategory, programFound, adjusted, parameters }
+   *   where `parameters` are the parameters the rules were applied to
+   * @private
    */
-  async send(params = {}) {
-    console.log(`� [JavahOn] send() called with:`, params);
-
+  _prepareSend(params, simulate = false) {
     // Get program ID from params.program if available
     let programId = params.program || null;
     let programCategory = null;
     let translationKey = this._categoryName;
+    let programFound = true;
+    let ruleTarget = null;
+    const adjusted = [];
+    const rulesOn = (command) => {
+      ruleTarget = simulate ? command._copy() : command;
+      adjusted.push(...this._applyRules(ruleTarget, params, !simulate));
+    };
 
     // If program ID is provided, get the full program category
     if (programId) {
@@ -277,11 +362,14 @@ class HonCommand {
         console.log(`✅ [JavahOn] Found program category for "${programId}"`);
         translationKey = programCategory._categoryName || this._categoryName;
 
+        // Apply program rules first so auto-completed values reflect the patched parameters
+        rulesOn(programCategory);
+
         // Auto-complete missing parameters from program category
         console.log(`🔧 [JavahOn] Auto-completing parameters from program category...`);
 
         // Copy all parameters from the program category that are not already set
-        for (const [key, param] of Object.entries(programCategory.parameters || {})) {
+        for (const [key, param] of Object.entries(ruleTarget.parameters || {})) {
           if (params[key] === undefined && param.value !== undefined) {
             params[key] = param.value;
             console.log(`   ✅ Auto-set ${key} = ${param.value} (from program)`);
@@ -290,12 +378,15 @@ class HonCommand {
       } else {
         console.log(`⚠️  [JavahOn] Program category not found for "${programId}"`);
         // Fallback: extract from category name
+        programFound = !this._categories;
         programId = this._categoryName.split('.').pop().toLowerCase();
+        rulesOn(this);
       }
     } else {
       // No program parameter, extract from category name
       programId = this._categoryName.split('.').pop().toLowerCase();
       console.log(`🔍 [JavahOn] No program parameter, extracted from category: "${programId}"`);
+      rulesOn(this);
     }
 
     console.log(`🔍 [JavahOn] translationKey: "${translationKey}"`);
@@ -333,40 +424,223 @@ class HonCommand {
 
     console.log(`📦 [JavahOn] Final parameters:`, params);
 
+    return {
+      params,
+      ancillaryParams,
+      translationKey,
+      programId,
+      programCategory,
+      programFound,
+      adjusted,
+      parameters: ruleTarget.parameters
+    };
+  }
+
+  /**
+   * Build the send() result with program information
+   * This avoids the need to call getAvailablePrograms() again in the calling code
+   * @param {Object} prepared - Result of _prepareSend()
+   * @returns {Object} Send result
+   * @private
+   */
+  _buildResult({ params, translationKey, programId }) {
+    return {
+      success: true,
+      programName: params.prStr,           // Localized program name
+      translationKey: translationKey,      // API translation key
+      parameters: {
+        program: programId,
+        temp: params.temp,
+        spinSpeed: params.spinSpeed,
+        prCode: params.prCode,
+        prPosition: params.prPosition
+      }
+    };
+  }
+
+  /**
+   * Check a value against the constraints of a parameter
+   * @param {Object} parameter - HonParameter instance
+   * @param {string|number} value - Value to check
+   * @returns {string|null} Error message, or null if the value is allowed
+   * @static
+   */
+  static checkValue(parameter, value) {
+    if (parameter instanceof HonParameterProgram) {
+      return null;
+    }
+
+    if (parameter instanceof HonParameterEnum) {
+      const allowed = parameter.values;
+      if (!allowed.includes(String(value).toLowerCase().trim())) {
+        return `Allowed values: ${allowed.join(', ')} But was: ${value}`;
+      }
+      return null;
+    }
+
+    if (parameter instanceof HonParameterRange) {
+      const numValue = parseFloat(value);
+      const allowed = `min ${parameter.min} max ${parameter.max} step ${parameter.step}`;
+      if (isNaN(numValue) || numValue < parameter.min || numValue > parameter.max ||
+        ((numValue - parameter.min) * 100) % (parameter.step * 100) !== 0) {
+        return `Allowed: ${allowed} But was: ${value}`;
+      }
+      return null;
+    }
+
+    if (parameter instanceof HonParameterFixed) {
+      if (String(value) !== String(parameter.value)) {
+        return `Fixed value: ${parameter.value} But was: ${value}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate parameters without sending the command
+   * Checks every value against the parameter constraints of the selected program
+   * (or of this command), that the program exists, and that remote control is enabled.
+   * Program rules are applied to a copy of the parameters, so a value the rules do not
+   * allow is reported in `errors`. Neither the caller's params nor the command are modified.
+   * @param {Object} params - Parameters as they would be passed to send()
+   * @returns {Object} { valid, errors: [{ parameter, value, message }], payload, prepared }
+   *   where `payload` is the exact body HonAPI.sendCommand() would POST
+   * @example
+   * const { valid, errors, payload } = command.validate({ program: 'cotton', temp: 90, spinSpeed: 1400 });
+   * if (!valid) errors.forEach(e => console.log(`${e.parameter}: ${e.message}`));
+   */
+  validate(params = {}) {
+    const prepared = this._prepareSend({ ...params }, true);
+    const errors = [];
+
+    if (!prepared.programFound) {
+      errors.push({
+        parameter: 'program',
+        value: params.program,
+        message: `Unknown program: ${params.program}`
+      });
+    }
+
+    for (const [key, value] of Object.entries(prepared.params)) {
+      const parameter = prepared.parameters[key];
+      if (!parameter || value === null || value === undefined) continue;
+
+      const message = HonCommand.checkValue(parameter, value);
+      if (message) {
+        errors.push({ parameter: key, value, message });
+      }
+    }
+
+    const extra = this._appliance._extra;
+    if (extra && typeof extra.validateRemoteControl === 'function') {
+      try {
+        extra.validateRemoteControl(this._name);
+      } catch (error) {
+        errors.push({ parameter: null, value: null, message: error.message });
+      }
+    }
+
+    const payload = this.api.buildCommandPayload(
+      this._appliance,
+      this._name,
+      prepared.params,
+      prepared.ancillaryParams,
+      prepared.translationKey
+    );
+
+    return { valid: errors.length === 0, errors, payload, prepared };
+  }
+
+  /**
+   * Send command with parameters
+   * @param {Object} params - Custom parameters to set before sending (optional)
+   * @param {Object} [options={}] - Send options
+   * @param {boolean} [options.dryRun=false] - Validate and build the payload without sending it
+   * @param {boolean} [options.waitForAck=false] - Resolve only once the appliance confirms the command via MQTT
+   * @param {number} [options.ackTimeout=HonCommand.ACK_TIMEOUT] - Maximum wait for the confirmation in milliseconds
+   * @returns {Promise<Object>} Send result ({ success, programName, translationKey, parameters, transactionId }),
+   *   with `dryRun: true` and the `payload` that would be posted in dry-run mode,
+   *   and with `acknowledged: true` and `ack` ({ transactionId, parameter, value, timestamp }) when waiting for the confirmation
+   * @throws {CommandValidationError} In dry-run mode, if a value is not allowed
+   * @throws {CommandTimeoutError} If waitForAck is set and no confirmation arrives in time
+   * @example
+   * // Send with custom parameters
+   * await command.send({ program: 'iot_wash_rapid_14', temp: 20, spinSpeed: 1000 });
+   * 
+   * // Send with existing parameters
+   * await command.send();
+   *
+   * // Check values and inspect the payload without sending
+   * const { payload } = await command.send({ program: 'iot_wash_rapid_14', temp: 20 }, { dryRun: true });
+   *
+   * // Wait until the appliance reports the program as running
+   * await command.send({ program: 'iot_wash_rapid_14' }, { waitForAck: true, ackTimeout: 60000 });
+   */
+  async send(params = {}, options = {}) {
+    console.log(`� [JavahOn] send() called with:`, params);
+
+    if (options.dryRun) {
+      const validation = this.validate(params);
+      if (!validation.valid) {
+        throw new CommandValidationError(this._name, validation.errors);
+      }
+
+      console.log(`🧪 [JavahOn] Dry run - command not sent`);
+      return {
+        ...this._buildResult(validation.prepared),
+        dryRun: true,
+        payload: validation.payload
+      };
+    }
+
+    const prepared = this._prepareSend(params);
+
     // Sync command to appliance params
     if (this.appliance.syncCommandToParams) {
       this.appliance.syncCommandToParams(this.name);
     }
 
+    let acknowledgement = null;
     try {
-      const result = await this.api.sendCommand(
+      const payload = this.api.buildCommandPayload(
         this._appliance,
         this._name,
-        params,
-        ancillaryParams,
-        translationKey  // Use the correct translation key for the program
+        prepared.params,
+        prepared.ancillaryParams,
+        prepared.translationKey  // Use the correct translation key for the program
       );
 
+      // Subscribe before posting so a fast MQTT confirmation is not missed
+      if (options.waitForAck) {
+        acknowledgement = this._trackAcknowledgement(
+          prepared.params,
+          payload.transactionId,
+          options.ackTimeout ?? HonCommand.ACK_TIMEOUT
+        );
+      }
+
+      const result = await this.api.postCommand(payload);
+
       if (!result) {
         console.error('Command send failed:', result);
         throw new ApiError("Can't send command");
       }
 
-      // Return detailed result with program information
-      // This avoids the need to call getAvailablePrograms() again in the calling code
-      return {
-        success: true,
-        programName: params.prStr,           // Localized program name
-        translationKey: translationKey,      // API translation key
-        parameters: {
-          program: programId,
-          temp: params.temp,
-          spinSpeed: params.spinSpeed,
-          prCode: params.prCode,
-          prPosition: params.prPosition
-        }
-      };
+      // The confirmation timeout only runs once the cloud accepted the command
+      acknowledgement?.start();
+
+      const sendResult = { ...this._buildResult(prepared), transactionId: payload.transactionId };
+      if (!acknowledgement) {
+        return sendResult;
+      }
+
+      console.log(`⏳ [JavahOn] Waiting for appliance confirmation of ${this._name}...`);
+      const ack = await acknowledgement.promise;
+      console.log(`✅ [JavahOn] ${this._name} confirmed by appliance (${ack.parameter} = ${ack.value})`);
+      return { ...sendResult, acknowledged: true, ack };
     } catch (error) {
+      acknowledgement?.cancel();
       if (error instanceof NoAuthenticationException) {
         console.error('No Authentication');
         return { success: false, error: 'No Authentication' };
@@ -375,6 +649,89 @@ class HonCommand {
     }
   }
 
+  /**
+   * Find the MQTT change confirming a sent command
+   * For startProgram, machMode going to running or scheduled confirms the command.
+   * Otherwise (and additionally for startProgram) a sent parameter taking the sent value does.
+   * @param {Object} params - Sent parameters
+   * @param {Array<string>} changed - Keys changed by the MQTT update
+   * @returns {Object|null} { parameter, value } of the confirming change, or null
+   * @private
+   */
+  _matchAcknowledgement(params, changed) {
+    const attributes = this._appliance.attributes?.parameters || {};
+
+    for (const key of changed) {
+      const value = attributes[key]?.value;
+
+      if (this._name === 'startProgram' && key === 'machMode' &&
+        HonCommand.STARTED_MACH_MODES.includes(String(value))) {
+        return { parameter: key, value };
+      }
+
+      if (key in params && !['program', 'prStr'].includes(key) && String(params[key]) === String(value)) {
+        return { parameter: key, value };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait for the appliance to confirm a command via MQTT
+   * Listens to the appliance 'updated' event (source 'mqtt') until a change matches the sent command.
+   * The listener is active right away, the timeout only from start()
+   * @param {Object} params - Sent parameters
+   * @param {string} transactionId - Transaction ID of the sent command
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @returns {Object} { promise, start, cancel } - promise resolves with { transactionId, parameter, value, timestamp }
+   *   or rejects with CommandTimeoutError; start() starts the timeout, cancel() stops waiting
+   * @private
+   */
+  _trackAcknowledgement(params, transactionId, timeout) {
+    const appliance = this._appliance;
+    if (typeof appliance.on !== 'function') {
+      throw new Error('Command acknowledgement requires an appliance emitting MQTT updates');
+    }
+
+    let timer = null;
+    let settled = false;
+    let onUpdated = null;
+    let onTimeout = null;
+    const cancel = () => {
+      settled = true;
+      clearTimeout(timer);
+      appliance.removeListener('updated', onUpdated);
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      onUpdated = (update) => {
+        if (update.source !== 'mqtt') return;
+
+        const match = this._matchAcknowledgement(params, update.changed || []);
+        if (!match) return;
+
+        cancel();
+        resolve({ transactionId, ...match, timestamp: update.timestamp });
+      };
+
+      onTimeout = () => {
+        cancel();
+        reject(new CommandTimeoutError(this._name, timeout, transactionId));
+      };
+
+      appliance.on('updated', onUpdated);
+    });
+
+    const start = () => {
+      if (!settled && timer === null) {
+        timer = setTimeout(onTimeout, timeout);
+      }
+    };
+
+    return { promise, start, cancel };
+  }
+
   /**
    * Get command categories
    * @returns {Object} Categories
@@ -0,0 +1,216 @@
+/**
+ * HonCommandBuilder - Fluent builder for appliance commands
+ * Validates every choice immediately against the selected program category and exposes
+ * the allowed values for the next one, so UIs can be driven from it directly.
+ * Values are set on a copy of the program's parameters; the appliance's command is only
+ * changed by send().
+ */
+
+const HonCommand = require('./command');
+const { HonParameterEnum, HonParameterRange, HonParameterProgram } = require('../parameters');
+const { CommandValidationError } = require('../utils/exceptions');
+
+class HonCommandBuilder {
+  /**
+   * @param {Object} command - HonCommand instance (appliance.commands[name])
+   * @example
+   * await appliance.command('startProgram')
+   *   .program('cottons')
+   *   .set('temp', 40)
+   *   .set('spinSpeed', 1200)
+   *   .send();
+   */
+  constructor(command) {
+    this._command = command;
+    this._programId = null;
+    this._values = {};
+    this._working = null;
+  }
+
+  /**
+   * Get command name
+   * @returns {string} Command name
+   */
+  get name() {
+    return this._command.name;
+  }
+
+  /**
+   * Get the selected program ID
+   * @returns {string|null} Program ID or null if none selected
+   */
+  get programId() {
+    return this._programId;
+  }
+
+  /**
+   * Get the values set so far
+   * @returns {Object} Parameter values (key -> value)
+   */
+  get values() {
+    return { ...this._values };
+  }
+
+  /**
+   * Get the copy of the command whose parameters the values are checked against
+   * (the selected program category, or the command itself)
+   * @returns {Object} HonCommand instance
+   * @private
+   */
+  get _target() {
+    if (!this._working) {
+      this._working = this._command._copy();
+    }
+    return this._working;
+  }
+
+  /**
+   * Get program IDs that can be selected with program()
+   * @returns {Array<string>} Sorted program IDs (empty if the command has no programs)
+   */
+  get programs() {
+    if (!this._command._categories) return [];
+    return Object.keys(this._command._categories).sort();
+  }
+
+  /**
+   * Throw a validation error for a single parameter
+   * @param {string} parameter - Parameter name
+   * @param {*} value - Rejected value
+   * @param {string} message - Reason
+   * @throws {CommandValidationError} Always
+   * @private
+   */
+  _reject(parameter, value, message) {
+    throw new CommandValidationError(this.name, [{ parameter, value, message }]);
+  }
+
+  /**
+   * Select the program
+   * Values set before are checked again against the new program; if one is not allowed,
+   * the builder keeps its program and values
+   * @param {string} programId - Program ID (see programs)
+   * @returns {HonCommandBuilder} this
+   * @throws {CommandValidationError} If the program is unknown or a value set before is not allowed by it
+   */
+  program(programId) {
+    if (!this.programs.includes(programId)) {
+      this._reject('program', programId, `Unknown program: ${programId}`);
+    }
+
+    const target = this._command.categories[programId]._copy();
+    for (const [key, value] of Object.entries(this._values)) {
+      this._apply(key, value, target, programId);
+    }
+
+    this._programId = programId;
+    this._working = target;
+    return this;
+  }
+
+  /**
+   * Set a parameter value
+   * The value is checked immediately and set on the builder's copy of the program's parameter,
+   * so program rules update the allowed values of dependent parameters (see allowedValues())
+   * @param {string} key - Parameter name
+   * @param {string|number} value - Value
+   * @returns {HonCommandBuilder} this
+   * @throws {CommandValidationError} If the parameter is unknown or the value is not allowed
+   */
+  set(key, value) {
+    if (key === 'program') {
+      return this.program(value);
+    }
+
+    this._apply(key, value);
+    this._values[key] = value;
+    return this;
+  }
+
+  /**
+   * Check a value and set it on the target parameter
+   * @param {string} key - Parameter name
+   * @param {string|number} value - Value
+   * @param {Object} [target=this._target] - Command copy holding the parameter
+   * @param {string|null} [programId=this._programId] - Program of the target (for the error message)
+   * @throws {CommandValidationError} If the parameter is unknown or the value is not allowed
+   * @private
+   */
+  _apply(key, value, target = this._target, programId = this._programId) {
+    const parameter = target.parameters[key];
+    if (!parameter || parameter instanceof HonParameterProgram) {
+      this._reject(key, value, `Unknown parameter for ${programId || this.name}`);
+    }
+
+    const message = HonCommand.checkValue(parameter, value);
+    if (message) {
+      this._reject(key, value, message);
+    }
+
+    parameter.value = parameter instanceof HonParameterEnum ? String(value).toLowerCase().trim() : value;
+  }
+
+  /**
+   * Get the values currently allowed for a parameter
+   * @param {string} key - Parameter name ('program' lists the programs)
+   * @returns {Array<string>} Allowed values (empty if the parameter is unknown)
+   */
+  allowedValues(key) {
+    if (key === 'program') return this.programs;
+
+    const parameter = this._target.parameters[key];
+    return parameter ? parameter.values : [];
+  }
+
+  /**
+   * Describe the settable parameters of the selected program for building a UI
+   * @returns {Object} Map of parameter name -> { typology, value, values, min, max, step }
+   *   (min/max/step only for range parameters)
+   * @example
+   * builder.program('cottons').options();
+   * // { temp: { typology: 'enum', value: '40', values: ['20', '30', '40', '60', '90'] }, ... }
+   */
+  options() {
+    const result = {};
+    for (const [key, parameter] of Object.entries(this._target.parameters)) {
+      if (parameter instanceof HonParameterProgram) continue;
+
+      result[key] = {
+        typology: parameter.typology,
+        value: parameter.value,
+        values: parameter.values
+      };
+      if (parameter instanceof HonParameterRange) {
+        Object.assign(result[key], { min: parameter.min, max: parameter.max, step: parameter.step });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the parameters passed to HonCommand.send()
+   * @returns {Object} Parameters (program and values set so far)
+   */
+  toParams() {
+    return this._programId ? { program: this._programId, ...this._values } : { ...this._values };
+  }
+
+  /**
+   * Validate the built command without sending it (see HonCommand.validate())
+   * @returns {Object} { valid, errors, payload, prepared }
+   */
+  validate() {
+    return this._command.validate(this.toParams());
+  }
+
+  /**
+   * Send the built command
+   * @param {Object} [options={}] - Options passed to HonCommand.send() (e.g. { dryRun: true }, { waitForAck: true })
+   * @returns {Promise<Object>} Send result
+   */
+  async send(options = {}) {
+    return await this._command.send(this.toParams(), options);
+  }
+}
+
+module.exports = HonCommandBuilder;
@@ -17,6 +17,7 @@ class HonCommandLoader {
     this._appliance = appliance;
     this._apiCommands = {};
     this._favourites = [];
+    this._loadedFavourites = [];
     this._commandHistory = [];
     this._commands = {};
     this._applianceData = {};
@@ -50,6 +51,14 @@ class HonCommandLoader {
     return this._commands;
   }
 
+  /**
+   * Get favourites merged into the program categories
+   * @returns {Array<Object>} Favourites ({ id, name, commandName, program, overrides })
+   */
+  get favourites() {
+    return this._loadedFavourites;
+  }
+
   /**
    * Get appliance data
    * @returns {Object} Appliance data
@@ -307,24 +316,145 @@ class HonCommandLoader {
    */
   _addFavourites() {
     for (const favourite of this._favourites) {
-      const [name, commandName, base] = this._getFavouriteInfo(favourite);
-      
-      if (!base) {
-        continue;
-      }
+      this._addFavourite(favourite);
+    }
+  }
 
-      // Create a shallow copy of the base command
-      const baseCommand = Object.assign(
-        Object.create(Object.getPrototypeOf(base)),
-        base
-      );
+  /**
+   * Patch a single favourite into the program categories
+   * @param {Object} favourite - Favourite data from the API
+   * @returns {Object|null} Loaded favourite ({ id, name, commandName, program, overrides }), or null if its base program is unknown
+   * @private
+   */
+  _addFavourite(favourite) {
+    const [name, commandName, base] = this._getFavouriteInfo(favourite);
+
+    if (!base) {
+      return null;
+    }
+
+    // The favourite gets its own parameters, so its values never reach the base program
+    const baseCommand = this._copyCategory(commandName, base);
+    if (!baseCommand) {
+      return null;
+    }
+
+    // Favourite values are nested in favourite.command (parameters, ancillaryParameters)
+    const overrides = {
+      ...this._updateBaseCommandWithData(baseCommand, favourite),
+      ...this._updateBaseCommandWithData(baseCommand, favourite.command || {})
+    };
+    this._updateBaseCommandWithFavourite(baseCommand);
+    this._updateProgramCategories(commandName, name, baseCommand);
+
+    const loaded = {
+      id: favourite.favouriteId ?? null,
+      name,
+      commandName,
+      program: HonCommandLoader._cleanName(favourite.command.programName),
+      overrides
+    };
+    this._loadedFavourites.push(loaded);
+    return loaded;
+  }
+
+  /**
+   * Create an independent copy of a program category
+   * The category is parsed again from the API data, so the copy has its own parameters and rules
+   * @param {string} commandName - Command name
+   * @param {HonCommand} base - Program category to copy
+   * @returns {HonCommand|null} Copy, or null if the API data of the category is not available
+   * @private
+   */
+  _copyCategory(commandName, base) {
+    const data = this._apiCommands?.[commandName]?.[base.category];
+    if (typeof data !== 'object' || data === null) {
+      return null;
+    }
+
+    return new HonCommand(
+      commandName,
+      JSON.parse(JSON.stringify(data)),
+      this._appliance,
+      base._categories,
+      base.category
+    );
+  }
+
+  /**
+   * Get raw favourite data and its index by favourite name
+   * @param {string} name - Favourite name
+   * @returns {Array} [favourite, index] ([undefined, -1] if not found)
+   * @private
+   */
+  _findFavourite(name) {
+    const index = this._favourites.findIndex(f => f.favouriteName === name);
+    return [this._favourites[index], index];
+  }
+
+  /**
+   * Get raw favourite data as returned by the API
+   * @param {string} name - Favourite name
+   * @returns {Object|null} Favourite data or null if not found
+   */
+  getFavouriteData(name) {
+    return this._findFavourite(name)[0] || null;
+  }
+
+  /**
+   * Add a favourite saved through the API to the program categories in place
+   * @param {Object} favourite - Favourite data (as returned by the API)
+   * @returns {Object|null} Loaded favourite, or null if its base program is unknown
+   */
+  addFavourite(favourite) {
+    this._favourites.push(favourite);
+    return this._addFavourite(favourite);
+  }
 
-      this._updateBaseCommandWithData(baseCommand, favourite);
-      this._updateBaseCommandWithFavourite(baseCommand);
-      this._updateProgramCategories(commandName, name, baseCommand);
+  /**
+   * Rename a favourite's program category in place
+   * @param {string} name - Current favourite name
+   * @param {string} newName - New favourite name
+   * @returns {void}
+   */
+  renameFavourite(name, newName) {
+    const [favourite] = this._findFavourite(name);
+    if (favourite) favourite.favouriteName = newName;
+
+    const loaded = this._loadedFavourites.find(f => f.name === name);
+    if (!loaded) return;
+    loaded.name = newName;
+
+    const categories = this.commands[loaded.commandName]?.categories;
+    if (categories && categories[name]) {
+      categories[newName] = categories[name];
+      delete categories[name];
     }
   }
 
+  /**
+   * Remove a favourite's program category in place
+   * If the favourite is the command's current category, the base program becomes current
+   * @param {string} name - Favourite name
+   * @returns {void}
+   */
+  removeFavourite(name) {
+    const [, index] = this._findFavourite(name);
+    if (index !== -1) this._favourites.splice(index, 1);
+
+    const loadedIndex = this._loadedFavourites.findIndex(f => f.name === name);
+    if (loadedIndex === -1) return;
+    const [loaded] = this._loadedFavourites.splice(loadedIndex, 1);
+
+    const categories = this.commands[loaded.commandName]?.categories;
+    if (!categories || !categories[name]) return;
+
+    if (this.commands[loaded.commandName] === categories[name] && categories[loaded.program]) {
+      this.commands[loaded.commandName] = categories[loaded.program];
+    }
+    delete categories[name];
+  }
+
   /**
    * Get favourite info
    * @param {Object} favourite - Favourite data
@@ -345,11 +475,14 @@ class HonCommandLoader {
    * Update base command with data
    * @param {HonCommand} baseCommand - Base command
    * @param {Object} command - Command data
+   * @returns {Object} Values patched into the parameters (key -> value)
    * @private
    */
   _updateBaseCommandWithData(baseCommand, command) {
+    const patched = {};
+
     for (const data of Object.values(command)) {
-      if (typeof data === 'string') {
+      if (typeof data !== 'object' || data === null) {
         continue;
       }
 
@@ -362,11 +495,14 @@ class HonCommandLoader {
 
         try {
           parameter.value = value;
+          patched[key] = parameter.value;
         } catch (error) {
           // Suppress ValueError
         }
       }
     }
+
+    return patched;
   }
 
   /**
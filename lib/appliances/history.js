@@ -0,0 +1,156 @@
+/**
+ * HonCommandHistoryEntry - Typed command history entry
+ * Wraps an entry of the hOn command history (HonAPI.loadCommandHistory())
+ */
+
+const HonCommandLoader = require('./commandLoader');
+
+class HonCommandHistoryEntry {
+  /**
+   * @param {Object} data - Raw history entry ({ timestamp, command: { commandName, programName, parameters, ancillaryParameters } })
+   * @param {Object} [appliance=null] - HonAppliance instance used to resolve the program name
+   */
+  constructor(data, appliance = null) {
+    const command = data.command || {};
+
+    this._data = data;
+    this._timestamp = HonCommandHistoryEntry._parseDate(data.timestamp ?? command.timestamp ?? null);
+    this._commandName = command.commandName || data.commandName || null;
+    this._parameters = { ...(command.parameters || {}) };
+    this._ancillaryParameters = { ...(command.ancillaryParameters || {}) };
+    this._transactionId = command.transactionId || data.transactionId || null;
+    this._programId = null;
+    this._programName = null;
+    this._resolveProgram(command.programName || null, appliance);
+  }
+
+  /**
+   * Parse a timestamp
+   * @param {Date|string|number|null} value - Timestamp
+   * @returns {Date|null} Date, or null if missing or invalid
+   * @private
+   */
+  static _parseDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Resolve program ID and name
+   * Uses findProgramByCode() with the sent prCode/prPosition (temp and spinSpeed disambiguate favourites),
+   * and falls back to the program name stored with the command
+   * @param {string|null} translationKey - Program name of the command (e.g. PROGRAMS.WM.COTTON)
+   * @param {Object|null} appliance - HonAppliance instance
+   * @private
+   */
+  _resolveProgram(translationKey, appliance) {
+    const extra = appliance?._extra;
+    const prCode = this._parameters.prCode;
+
+    if (prCode !== undefined && prCode !== null && prCode !== '' && typeof extra?.findProgramByCode === 'function') {
+      const toInt = (value) => (value !== undefined && value !== null && value !== '' ? parseInt(value) : null);
+      const program = extra.findProgramByCode(
+        parseInt(prCode),
+        toInt(this._parameters.prPosition),
+        null,
+        toInt(this._parameters.temp),
+        toInt(this._parameters.spinSpeed)
+      );
+      if (program) {
+        this._programId = program.id;
+        this._programName = program.name || program.id;
+        return;
+      }
+    }
+
+    if (!translationKey) return;
+
+    this._programId = HonCommandLoader._cleanName(translationKey);
+    this._programName = typeof extra?.getLocalizedProgramName === 'function'
+      ? extra.getLocalizedProgramName(this._programId, translationKey) || this._programId
+      : this._programId;
+  }
+
+  /**
+   * Get the time the command was sent
+   * @returns {Date|null} Timestamp, or null if the entry has none
+   */
+  get timestamp() {
+    return this._timestamp;
+  }
+
+  /**
+   * Get command name
+   * @returns {string|null} Command name (e.g. startProgram)
+   */
+  get commandName() {
+    return this._commandName;
+  }
+
+  /**
+   * Get program ID
+   * @returns {string|null} Program ID (e.g. iot_cotton), or null if the command has no program
+   */
+  get programId() {
+    return this._programId;
+  }
+
+  /**
+   * Get resolved program name
+   * @returns {string|null} Localized program name, or null if the command has no program
+   */
+  get programName() {
+    return this._programName;
+  }
+
+  /**
+   * Get sent parameters
+   * @returns {Object} Parameters (key -> value)
+   */
+  get parameters() {
+    return { ...this._parameters };
+  }
+
+  /**
+   * Get sent ancillary parameters
+   * @returns {Object} Ancillary parameters (key -> value)
+   */
+  get ancillaryParameters() {
+    return { ...this._ancillaryParameters };
+  }
+
+  /**
+   * Get transaction ID
+   * @returns {string|null} Transaction ID
+   */
+  get transactionId() {
+    return this._transactionId;
+  }
+
+  /**
+   * Get the raw history entry
+   * @returns {Object} Entry as returned by the hOn API
+   */
+  get data() {
+    return this._data;
+  }
+
+  /**
+   * Convert to a plain object
+   * @returns {Object} { timestamp, commandName, programId, programName, parameters, ancillaryParameters, transactionId }
+   */
+  toJSON() {
+    return {
+      timestamp: this._timestamp ? this._timestamp.toISOString() : null,
+      commandName: this._commandName,
+      programId: this._programId,
+      programName: this._programName,
+      parameters: this.parameters,
+      ancillaryParameters: this.ancillaryParameters,
+      transactionId: this._transactionId
+    };
+  }
+}
+
+module.exports = HonCommandHistoryEntry;
@@ -6,10 +6,21 @@ const HonAppliance = require('./appliance');
 const HonAttribute = require('./attribute');
 const HonCommand = require('./command');
 const HonCommandLoader = require('./commandLoader');
+const HonCommandBuilder = require('./commandBuilder');
+const HonCommandHistoryEntry = require('./history');
+const { HonRule, HonRuleSet } = require('./rules');
+const { HonPresetStore, HonFilePresetStore, HonPresetManager } = require('./presets');
 
 module.exports = {
   HonAppliance,
   HonAttribute,
   HonCommand,
-  HonCommandLoader
+  HonCommandLoader,
+  HonCommandBuilder,
+  HonCommandHistoryEntry,
+  HonRule,
+  HonRuleSet,
+  HonPresetStore,
+  HonFilePresetStore,
+  HonPresetManager
 };
@@ -0,0 +1,351 @@
+/**
+ * Local program presets
+ * User-defined programs (program + parameter values) kept outside the hOn cloud,
+ * checked against the appliance's current command catalog and startable by name
+ */
+
+const fs = require('fs').promises;
+const HonCommand = require('./command');
+const { HonParameterProgram } = require('../parameters');
+const { CommandValidationError } = require('../utils/exceptions');
+
+/**
+ * In-memory preset store
+ * Base class for preset stores: a store only has to implement load() and save()
+ */
+class HonPresetStore {
+  /**
+   * @param {Array<Object>} [presets=[]] - Initial presets
+   */
+  constructor(presets = []) {
+    this._presets = presets.map(preset => ({ ...preset }));
+  }
+
+  /**
+   * Load all stored presets
+   * @returns {Promise<Array<Object>>} Presets: { name, program, parameters, commandName, macAddress, applianceType }
+   */
+  async load() {
+    return this._presets.map(preset => ({ ...preset }));
+  }
+
+  /**
+   * Replace the stored presets
+   * @param {Array<Object>} presets - Presets to store
+   * @returns {Promise<void>}
+   */
+  async save(presets) {
+    this._presets = presets.map(preset => ({ ...preset }));
+  }
+}
+
+/**
+ * JSON file preset store
+ * The file holds an array of presets; a missing file is an empty store
+ */
+class HonFilePresetStore extends HonPresetStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    super();
+    this._filePath = filePath;
+  }
+
+  /**
+   * Get the path of the JSON file
+   * @returns {string} File path
+   */
+  get filePath() {
+    return this._filePath;
+  }
+
+  /**
+   * Load all presets from the file
+   * @returns {Promise<Array<Object>>} Presets
+   * @throws {Error} If the file cannot be read, is not valid JSON or does not contain an array
+   */
+  async load() {
+    let data;
+    try {
+      data = await fs.readFile(this._filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read presets from ${this._filePath}: ${error.message}`);
+    }
+
+    let presets;
+    try {
+      presets = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Invalid presets file ${this._filePath}: ${error.message}`);
+    }
+    if (!Array.isArray(presets)) {
+      throw new Error(`Invalid presets file ${this._filePath}: expected an array`);
+    }
+    return presets;
+  }
+
+  /**
+   * Write all presets to the file
+   * @param {Array<Object>} presets - Presets to store
+   * @returns {Promise<void>}
+   */
+  async save(presets) {
+    await fs.writeFile(this._filePath, JSON.stringify(presets, null, 2), 'utf-8');
+  }
+}
+
+/**
+ * Manage the local presets of one appliance
+ * Presets are validated against the loaded commands, so a preset whose program was removed
+ * or whose values are no longer allowed (e.g. after a firmware update) is reported as invalid.
+ * Saved presets belong to the appliance (macAddress); stored presets without a macAddress are
+ * shared by all appliances (of their applianceType, if set) and are never re-assigned
+ */
+class HonPresetManager {
+  static DEFAULT_COMMAND = 'startProgram';
+
+  /**
+   * @param {Object} appliance - HonAppliance instance (commands must be loaded)
+   * @param {HonPresetStore} [store=new HonPresetStore()] - Preset store
+   * @example
+   * const presets = new HonPresetManager(appliance, new HonFilePresetStore('./presets.json'));
+   * await presets.load();
+   * await presets.save('Gym clothes', 'iot_sport', { temp: 30, spinSpeed: 800 });
+   * await presets.start('Gym clothes');
+   */
+  constructor(appliance, store = new HonPresetStore()) {
+    this._appliance = appliance;
+    this._store = store;
+    this._presets = [];
+  }
+
+  /**
+   * Get the preset store
+   * @returns {HonPresetStore} Store
+   */
+  get store() {
+    return this._store;
+  }
+
+  /**
+   * Get all presets of this appliance with their validation result
+   * @returns {Array<Object>} Presets: { name, commandName, program, parameters, shared, valid, errors }
+   *   where shared is true for presets stored without a macAddress
+   */
+  get presets() {
+    return this._presets.map(preset => ({
+      ...preset,
+      parameters: { ...preset.parameters },
+      errors: [...preset.errors]
+    }));
+  }
+
+  /**
+   * Get the presets that do not match the current command catalog
+   * @returns {Array<Object>} Invalid presets with their errors
+   */
+  getInvalid() {
+    return this.presets.filter(preset => !preset.valid);
+  }
+
+  /**
+   * Get a preset by name
+   * @param {string} name - Preset name
+   * @returns {Object|null} Preset or null if not found
+   */
+  getPreset(name) {
+    return this.presets.find(preset => preset.name === name) || null;
+  }
+
+  /**
+   * Load the presets from the store and validate them
+   * Presets of other appliances are ignored; a preset of this appliance hides a shared one with the same name
+   * @returns {Promise<Array<Object>>} Presets (see presets)
+   */
+  async load() {
+    const visible = (await this._store.load()).filter(preset => this._isVisible(preset));
+    this._presets = visible
+      .filter(preset => preset.macAddress || !visible.some(own => own.macAddress && own.name === preset.name))
+      .map(preset => this._check(preset));
+    return this.presets;
+  }
+
+  /**
+   * Check whether a stored preset belongs to this appliance or is shared with it
+   * @param {Object} preset - Stored preset
+   * @returns {boolean} True if the preset is loaded by this manager
+   * @private
+   */
+  _isVisible(preset) {
+    if (preset.macAddress) {
+      return preset.macAddress === this._appliance.macAddress;
+    }
+    return !preset.applianceType || preset.applianceType === this._appliance.applianceType;
+  }
+
+  /**
+   * Validate the loaded presets again, e.g. after loadCommands()
+   * @returns {Array<Object>} Invalid presets
+   */
+  revalidate() {
+    this._presets = this._presets.map(preset => this._check(preset));
+    return this.getInvalid();
+  }
+
+  /**
+   * Check a preset against the command catalog
+   * @param {Object} preset - Stored preset
+   * @returns {Object} Preset with valid and errors
+   * @private
+   */
+  _check(preset) {
+    const result = {
+      name: preset.name,
+      commandName: preset.commandName || HonPresetManager.DEFAULT_COMMAND,
+      program: preset.program || null,
+      parameters: { ...(preset.parameters || {}) },
+      shared: preset.shared !== undefined ? preset.shared : !preset.macAddress
+    };
+    const errors = this.validate(result.program, result.parameters, result.commandName);
+    return { ...result, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a program and its values against the command catalog
+   * Only the catalog is checked; remote control and machine state are checked when starting
+   * @param {string|null} program - Program ID (null for commands without programs)
+   * @param {Object} [parameters={}] - Parameter values
+   * @param {string} [commandName='startProgram'] - Command name
+   * @returns {Array<Object>} Errors: [{ parameter, value, message }] (empty if valid)
+   */
+  validate(program, parameters = {}, commandName = HonPresetManager.DEFAULT_COMMAND) {
+    const command = this._appliance.commands[commandName];
+    if (!command) {
+      return [{ parameter: null, value: null, message: `Command not available: ${commandName}` }];
+    }
+
+    let target = command;
+    if (program) {
+      target = command._categories?.[program];
+      if (!target) {
+        return [{ parameter: 'program', value: program, message: `Unknown program: ${program}` }];
+      }
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(parameters)) {
+      const parameter = target.parameters[key];
+      if (!parameter || parameter instanceof HonParameterProgram) {
+        errors.push({ parameter: key, value, message: `Unknown parameter for ${program || commandName}` });
+        continue;
+      }
+
+      const message = HonCommand.checkValue(parameter, value);
+      if (message) {
+        errors.push({ parameter: key, value, message });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Create or replace a preset and write it to the store
+   * @param {string} name - Preset name
+   * @param {string|null} program - Program ID
+   * @param {Object} [parameters={}] - Parameter values
+   * @param {string} [commandName='startProgram'] - Command name
+   * @returns {Promise<Object>} Saved preset
+   * @throws {CommandValidationError} If the program or a value is not allowed
+   */
+  async save(name, program, parameters = {}, commandName = HonPresetManager.DEFAULT_COMMAND) {
+    const errors = this.validate(program, parameters, commandName);
+    if (errors.length > 0) {
+      throw new CommandValidationError(commandName, errors);
+    }
+
+    const preset = this._check({ name, commandName, program, parameters, shared: false });
+    const index = this._presets.findIndex(p => p.name === name);
+    if (index >= 0) {
+      this._presets[index] = preset;
+    } else {
+      this._presets.push(preset);
+    }
+
+    await this._write();
+    return this.getPreset(name);
+  }
+
+  /**
+   * Remove a preset and write the change to the store
+   * Removing a shared preset removes it for all appliances
+   * @param {string} name - Preset name
+   * @returns {Promise<boolean>} True if the preset existed
+   */
+  async remove(name) {
+    const index = this._presets.findIndex(p => p.name === name);
+    if (index < 0) return false;
+
+    const [removed] = this._presets.splice(index, 1);
+    await this._write(removed.shared ? removed.name : null);
+    return true;
+  }
+
+  /**
+   * Write the presets of this appliance to the store
+   * Presets of other appliances and shared presets are kept as they are
+   * @param {string|null} [removedShared=null] - Name of a shared preset to delete
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(removedShared = null) {
+    const macAddress = this._appliance.macAddress;
+    const others = (await this._store.load()).filter(preset => {
+      if (preset.macAddress) return preset.macAddress !== macAddress;
+      return preset.name !== removedShared || !this._isVisible(preset);
+    });
+    const own = this._presets
+      .filter(preset => !preset.shared)
+      .map(({ name, commandName, program, parameters }) => ({
+        name, macAddress, applianceType: this._appliance.applianceType, commandName, program, parameters
+      }));
+    await this._store.save([...others, ...own]);
+  }
+
+  /**
+   * Start a preset by its name
+   * Goes through the appliance type's start() when available (remote control and machine state checks)
+   * @param {string} name - Preset name
+   * @param {Object} [sendOptions={}] - Options passed to HonCommand.send() (e.g. { waitForAck: true })
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If no preset has this name
+   * @throws {CommandValidationError} If the preset does not match the current command catalog
+   */
+  async start(name, sendOptions = {}) {
+    const stored = this._presets.find(p => p.name === name);
+    if (!stored) {
+      throw new Error(`Unknown preset '${name}'. Available: ${this._presets.map(p => p.name).join(', ')}`);
+    }
+
+    const preset = this._check(stored);
+    if (!preset.valid) {
+      throw new CommandValidationError(preset.commandName, preset.errors);
+    }
+
+    const extra = this._appliance._extra;
+    if (preset.commandName === 'startProgram' && preset.program && typeof extra?.start === 'function') {
+      return await extra.start(preset.program, preset.parameters, sendOptions);
+    }
+
+    const command = this._appliance.commands[preset.commandName];
+    const params = preset.program ? { ...preset.parameters, program: preset.program } : { ...preset.parameters };
+    return await command.send(params, sendOptions);
+  }
+}
+
+module.exports = {
+  HonPresetStore,
+  HonFilePresetStore,
+  HonPresetManager
+};
@@ -0,0 +1,327 @@
+/**
+ * HonRuleSet - Parameter rule engine (programRules)
+ * Ported from pyhOn rules.py
+ *
+ * Commands can carry parameters with category 'rule'. Their fixedValue/enumValues
+ * describe how other parameters change when a trigger parameter takes a value, e.g.:
+ *   { spinSpeed: { temp: { '90': { typology: 'enum', enumValues: '400|800' } } } }
+ * Each rule is registered as a trigger on the trigger parameter (HonParameter.addTrigger)
+ * and patches the dependent parameter when the trigger value is set.
+ */
+
+const HonParameterEnum = require('../parameters/enum');
+const HonParameterRange = require('../parameters/range');
+const HonParameterProgram = require('../parameters/program');
+
+class HonRule {
+  /**
+   * @param {string} triggerKey - Parameter that triggers the rule
+   * @param {string} triggerValue - Trigger parameter value the rule applies to
+   * @param {string} paramKey - Parameter patched by the rule
+   * @param {Object} paramData - Patch data (typology, fixedValue, enumValues, minimumValue, ...)
+   * @param {Object|null} [extras=null] - Additional conditions (parameter -> value) that must match
+   */
+  constructor(triggerKey, triggerValue, paramKey, paramData, extras = null) {
+    this.triggerKey = triggerKey;
+    this.triggerValue = triggerValue;
+    this.paramKey = paramKey;
+    this.paramData = paramData;
+    this.extras = extras;
+  }
+}
+
+class HonRuleSet {
+  /**
+   * @param {Object} command - HonCommand instance owning the parameters
+   * @param {Object} rule - Rule definition from the API (fixedValue or enumValues of a 'rule' parameter)
+   */
+  constructor(command, rule) {
+    this._command = command;
+    this._rules = {};
+    this._parseRule(rule);
+  }
+
+  /**
+   * Get parsed rules grouped by trigger key
+   * @returns {Object<string, Array<HonRule>>} Rules
+   */
+  get rules() {
+    return this._rules;
+  }
+
+  /**
+   * Get names of the parameters patched by this rule set
+   * @returns {Array<string>} Parameter names
+   */
+  get paramKeys() {
+    const keys = new Set();
+    for (const rules of Object.values(this._rules)) {
+      for (const rule of rules) {
+        keys.add(rule.paramKey);
+      }
+    }
+    return Array.from(keys);
+  }
+
+  /**
+   * Map an option name to its parameter name using appliance options
+   * @param {string} key - Key from the rule definition
+   * @returns {string} Parameter name
+   * @private
+   */
+  _optionKey(key) {
+    const options = this._command.appliance?.options || {};
+    return options[key] || key;
+  }
+
+  /**
+   * Parse rule definition
+   * @param {Object} rule - Rule definition
+   * @private
+   */
+  _parseRule(rule) {
+    for (const [paramKey, params] of Object.entries(rule || {})) {
+      if (typeof params !== 'object' || params === null) continue;
+
+      for (const [triggerKey, triggerData] of Object.entries(params)) {
+        this._parseConditions(this._optionKey(paramKey), triggerKey, triggerData);
+      }
+    }
+  }
+
+  /**
+   * Parse trigger conditions (recursive for nested extra conditions)
+   * @param {string} paramKey - Patched parameter
+   * @param {string} triggerKey - Trigger parameter (may be prefixed with '@')
+   * @param {Object} triggerData - Trigger values -> patch data or nested conditions
+   * @param {Object|null} [extra=null] - Conditions collected from outer levels
+   * @private
+   */
+  _parseConditions(paramKey, triggerKey, triggerData, extra = null) {
+    triggerKey = this._optionKey(triggerKey.replace(/@/g, ''));
+    if (typeof triggerData !== 'object' || triggerData === null) return;
+
+    for (const [multiTriggerValue, paramData] of Object.entries(triggerData)) {
+      for (const triggerValue of multiTriggerValue.split('|')) {
+        if (typeof paramData === 'object' && paramData !== null && 'typology' in paramData) {
+          this._createRule(paramKey, triggerKey, triggerValue, paramData, extra);
+        } else if (typeof paramData === 'object' && paramData !== null) {
+          const nestedExtra = { ...(extra || {}), [triggerKey]: triggerValue };
+          for (const [extraKey, extraData] of Object.entries(paramData)) {
+            this._parseConditions(paramKey, extraKey, extraData, nestedExtra);
+          }
+        } else {
+          this._createRule(paramKey, triggerKey, triggerValue, { typology: 'fixed', fixedValue: paramData }, extra);
+        }
+      }
+    }
+  }
+
+  /**
+   * Create and register a rule
+   * @param {string} paramKey - Patched parameter
+   * @param {string} triggerKey - Trigger parameter
+   * @param {string} triggerValue - Trigger value
+   * @param {Object} paramData - Patch data
+   * @param {Object|null} [extras=null] - Additional conditions
+   * @private
+   */
+  _createRule(paramKey, triggerKey, triggerValue, paramData, extras = null) {
+    // A rule fixing a parameter to itself has no effect
+    if (paramData.fixedValue === `@${paramKey}`) return;
+
+    if (!this._rules[triggerKey]) {
+      this._rules[triggerKey] = [];
+    }
+    this._rules[triggerKey].push(new HonRule(triggerKey, triggerValue, paramKey, paramData, extras));
+  }
+
+  /**
+   * Register rules with extra conditions on every condition parameter,
+   * so the rule is evaluated whichever of its parameters is set last
+   * @private
+   */
+  _duplicateForExtraConditions() {
+    const duplicated = {};
+
+    for (const rules of Object.values(this._rules)) {
+      for (const rule of rules) {
+        if (!rule.extras) continue;
+
+        for (const [key, value] of Object.entries(rule.extras)) {
+          const extras = { ...rule.extras };
+          delete extras[key];
+          extras[rule.triggerKey] = rule.triggerValue;
+
+          if (!duplicated[key]) duplicated[key] = [];
+          duplicated[key].push(new HonRule(key, value, rule.paramKey, rule.paramData, extras));
+        }
+      }
+    }
+
+    for (const [key, rules] of Object.entries(duplicated)) {
+      if (!this._rules[key]) this._rules[key] = [];
+      this._rules[key].push(...rules);
+    }
+  }
+
+  /**
+   * Check that all extra conditions of a rule match the current parameter values
+   * @param {HonRule} rule - Rule to check
+   * @returns {boolean} True if all conditions match
+   * @private
+   */
+  _extraRulesMatch(rule) {
+    if (!rule.extras) return true;
+
+    for (const [key, value] of Object.entries(rule.extras)) {
+      const parameter = this._command.parameters[key];
+      if (!parameter) return false;
+      if (String(parameter.value).toLowerCase() !== String(value).toLowerCase()) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Apply a fixed value rule
+   * @param {Object} param - Patched parameter
+   * @param {string|number} value - Fixed value
+   * @private
+   */
+  _applyFixed(param, value) {
+    if (param instanceof HonParameterEnum) {
+      const values = param.values;
+      if (values.length !== 1 || values[0] !== String(value)) {
+        param.values = [String(value)];
+      }
+      param.value = String(value);
+      return;
+    }
+
+    if (param instanceof HonParameterRange) {
+      const numValue = parseFloat(value);
+      if (numValue < param.min) {
+        param.min = numValue;
+      } else if (numValue > param.max) {
+        param.max = numValue;
+      }
+      param.value = numValue;
+      return;
+    }
+
+    param.value = String(value);
+  }
+
+  /**
+   * Apply an enum rule (restrict allowed values, select default)
+   * @param {Object} param - Patched parameter
+   * @param {HonRule} rule - Rule to apply
+   * @private
+   */
+  _applyEnum(param, rule) {
+    if (!(param instanceof HonParameterEnum)) return;
+
+    const { enumValues, defaultValue } = rule.paramData;
+    if (enumValues) {
+      param.values = Array.isArray(enumValues) ? enumValues.map(String) : String(enumValues).split('|');
+    }
+
+    if (defaultValue !== undefined && defaultValue !== '') {
+      param.value = String(defaultValue);
+    } else if (!param.values.includes(String(param.value)) && param.values.length > 0) {
+      param.value = param.values[0];
+    }
+  }
+
+  /**
+   * Apply a range rule (patch min/max/step, keep value inside the new range)
+   * @param {Object} param - Patched parameter
+   * @param {HonRule} rule - Rule to apply
+   * @private
+   */
+  _applyRange(param, rule) {
+    if (!(param instanceof HonParameterRange)) return;
+
+    const { minimumValue, maximumValue, incrementValue, defaultValue } = rule.paramData;
+    if (minimumValue !== undefined) param.min = parseFloat(minimumValue);
+    if (maximumValue !== undefined) param.max = parseFloat(maximumValue);
+    if (incrementValue !== undefined) param.step = parseFloat(incrementValue);
+
+    if (defaultValue !== undefined && defaultValue !== '') {
+      param.value = parseFloat(defaultValue);
+    } else if (param.value < param.min || param.value > param.max) {
+      param.value = param.value < param.min ? param.min : param.max;
+    }
+  }
+
+  /**
+   * Register a rule as trigger on its trigger parameter
+   * @param {Object} parameter - Trigger parameter
+   * @param {HonRule} rule - Rule to register
+   * @param {boolean} [immediate=true] - Apply the rule right away if the trigger value is set
+   * @private
+   */
+  _addTrigger(parameter, rule, immediate = true) {
+    const apply = (data) => {
+      if (!this._extraRulesMatch(data)) return;
+
+      const param = this._command.parameters[data.paramKey];
+      if (!param || param instanceof HonParameterProgram) return;
+
+      const fixedValue = data.paramData.fixedValue;
+      try {
+        if (fixedValue !== undefined && fixedValue !== '') {
+          this._applyFixed(param, fixedValue);
+        } else if (data.paramData.typology === 'enum') {
+          this._applyEnum(param, data);
+        } else if (data.paramData.typology === 'range') {
+          this._applyRange(param, data);
+        }
+      } catch (error) {
+        // A rule the parameter cannot represent must not break setting the trigger value
+        this._command._debugLog?.(`Rule ${data.triggerKey}=${data.triggerValue} → ${data.paramKey} not applied: ${error.message}`);
+      }
+    };
+
+    parameter.addTrigger(rule.triggerValue, apply, rule, immediate);
+  }
+
+  /**
+   * Wire all rules to the command parameters
+   * Called once by HonCommand after all parameters are created
+   * @returns {void}
+   */
+  patch() {
+    this._duplicateForExtraConditions();
+    this._addTriggers();
+  }
+
+  /**
+   * Register the rules as triggers on the command parameters
+   * @param {boolean} [immediate=true] - Apply rules whose trigger value is already set
+   * @private
+   */
+  _addTriggers(immediate = true) {
+    for (const [name, parameter] of Object.entries(this._command.parameters)) {
+      for (const rule of this._rules[name] || []) {
+        this._addTrigger(parameter, rule, immediate);
+      }
+    }
+  }
+
+  /**
+   * Create the same rule set for another command (e.g. a copy with cloned parameters)
+   * Rules are registered without being applied, as the parameters already reflect them
+   * @param {Object} command - HonCommand instance owning the parameters
+   * @returns {HonRuleSet} Rule set wired to the command parameters
+   */
+  bind(command) {
+    const ruleSet = Object.create(HonRuleSet.prototype);
+    ruleSet._command = command;
+    ruleSet._rules = this._rules;
+    ruleSet._addTriggers(false);
+    return ruleSet;
+  }
+}
+
+module.exports = { HonRule, HonRuleSet };
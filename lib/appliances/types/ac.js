@@ -0,0 +1,380 @@
+/**
+ * Air Conditioner Appliance
+ * Ported from pyhOn appliances/ac.py
+ * Climate-style control API built on the 'settings' command parameters
+ */
+
+const ApplianceBase = require('./base');
+
+class AirConditioner extends ApplianceBase {
+  /**
+   * Operating mode mapping (machMode values)
+   * Based on Home Assistant hOn integration
+   * @static
+   */
+  static MODES = {
+    '0': 'auto',
+    '1': 'cool',
+    '2': 'dry',
+    '3': 'dry',
+    '4': 'heat',
+    '5': 'fan',
+    '6': 'fan',
+  };
+
+  /**
+   * machMode value sent for each operating mode
+   * @static
+   */
+  static MODE_VALUES = {
+    auto: '0',
+    cool: '1',
+    dry: '2',
+    heat: '4',
+    fan: '6',
+  };
+
+  /**
+   * Fan speed mapping (windSpeed values)
+   * @static
+   */
+  static FAN_SPEEDS = {
+    '1': 'high',
+    '2': 'medium',
+    '3': 'low',
+    '4': 'auto',
+    '5': 'auto',
+  };
+
+  /**
+   * windSpeed value sent for each fan speed
+   * @static
+   */
+  static FAN_SPEED_VALUES = {
+    high: '1',
+    medium: '2',
+    low: '3',
+    auto: '5',
+  };
+
+  /**
+   * Swing positions: windDirectionVertical 8 and windDirectionHorizontal 7 mean "swinging",
+   * 5 and 0 are the fixed positions used when swing is turned off
+   * @static
+   */
+  static SWING = {
+    verticalOn: '8',
+    verticalOff: '5',
+    horizontalOn: '7',
+    horizontalOff: '0',
+  };
+
+  /**
+   * Attributes that describe the climate state and trigger change events
+   * @static
+   */
+  static STATE_KEYS = [
+    'onOffStatus',
+    'machMode',
+    'tempSel',
+    'windSpeed',
+    'windDirectionVertical',
+    'windDirectionHorizontal',
+    'ecoMode',
+    'silentSleepStatus'
+  ];
+
+  /**
+   * Process attributes for air conditioner
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+    data.active = String(data.parameters?.onOffStatus?.value) === '1';
+    return data;
+  }
+
+  /**
+   * Update climate state and emit events based on changed attributes
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'powerChanged': When onOffStatus changes
+   * - 'modeChanged': When machMode changes
+   * - 'targetTemperatureChanged': When tempSel changes
+   * - 'fanSpeedChanged': When windSpeed changes
+   * - 'stateChanged': Once per update if any climate attribute changed
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires AirConditioner#powerChanged
+   * @fires AirConditioner#modeChanged
+   * @fires AirConditioner#targetTemperatureChanged
+   * @fires AirConditioner#fanSpeedChanged
+   * @fires AirConditioner#stateChanged
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    const changes = this._detectChanges(params, oldValues, AirConditioner.STATE_KEYS);
+    if (changes.length === 0) return;
+
+    const timestamp = Date.now();
+
+    for (const { key, from, to } of changes) {
+      if (key === 'onOffStatus') {
+        this.emit('powerChanged', {
+          from: from !== null ? String(from) === '1' : null,
+          to: String(to) === '1',
+          timestamp
+        });
+      } else if (key === 'machMode') {
+        this.emit('modeChanged', {
+          from: from !== null ? this.getModeKey(from) : null,
+          to: this.getModeKey(to),
+          timestamp
+        });
+      } else if (key === 'tempSel') {
+        this.emit('targetTemperatureChanged', {
+          from: from !== null ? parseFloat(from) : null,
+          to: parseFloat(to),
+          timestamp
+        });
+      } else if (key === 'windSpeed') {
+        this.emit('fanSpeedChanged', {
+          from: from !== null ? this.getFanSpeedKey(from) : null,
+          to: this.getFanSpeedKey(to),
+          timestamp
+        });
+      }
+    }
+
+    /**
+     * State changed event
+     * @event AirConditioner#stateChanged
+     * @type {Object}
+     * @property {Array<Object>} changes - Changed attributes as { key, from, to }
+     * @property {Object} state - Full climate state (see getState())
+     * @property {number} timestamp - Unix timestamp in milliseconds
+     */
+    this.emit('stateChanged', {
+      changes,
+      state: this.getState(),
+      timestamp
+    });
+  }
+
+  /**
+   * Get operating mode as a normalized key
+   * @param {string|number} [machMode] - Optional machMode value. If not provided, reads from appliance
+   * @returns {string} Mode key (e.g., 'cool', 'heat', 'auto')
+   */
+  getModeKey(machMode) {
+    if (machMode === undefined) {
+      machMode = this._getParameterValue('machMode');
+    }
+    return AirConditioner.MODES[String(parseInt(machMode))] || 'unknown';
+  }
+
+  /**
+   * Get fan speed as a normalized key
+   * @param {string|number} [windSpeed] - Optional windSpeed value. If not provided, reads from appliance
+   * @returns {string} Fan speed key (e.g., 'low', 'auto')
+   */
+  getFanSpeedKey(windSpeed) {
+    if (windSpeed === undefined) {
+      windSpeed = this._getParameterValue('windSpeed');
+    }
+    return AirConditioner.FAN_SPEEDS[String(parseInt(windSpeed))] || 'unknown';
+  }
+
+  /**
+   * Check if the air conditioner is switched on
+   * @returns {boolean} True if on
+   */
+  isOn() {
+    return String(this._getParameterValue('onOffStatus')) === '1';
+  }
+
+  /**
+   * Get target temperature
+   * @returns {number|null} Target temperature in °C
+   */
+  getTargetTemperature() {
+    const value = this._getParameterValue('tempSel');
+    return value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Get current indoor temperature
+   * @returns {number|null} Indoor temperature in °C
+   */
+  getCurrentTemperature() {
+    const value = this._getParameterValue('tempIndoor');
+    return value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Get operating mode
+   * @returns {string} Mode key ('cool', 'heat', 'dry', 'fan', 'auto')
+   */
+  getMode() {
+    return this.getModeKey();
+  }
+
+  /**
+   * Get fan speed
+   * @returns {string} Fan speed key ('low', 'medium', 'high', 'auto')
+   */
+  getFanSpeed() {
+    return this.getFanSpeedKey();
+  }
+
+  /**
+   * Get swing state
+   * @returns {Object} { vertical: boolean, horizontal: boolean }
+   */
+  getSwing() {
+    return {
+      vertical: String(this._getParameterValue('windDirectionVertical')) === AirConditioner.SWING.verticalOn,
+      horizontal: String(this._getParameterValue('windDirectionHorizontal')) === AirConditioner.SWING.horizontalOn
+    };
+  }
+
+  /**
+   * Check if eco mode is enabled
+   * @returns {boolean} True if eco mode is on
+   */
+  isEcoMode() {
+    return String(this._getParameterValue('ecoMode')) === '1';
+  }
+
+  /**
+   * Check if sleep mode is enabled
+   * @returns {boolean} True if sleep mode is on
+   */
+  isSleepMode() {
+    return String(this._getParameterValue('silentSleepStatus')) === '1';
+  }
+
+  /**
+   * Get complete climate state
+   * @returns {Object} { on, mode, targetTemperature, currentTemperature, fanSpeed, swing, eco, sleep }
+   */
+  getState() {
+    return {
+      on: this.isOn(),
+      mode: this.getMode(),
+      targetTemperature: this.getTargetTemperature(),
+      currentTemperature: this.getCurrentTemperature(),
+      fanSpeed: this.getFanSpeed(),
+      swing: this.getSwing(),
+      eco: this.isEcoMode(),
+      sleep: this.isSleepMode()
+    };
+  }
+
+  /**
+   * Get allowed target temperature range
+   * @returns {Object|null} { min, max, step } or null if not available
+   */
+  getTargetTemperatureRange() {
+    const param = this.parent.commands?.settings?.parameters?.tempSel;
+    if (!param || param.min === undefined) return null;
+    return { min: param.min, max: param.max, step: param.step };
+  }
+
+  /**
+   * Switch the air conditioner on or off
+   * @param {boolean} on - True to switch on
+   * @returns {Promise<Object>} Send result
+   */
+  async setPower(on) {
+    return await this._sendSettings({ onOffStatus: on ? '1' : '0' });
+  }
+
+  /**
+   * Set target temperature
+   * @param {number} temperature - Target temperature in °C
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If temperature is outside the allowed range
+   * @example
+   * await ac.setTargetTemperature(22);
+   */
+  async setTargetTemperature(temperature) {
+    return await this._sendSettings({ tempSel: temperature });
+  }
+
+  /**
+   * Set operating mode (switches the air conditioner on)
+   * @param {string} mode - 'cool', 'heat', 'dry', 'fan' or 'auto'
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If mode is unknown
+   * @example
+   * await ac.setMode('cool');
+   */
+  async setMode(mode) {
+    const value = AirConditioner.MODE_VALUES[mode];
+    if (value === undefined) {
+      throw new Error(`Unknown mode '${mode}'. Allowed: ${Object.keys(AirConditioner.MODE_VALUES).join(', ')}`);
+    }
+    return await this._sendSettings({ onOffStatus: '1', machMode: value });
+  }
+
+  /**
+   * Set fan speed
+   * @param {string} speed - 'low', 'medium', 'high' or 'auto'
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If speed is unknown
+   */
+  async setFanSpeed(speed) {
+    const value = AirConditioner.FAN_SPEED_VALUES[speed];
+    if (value === undefined) {
+      throw new Error(`Unknown fan speed '${speed}'. Allowed: ${Object.keys(AirConditioner.FAN_SPEED_VALUES).join(', ')}`);
+    }
+    return await this._sendSettings({ windSpeed: value });
+  }
+
+  /**
+   * Set swing state
+   * @param {Object} swing - Swing state
+   * @param {boolean} [swing.vertical] - Vertical swing (unchanged if omitted)
+   * @param {boolean} [swing.horizontal] - Horizontal swing (unchanged if omitted)
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If neither direction is given
+   * @example
+   * await ac.setSwing({ vertical: true, horizontal: false });
+   */
+  async setSwing({ vertical, horizontal } = {}) {
+    const values = {};
+    if (vertical !== undefined) {
+      values.windDirectionVertical = vertical ? AirConditioner.SWING.verticalOn : AirConditioner.SWING.verticalOff;
+    }
+    if (horizontal !== undefined) {
+      values.windDirectionHorizontal = horizontal ? AirConditioner.SWING.horizontalOn : AirConditioner.SWING.horizontalOff;
+    }
+    return await this._sendSettings(values);
+  }
+
+  /**
+   * Enable or disable eco mode
+   * @param {boolean} enabled - True to enable
+   * @returns {Promise<Object>} Send result
+   */
+  async setEcoMode(enabled) {
+    return await this._sendSettings({ ecoMode: enabled ? '1' : '0' });
+  }
+
+  /**
+   * Enable or disable sleep mode
+   * @param {boolean} enabled - True to enable
+   * @returns {Promise<Object>} Send result
+   */
+  async setSleepMode(enabled) {
+    return await this._sendSettings({ silentSleepStatus: enabled ? '1' : '0' });
+  }
+}
+
+module.exports = AirConditioner;
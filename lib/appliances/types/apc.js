@@ -0,0 +1,271 @@
+/**
+ * Air Purifier Appliance
+ * Ported from pyhOn appliances/apc.py
+ * Air-quality sensor readings, AQI category, filter life and fan mode/speed control
+ */
+
+const ApplianceBase = require('./base');
+
+class AirPurifier extends ApplianceBase {
+  /**
+   * AQI category breakpoints for PM2.5 (µg/m³, upper bound inclusive)
+   * Based on the US EPA 24-hour PM2.5 AQI table
+   * @static
+   */
+  static AQI_CATEGORIES = [
+    { max: 12, key: 'good' },
+    { max: 35.4, key: 'moderate' },
+    { max: 55.4, key: 'unhealthy_sensitive' },
+    { max: 150.4, key: 'unhealthy' },
+    { max: 250.4, key: 'very_unhealthy' },
+    { max: Infinity, key: 'hazardous' },
+  ];
+
+  /**
+   * Fan mode mapping (machMode values)
+   * @static
+   */
+  static FAN_MODES = {
+    '1': 'sleep',
+    '2': 'auto',
+    '3': 'allergy',
+    '4': 'manual',
+  };
+
+  /**
+   * Filter life attributes (remaining life in percent)
+   * @static
+   */
+  static FILTERS = {
+    main: 'mainFilterStatus',
+    pre: 'preFilterStatus',
+  };
+
+  /**
+   * Remaining filter life (percent) at which filterReplacementDue is emitted
+   * @static
+   */
+  static FILTER_REPLACEMENT_THRESHOLD = 10;
+
+  /**
+   * Process attributes for air purifier
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+    data.active = String(data.parameters?.onOffStatus?.value) === '1';
+
+    const pm25 = data.parameters?.pm2p5Level?.value;
+    data.airQuality = AirPurifier.getAqiCategory(pm25);
+    return data;
+  }
+
+  /**
+   * Emit air-quality and filter events based on changed attributes
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'airQualityChanged': When the AQI category derived from PM2.5 changes
+   * - 'filterReplacementDue': When a filter's remaining life drops to FILTER_REPLACEMENT_THRESHOLD
+   * - 'fanModeChanged': When machMode changes
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires AirPurifier#airQualityChanged
+   * @fires AirPurifier#filterReplacementDue
+   * @fires AirPurifier#fanModeChanged
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    const timestamp = Date.now();
+
+    for (const { from, to } of this._detectChanges(params, oldValues, ['pm2p5Level'])) {
+      const fromCategory = from !== null ? AirPurifier.getAqiCategory(from) : null;
+      const toCategory = AirPurifier.getAqiCategory(to);
+      if (fromCategory === toCategory) continue;
+
+      /**
+       * Air quality changed event
+       * @event AirPurifier#airQualityChanged
+       * @type {Object}
+       * @property {string|null} from - Previous AQI category
+       * @property {string} to - New AQI category (e.g., 'good', 'moderate')
+       * @property {Object} readings - Current readings (see getAirQuality())
+       * @property {number} timestamp - Unix timestamp in milliseconds
+       */
+      this.emit('airQualityChanged', {
+        from: fromCategory,
+        to: toCategory,
+        readings: this.getAirQuality(),
+        timestamp
+      });
+    }
+
+    for (const [filter, key] of Object.entries(AirPurifier.FILTERS)) {
+      if (params[key] === undefined) continue;
+
+      const wasDue = AirPurifier._isReplacementDue(oldValues[key]);
+      const life = parseInt(this._getParameterValue(key));
+
+      if (AirPurifier._isReplacementDue(life) && !wasDue) {
+        /**
+         * Filter replacement due event
+         * @event AirPurifier#filterReplacementDue
+         * @type {Object}
+         * @property {string} filter - Filter type ('main' or 'pre')
+         * @property {number} remainingLife - Remaining filter life in percent
+         * @property {number} timestamp - Unix timestamp in milliseconds
+         */
+        this.emit('filterReplacementDue', { filter, remainingLife: life, timestamp });
+      }
+    }
+
+    for (const { from, to } of this._detectChanges(params, oldValues, ['machMode'])) {
+      this.emit('fanModeChanged', {
+        from: from !== null ? this.getFanModeKey(from) : null,
+        to: this.getFanModeKey(to),
+        timestamp
+      });
+    }
+  }
+
+  /**
+   * Map a PM2.5 concentration to an AQI category
+   * @param {number|string} pm25 - PM2.5 concentration in µg/m³
+   * @returns {string|null} Category key (e.g., 'good', 'moderate', 'unhealthy'), or null if not a number
+   * @static
+   * @example
+   * AirPurifier.getAqiCategory(20); // 'moderate'
+   */
+  static getAqiCategory(pm25) {
+    const value = parseFloat(pm25);
+    if (isNaN(value)) return null;
+    return AirPurifier.AQI_CATEGORIES.find(category => value <= category.max).key;
+  }
+
+  /**
+   * Check whether a filter life value means replacement is due
+   * @param {string|number} value - Remaining filter life in percent
+   * @returns {boolean} True if due
+   * @private
+   */
+  static _isReplacementDue(value) {
+    const life = parseInt(value);
+    return !isNaN(life) && life <= AirPurifier.FILTER_REPLACEMENT_THRESHOLD;
+  }
+
+  /**
+   * Read a numeric attribute
+   * @param {string} key - Parameter name
+   * @returns {number|null} Value or null if not reported
+   * @private
+   */
+  _getNumber(key) {
+    const value = parseFloat(this._getParameterValue(key));
+    return isNaN(value) ? null : value;
+  }
+
+  /**
+   * Get air-quality readings
+   * @returns {Object} { pm25, pm10, voc, humidity, temperature, category }
+   * @example
+   * apc.getAirQuality();
+   * // Returns: { pm25: 8, pm10: 14, voc: 1, humidity: 45, temperature: 21, category: 'good' }
+   */
+  getAirQuality() {
+    const pm25 = this._getNumber('pm2p5Level');
+    return {
+      pm25,
+      pm10: this._getNumber('pm10Level'),
+      voc: this._getNumber('vocValue'),
+      humidity: this._getNumber('humidityIndoor'),
+      temperature: this._getNumber('temp'),
+      category: AirPurifier.getAqiCategory(pm25)
+    };
+  }
+
+  /**
+   * Get remaining filter life
+   * @returns {Object} Map of filter type -> remaining life in percent (null if not reported)
+   */
+  getFilterLife() {
+    const result = {};
+    for (const [filter, key] of Object.entries(AirPurifier.FILTERS)) {
+      result[filter] = this._getNumber(key);
+    }
+    return result;
+  }
+
+  /**
+   * Check if any filter needs to be replaced
+   * @returns {boolean} True if a filter is at or below the replacement threshold
+   */
+  isFilterReplacementDue() {
+    return Object.values(this.getFilterLife()).some(life => AirPurifier._isReplacementDue(life));
+  }
+
+  /**
+   * Get fan mode as a normalized key
+   * @param {string|number} [machMode] - Optional machMode value. If not provided, reads from appliance
+   * @returns {string} Fan mode key ('sleep', 'auto', 'allergy', 'manual')
+   */
+  getFanModeKey(machMode) {
+    if (machMode === undefined) {
+      machMode = this._getParameterValue('machMode');
+    }
+    return AirPurifier.FAN_MODES[String(parseInt(machMode))] || 'unknown';
+  }
+
+  /**
+   * Get fan speed
+   * @returns {number|null} Fan speed level
+   */
+  getFanSpeed() {
+    return this._getNumber('windSpeed');
+  }
+
+  /**
+   * Check if the purifier is switched on
+   * @returns {boolean} True if on
+   */
+  isOn() {
+    return String(this._getParameterValue('onOffStatus')) === '1';
+  }
+
+  /**
+   * Switch the purifier on or off
+   * @param {boolean} on - True to switch on
+   * @returns {Promise<Object>} Send result
+   */
+  async setPower(on) {
+    return await this._sendSettings({ onOffStatus: on ? '1' : '0' });
+  }
+
+  /**
+   * Set fan mode
+   * @param {string} mode - 'sleep', 'auto', 'allergy' or 'manual'
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If mode is unknown
+   */
+  async setFanMode(mode) {
+    const value = Object.keys(AirPurifier.FAN_MODES).find(key => AirPurifier.FAN_MODES[key] === mode);
+    if (value === undefined) {
+      throw new Error(`Unknown fan mode '${mode}'. Allowed: ${Object.values(AirPurifier.FAN_MODES).join(', ')}`);
+    }
+    return await this._sendSettings({ machMode: value });
+  }
+
+  /**
+   * Set fan speed (switches to manual mode)
+   * @param {number} speed - Fan speed level
+   * @returns {Promise<Object>} Send result
+   */
+  async setFanSpeed(speed) {
+    return await this._sendSettings({ machMode: '4', windSpeed: speed });
+  }
+}
+
+module.exports = AirPurifier;
@@ -1,14 +1,510 @@
 /**
  * ApplianceBase - Base class for appliance-specific logic
  * Ported from pyhOn appliances/base.py
+ * Uses EventEmitter composition for real-time state change events
+ * Provides the shared program catalog (translations, program lookup by prCode)
  */
 
+const EventEmitter = require('events');
+const { HonParameterRange } = require('../../parameters');
+
 class ApplianceBase {
   /**
    * @param {Object} appliance - Parent appliance
+   * @param {Object} [translations={}] - Translations object from hOn API
    */
-  constructor(appliance) {
+  constructor(appliance, translations = {}) {
     this.parent = appliance;
+    this._translations = translations;
+    // Use composition for EventEmitter functionality
+    this._emitter = new EventEmitter();
+  }
+
+  /**
+   * Register event listener (delegates to internal EventEmitter)
+   * @param {string} event - Event name
+   * @param {Function} listener - Event handler function
+   * @returns {ApplianceBase} this instance for chaining
+   * @example
+   * appliance.extra.on('attributesUpdated', (params) => console.log(params));
+   */
+  on(event, listener) {
+    this._emitter.on(event, listener);
+    return this;
+  }
+
+  /**
+   * Remove event listener (delegates to internal EventEmitter)
+   * @param {string} event - Event name
+   * @param {Function} listener - Event handler function to remove
+   * @returns {ApplianceBase} this instance for chaining
+   * @example
+   * appliance.extra.off('attributesUpdated', handlerFunction);
+   */
+  off(event, listener) {
+    this._emitter.off(event, listener);
+    return this;
+  }
+
+  /**
+   * Emit event (delegates to internal EventEmitter)
+   * The event is also re-emitted on the parent HonAppliance, so domain events
+   * can be subscribed to on any appliance without going through appliance.extra
+   * @param {string} event - Event name
+   * @param {...*} args - Event arguments
+   * @returns {boolean} true if event had listeners
+   * @example
+   * this.emit('attributesUpdated', { remainingTimeMM: '30' });
+   */
+  emit(event, ...args) {
+    const handled = this._emitter.emit(event, ...args);
+    const forwarded = this.parent instanceof EventEmitter ? this.parent.emit(event, ...args) : false;
+    return handled || forwarded;
+  }
+
+  /**
+   * Register one-time event listener (delegates to internal EventEmitter)
+   * @param {string} event - Event name
+   * @param {Function} listener - Event handler function (will be called only once)
+   * @returns {ApplianceBase} this instance for chaining
+   * @example
+   * appliance.extra.once('programFinished', () => console.log('Done!'));
+   */
+  once(event, listener) {
+    this._emitter.once(event, listener);
+    return this;
+  }
+
+  /**
+   * Remove specific event listener (alias for off)
+   * @param {string} event - Event name
+   * @param {Function} listener - Event handler function to remove
+   * @returns {ApplianceBase} this instance for chaining
+   */
+  removeListener(event, listener) {
+    this._emitter.removeListener(event, listener);
+    return this;
+  }
+
+  /**
+   * Remove all listeners for an event, or all events if no event specified
+   * @param {string} [event] - Event name (optional, removes all if omitted)
+   * @returns {ApplianceBase} this instance for chaining
+   * @example
+   * appliance.extra.removeAllListeners('programStarted'); // Remove all programStarted listeners
+   * appliance.extra.removeAllListeners(); // Remove ALL listeners
+   */
+  removeAllListeners(event) {
+    this._emitter.removeAllListeners(event);
+    return this;
+  }
+
+  /**
+   * Get count of listeners for an event
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners registered for this event
+   * @example
+   * const count = wm.listenerCount('attributesUpdated');
+   */
+  listenerCount(event) {
+    return this._emitter.listenerCount(event);
+  }
+
+  /**
+   * Update appliance data from MQTT payload and trigger state events
+   * Updates the parent appliance, emits 'attributesUpdated' and then calls
+   * updateState() when the appliance type defines it
+   * @param {Object} payload - MQTT message payload
+   * @param {Object} payload.parameters - Key-value pairs of appliance parameters
+   * @returns {void}
+   */
+  updateFromMQTT(payload) {
+    // This will also populate payload.oldValues with pre-update values
+    this.parent.updateFromMQTT(payload);
+
+    if (payload && payload.parameters) {
+      const params = payload.parameters;
+
+      this.emit('attributesUpdated', params);
+
+      if (typeof this.updateState === 'function') {
+        this.updateState(params, payload.oldValues || {});
+      }
+    }
+  }
+
+  /**
+   * Get current value of an appliance attribute parameter
+   * @param {string} key - Parameter name (e.g., 'tempSel')
+   * @returns {*} Raw value or undefined if not present
+   * @protected
+   */
+  _getParameterValue(key) {
+    const param = this.parent.attributes?.parameters?.[key];
+    if (param === undefined || param === null) return undefined;
+    return typeof param === 'object' ? param.value : param;
+  }
+
+  /**
+   * Collect parameters whose value actually changed in an MQTT update
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} oldValues - Values before the update
+   * @param {Array<string>} keys - Parameter names to check
+   * @returns {Array<Object>} Changes as { key, from, to }
+   * @protected
+   */
+  _detectChanges(params, oldValues, keys) {
+    const changes = [];
+
+    for (const key of keys) {
+      if (params[key] === undefined) continue;
+
+      const to = typeof params[key] === 'object' && params[key] !== null ? params[key].value : params[key];
+      const from = oldValues ? oldValues[key] : undefined;
+
+      if (from === undefined || String(from) !== String(to)) {
+        changes.push({ key, from: from !== undefined ? from : null, to });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Set parameter values on a command and send it
+   * Every value is checked by the parameter setters (range/enum) on a copy of its parameter
+   * first, so the command is only changed when the whole update is valid
+   * @param {Object} values - Parameter values to set (name -> value)
+   * @param {string} [commandName='settings'] - Command to use
+   * @returns {Promise<Object>} Result of HonCommand.send()
+   * @throws {Error} If there is nothing to set, the command or a parameter is not available, or a value is not allowed
+   * @protected
+   */
+  async _sendSettings(values, commandName = 'settings') {
+    const entries = Object.entries(values || {});
+    if (entries.length === 0) {
+      throw new Error(`No values to set on command '${commandName}'`);
+    }
+
+    const command = this.parent.commands?.[commandName];
+    if (!command) {
+      throw new Error(`Command '${commandName}' is not available on this appliance`);
+    }
+
+    const updates = entries.map(([key, value]) => {
+      const parameter = command.parameters[key];
+      if (!parameter) {
+        throw new Error(`Parameter '${key}' is not available in command '${commandName}'`);
+      }
+      const newValue = parameter instanceof HonParameterRange ? value : String(value);
+      parameter.clone().value = newValue;
+      return [parameter, newValue];
+    });
+
+    for (const [parameter, newValue] of updates) {
+      parameter.value = newValue;
+    }
+
+    return await command.send({ ...command.parameterGroups.parameters });
+  }
+
+  /**
+   * Set translations dictionary
+   * @param {Object} translations - Translations object from hOn API
+   * @returns {void}
+   * @example
+   * appliance.extra.setTranslations(translationsFromAPI);
+   */
+  setTranslations(translations) {
+    this._translations = translations || {};
+  }
+
+  /**
+   * Get translation for a key
+   * Supports nested keys with dot notation
+   * @param {string} key - Translation key (e.g., 'PROGRAMS.WM_WD.COTTONS')
+   * @returns {string} Translated text or key as fallback
+   * @example
+   * const translated = appliance.extra.getTranslation('PROGRAMS.WM_WD.COTTONS');
+   * // Returns: "Cotone" (if translated) or key itself (fallback)
+   */
+  getTranslation(key) {
+    if (!key || !this._translations) return key;
+
+    const parts = key.split('.');
+    let result = this._translations;
+
+    for (const part of parts) {
+      if (result && typeof result === 'object' && part in result) {
+        result = result[part];
+      } else {
+        return key; // Not found
+      }
+    }
+
+    return typeof result === 'string' ? result : key;
+  }
+
+  /**
+   * Get all available programs, including custom favourites.
+   * Custom favourites are user-configured variants of base programs with different temp/spinSpeed.
+   * Only programs without a prCode are excluded.
+   * Uses internal translations if available.
+   * @public
+   * @returns {Array<Object>} Array of program objects with id, name, prCode, prPosition, temp, spinSpeed, favourite
+   * @example
+   * const programs = appliance.extra.getAvailablePrograms();
+   * // Returns: [{ id: 'cottons', name: 'Cotone', prCode: 1, prPosition: 0, temp: 40, spinSpeed: 1200, favourite: 0 }, ...]
+   */
+  getAvailablePrograms() {
+    const startCmd = this.parent.commands?.startProgram;
+    if (!startCmd || !startCmd.categories) return [];
+
+    const programs = [];
+
+    for (const [name, category] of Object.entries(startCmd.categories)) {
+      // Skip programs without a prCode - they cannot be identified or started
+      const prCode = category.parameters?.prCode?.value;
+      if (prCode === undefined || prCode === null) continue;
+
+      const prPosition = category.parameters?.prPosition?.value;
+      const favourite = category.parameters?.favourite?.value;
+      const translationKey = category._categoryName;
+
+      // Get localized name using translation key from API
+      const displayName = this.getLocalizedProgramName(name, translationKey);
+
+      // Get temperature and spin speed for this program
+      const temp = category.parameters?.temp?.value;
+      const spinSpeed = category.parameters?.spinSpeed?.value;
+
+      programs.push({
+        id: name,
+        name: displayName,
+        prCode: parseInt(prCode),
+        prPosition: prPosition !== undefined ? parseInt(prPosition) : null,
+        temp: temp !== undefined ? parseInt(temp) : null,
+        spinSpeed: spinSpeed !== undefined ? parseInt(spinSpeed) : null,
+        favourite: favourite !== undefined ? parseInt(favourite) : 0
+      });
+    }
+
+    // Sort by display name (case-insensitive alphabetical order)
+    return programs.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * Get values for a parameter (handles both Enum and Range types)
+   * @param {string} paramName - Parameter name
+   * @returns {Array<number>} Array of numeric values
+   * @private
+   */
+  _getParameterValues(paramName) {
+    const param = this.parent.commands?.startProgram?.parameters?.[paramName];
+    if (!param) return [];
+
+    const values = param.values || [];
+    return values
+      .map(v => parseInt(v))
+      .filter(v => !isNaN(v))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Get localized program name
+   * Uses translation key provided by API, falls back to formatted name if not available
+   * @param {string|null} programId - Program ID from API (can be null if translationKey is provided)
+   * @param {string} [translationKey] - Translation key from API (program._category)
+   * @returns {string} Localized program name or formatted fallback
+   * @example
+   * const name = appliance.extra.getLocalizedProgramName('rapid_14_min', 'PROGRAMS.WM_WD.RAPID_14_MIN');
+   * // Returns: "Rapido 14'" (if translated) or "Rapid 14 Min" (fallback)
+   * @example
+   * const name = appliance.extra.getLocalizedProgramName(null, 'PROGRAMS.WM_WD.COTTONS');
+   * // Returns: "Cotone" (if translated) or empty string (fallback)
+   */
+  getLocalizedProgramName(programId, translationKey = null) {
+    // Try translation using key provided by API first
+    if (translationKey) {
+      const translated = this.getTranslation(translationKey);
+      if (translated && translated !== translationKey) return translated;
+    }
+
+    // If no programId, we can't proceed with fallbacks
+    if (!programId) return '';
+
+    // Fallback to program name in commands if available
+    if (this.parent.commands?.startProgram?.programs?.[programId]?.name) {
+      return this.parent.commands.startProgram.programs[programId].name;
+    }
+
+    // Final fallback: format program ID
+    const HonParameterProgram = require('../../parameters/program');
+    return HonParameterProgram.formatProgramName(programId);
+  }
+
+  /**
+   * Find a program by prCode and prPosition, with cascading disambiguation logic.
+   * When multiple programs match (e.g. base program + custom favourites with same prCode/prPosition),
+   * the method narrows down candidates step by step using temp, spinSpeed, and favourite flag.
+   * @public
+   * @param {number} prCode - Program code to search for
+   * @param {number|null} [prPosition=null] - Program position (optional, tightens the search)
+   * @param {boolean|null} [remoteControlEnabled=null] - Whether remote control is enabled; if true prefers IOT programs, if false prefers non-IOT
+   * @param {number|null} [temp=null] - Temperature value in °C from MQTT; used to disambiguate among multiple matches
+   * @param {number|null} [spinSpeed=null] - Spin speed value in RPM from MQTT; used to disambiguate among multiple matches
+   * @returns {Object|null} Matched program object, or null if not found.
+   *   The object contains: { id, name, prCode, prPosition, temp, spinSpeed, favourite, translationKey, isIot, isSpecial }
+   * @example
+   * // Basic lookup
+   * const prog = appliance.extra.findProgramByCode(9, 2);
+   * @example
+   * // Lookup with MQTT values for custom favourite disambiguation
+   * const prog = appliance.extra.findProgramByCode(9, 2, null, 60, 800);
+   */
+  findProgramByCode(prCode, prPosition = null, remoteControlEnabled = null, temp = null, spinSpeed = null) {
+    const startCmd = this.parent.commands?.startProgram;
+    if (!startCmd?.categories) return null;
+
+    const HonParameterProgram = require('../../parameters/program');
+    const searchPrCode = String(prCode);
+    const searchPrPosition = prPosition !== null ? String(prPosition) : null;
+
+    let matches = [];
+
+    // Collect all matching programs
+    for (const [key, category] of Object.entries(startCmd.categories)) {
+      const catPrCode = String(category.parameters?.prCode?.value || '');
+      const catPrPosition = category.parameters?.prPosition?.value !== undefined
+        ? String(category.parameters.prPosition.value)
+        : null;
+
+      if (catPrCode !== searchPrCode) continue;
+      if (searchPrPosition !== null && catPrPosition !== searchPrPosition) continue;
+
+      const keyUpper = key.toUpperCase();
+      const isIot = keyUpper.startsWith('IOT_');
+      const isSpecial = keyUpper.startsWith('SPECIAL_');
+      const translationKey = category._categoryName;
+      const catFavourite = category.parameters?.favourite?.value;
+      const catTemp = category.parameters?.temp?.value;
+      const catSpinSpeed = category.parameters?.spinSpeed?.value;
+
+      // Get localized program name using translation key
+      const localizedName = this.getLocalizedProgramName(key, translationKey);
+
+      matches.push({
+        id: key,
+        name: localizedName,
+        prCode: parseInt(prCode),
+        prPosition: catPrPosition !== null ? parseInt(catPrPosition) : null,
+        temp: catTemp !== undefined ? parseInt(catTemp) : null,
+        spinSpeed: catSpinSpeed !== undefined ? parseInt(catSpinSpeed) : null,
+        favourite: catFavourite !== undefined ? parseInt(catFavourite) : 0,
+        translationKey: translationKey || null,
+        isIot,
+        isSpecial
+      });
+    }
+
+    if (matches.length === 0) return null;
+    if (matches.length === 1) return matches[0];
+
+    // Multiple matches - apply cascading filtering logic
+    let filtered = matches;
+
+    // STEP 1: Filter by remote control status (if provided)
+    if (remoteControlEnabled !== null) {
+      if (remoteControlEnabled) {
+        // Remote ON: prefer IOT programs
+        const iotMatches = filtered.filter(m => m.isIot);
+        if (iotMatches.length > 0) {
+          filtered = iotMatches;
+          console.log(`🎮 Remote control ON: filtered to ${iotMatches.length} IOT programs`);
+        }
+      } else {
+        // Remote OFF: prefer NON-IOT programs
+        const nonIotMatches = filtered.filter(m => !m.isIot);
+        if (nonIotMatches.length > 0) {
+          filtered = nonIotMatches;
+          console.log(`🎮 Remote control OFF: filtered to ${nonIotMatches.length} NON-IOT programs`);
+        }
+      }
+    }
+
+    // STEP 2: Prefer real programs over SPECIAL programs
+    if (filtered.length > 1) {
+      const realPrograms = filtered.filter(m => !m.isSpecial);
+      if (realPrograms.length > 0) {
+        filtered = realPrograms;
+        console.log(`🎯 Applied priority: selected ${realPrograms.length} real (non-SPECIAL) programs`);
+      }
+    }
+
+    // STEP 3: Disambiguate by temperature (from MQTT)
+    if (filtered.length > 1 && temp !== null) {
+      const tempMatches = filtered.filter(m => m.temp === temp);
+      if (tempMatches.length > 0) {
+        filtered = tempMatches;
+        console.log(`🌡️  Filtered by temp=${temp}: ${filtered.length} remaining`);
+      }
+    }
+
+    // STEP 4: Disambiguate by spin speed (from MQTT)
+    if (filtered.length > 1 && spinSpeed !== null) {
+      const spinMatches = filtered.filter(m => m.spinSpeed === spinSpeed);
+      if (spinMatches.length > 0) {
+        filtered = spinMatches;
+        console.log(`💨 Filtered by spinSpeed=${spinSpeed}: ${filtered.length} remaining`);
+      }
+    }
+
+    // STEP 5: If still multiple, prefer the user's favourite
+    if (filtered.length > 1) {
+      const favouriteMatches = filtered.filter(m => m.favourite === 1);
+      if (favouriteMatches.length > 0) {
+        filtered = favouriteMatches;
+        console.log(`⭐ Preferred favourite: ${filtered.length} remaining`);
+      }
+    }
+
+    // STEP 6: Fallback - take first
+    if (filtered.length > 1) {
+      console.warn(`⚠️  Still ${filtered.length} matches for prCode=${prCode}, prPosition=${prPosition}, temp=${temp}, spinSpeed=${spinSpeed}:`);
+      filtered.forEach(m => console.warn(`   - ${m.id} (temp=${m.temp}, spinSpeed=${m.spinSpeed}, favourite=${m.favourite})`));
+      console.warn(`   Using first: ${filtered[0].id}`);
+    }
+
+    return filtered[0];
+  }
+
+  /**
+   * Get current program information based on MQTT attributes.
+   * Passes temp and spinSpeed to findProgramByCode to correctly resolve custom favourites.
+   * @public
+   * @returns {Object|null} Program info object, or null if no program is active
+   * @example
+   * const info = appliance.extra.getProgramInfo();
+   * // Returns: { id: 'cottons', name: 'Cotone', prCode: 1, temp: 60, spinSpeed: 800, favourite: 1, ... }
+   */
+  getProgramInfo() {
+    const prCode = this.parent.attributes?.parameters?.prCode?.value;
+    const prPosition = this.parent.attributes?.parameters?.prPosition?.value;
+
+    if (!prCode || prCode === '0') return null;
+
+    const tempRaw = this.parent.attributes?.parameters?.temp?.value;
+    const spinSpeedRaw = this.parent.attributes?.parameters?.spinSpeed?.value;
+    const temp = tempRaw !== undefined && tempRaw !== null ? parseInt(tempRaw) : null;
+    const spinSpeed = spinSpeedRaw !== undefined && spinSpeedRaw !== null ? parseInt(spinSpeedRaw) : null;
+
+    return this.findProgramByCode(
+      parseInt(prCode),
+      prPosition ? parseInt(prPosition) : null,
+      null,
+      temp,
+      spinSpeed
+    );
   }
 
   /**
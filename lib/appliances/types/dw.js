@@ -0,0 +1,123 @@
+/**
+ * Dishwasher Appliance
+ * Ported from pyhOn appliances/dw.py
+ * Extends WashingMachine to share event emission, translations and program lookup
+ */
+
+const WashingMachine = require('./wm');
+
+class Dishwasher extends WashingMachine {
+  /**
+   * Dishwasher phase mapping (prPhase values)
+   * Based on Home Assistant hOn integration
+   * Maps to GLOBALS.APPLIANCE_STATUS.* translation keys
+   * @static
+   */
+  static DISH_PHASES = {
+    '0': 'ready',            // Ready/Idle
+    '1': 'prewashing',       // Pre-wash
+    '2': 'washing',          // Washing
+    '3': 'rinse',            // Rinse
+    '4': 'drying',           // Drying
+    '5': 'ready',            // Ready (end of cycle)
+    '6': 'rinse',            // Hot rinse
+    '255': 'ready',          // Ready (end state)
+  };
+
+  /**
+   * Level alert attributes and the event emitted when they turn low
+   * An attribute value of '1' means the reservoir needs to be refilled
+   * @static
+   */
+  static LEVEL_ALERTS = {
+    rinseAidStatus: 'rinseAidLow',
+    saltStatus: 'saltLow'
+  };
+
+  /**
+   * Update appliance data from MQTT payload and trigger state events
+   * Adds rinse-aid and salt alerts on top of the WashingMachine events
+   * @param {Object} payload - MQTT message payload
+   * @param {Object} payload.parameters - Key-value pairs of appliance parameters
+   * @returns {void}
+   * @fires Dishwasher#rinseAidLow
+   * @fires Dishwasher#saltLow
+   * @example
+   * dw.on('saltLow', () => console.log('Refill dishwasher salt'));
+   */
+  updateFromMQTT(payload) {
+    super.updateFromMQTT(payload);
+
+    if (!payload || !payload.parameters) return;
+
+    const params = payload.parameters;
+    const oldValues = payload.oldValues || {};
+
+    for (const [key, event] of Object.entries(Dishwasher.LEVEL_ALERTS)) {
+      if (params[key] === undefined) continue;
+
+      const wasLow = Dishwasher._isLow(oldValues[key]);
+      const isLow = Dishwasher._isLow(params[key]);
+
+      if (isLow && !wasLow) {
+        /**
+         * Level alert events (rinseAidLow, saltLow)
+         * @event Dishwasher#rinseAidLow
+         * @event Dishwasher#saltLow
+         * @type {Object}
+         * @property {string} key - Attribute name (e.g., 'saltStatus')
+         * @property {string} level - Always 'low'
+         * @property {number} timestamp - Unix timestamp in milliseconds
+         */
+        this.emit(event, {
+          key,
+          level: 'low',
+          timestamp: Date.now()
+        });
+      }
+    }
+  }
+
+  /**
+   * Check whether a level attribute value means "low"
+   * @param {string|number|Object} value - Attribute value or {value} object
+   * @returns {boolean} True if low
+   * @private
+   */
+  static _isLow(value) {
+    const raw = typeof value === 'object' && value !== null ? value.value : value;
+    return raw !== undefined && raw !== null && parseInt(raw) === 1;
+  }
+
+  /**
+   * Get current dishwasher phase as a normalized key
+   * Overrides WashingMachine so inherited phaseChanged events and
+   * state translation keys report dishwasher phases
+   * @param {string|number} [prPhase] - Optional prPhase value. If not provided, reads from appliance
+   * @returns {string} Phase key (e.g., 'prewashing', 'washing', 'rinse', 'drying')
+   */
+  getWashPhaseKey(prPhase) {
+    if (prPhase === undefined) {
+      prPhase = this.parent.attributes?.parameters?.prPhase?.value;
+    }
+    return Dishwasher.DISH_PHASES[String(prPhase)] || 'idle';
+  }
+
+  /**
+   * Check if rinse aid needs to be refilled
+   * @returns {boolean} True if rinse aid level is low
+   */
+  isRinseAidLow() {
+    return Dishwasher._isLow(this.parent.attributes?.parameters?.rinseAidStatus?.value);
+  }
+
+  /**
+   * Check if salt needs to be refilled
+   * @returns {boolean} True if salt level is low
+   */
+  isSaltLow() {
+    return Dishwasher._isLow(this.parent.attributes?.parameters?.saltStatus?.value);
+  }
+}
+
+module.exports = Dishwasher;
@@ -0,0 +1,190 @@
+/**
+ * Cooker Hood Appliance
+ * Loaded for appliance type HO
+ * Fan speed, light, linked hob mode and filter-saturation alerts
+ */
+
+const ApplianceBase = require('./base');
+
+class Hood extends ApplianceBase {
+  /**
+   * Filter saturation attributes (percentage, 100 = saturated)
+   * @static
+   */
+  static FILTERS = {
+    grease: 'greaseFilterSaturation',
+    carbon: 'carbonFilterSaturation',
+  };
+
+  /**
+   * Saturation percentage at which a filter alert is emitted
+   * @static
+   */
+  static FILTER_ALERT_THRESHOLD = 100;
+
+  /**
+   * Process attributes for cooker hood
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+    data.active = String(data.parameters?.onOffStatus?.value) === '1';
+    return data;
+  }
+
+  /**
+   * Emit hood events based on changed attributes
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'fanSpeedChanged': When windSpeed changes
+   * - 'lightChanged': When lightStatus changes
+   * - 'linkedModeChanged': When the hob-linked mode is switched on or off
+   * - 'filterSaturated': When a filter reaches FILTER_ALERT_THRESHOLD
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires Hood#fanSpeedChanged
+   * @fires Hood#lightChanged
+   * @fires Hood#linkedModeChanged
+   * @fires Hood#filterSaturated
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    const timestamp = Date.now();
+
+    for (const { key, from, to } of this._detectChanges(params, oldValues, ['windSpeed', 'lightStatus', 'hobLinkStatus'])) {
+      if (key === 'windSpeed') {
+        this.emit('fanSpeedChanged', {
+          from: from !== null ? parseInt(from) : null,
+          to: parseInt(to),
+          timestamp
+        });
+      } else if (key === 'lightStatus') {
+        this.emit('lightChanged', { on: String(to) === '1', timestamp });
+      } else if (key === 'hobLinkStatus') {
+        this.emit('linkedModeChanged', { linked: String(to) === '1', timestamp });
+      }
+    }
+
+    for (const [filter, key] of Object.entries(Hood.FILTERS)) {
+      if (params[key] === undefined) continue;
+
+      const wasSaturated = Hood._isSaturated(oldValues[key]);
+      const saturation = parseInt(this._getParameterValue(key));
+
+      if (Hood._isSaturated(saturation) && !wasSaturated) {
+        /**
+         * Filter saturated event
+         * @event Hood#filterSaturated
+         * @type {Object}
+         * @property {string} filter - Filter type ('grease' or 'carbon')
+         * @property {number} saturation - Saturation percentage
+         * @property {number} timestamp - Unix timestamp in milliseconds
+         */
+        this.emit('filterSaturated', { filter, saturation, timestamp });
+      }
+    }
+  }
+
+  /**
+   * Check whether a saturation value reached the alert threshold
+   * @param {string|number} value - Saturation percentage
+   * @returns {boolean} True if saturated
+   * @private
+   */
+  static _isSaturated(value) {
+    const saturation = parseInt(value);
+    return !isNaN(saturation) && saturation >= Hood.FILTER_ALERT_THRESHOLD;
+  }
+
+  /**
+   * Check if the hood is switched on
+   * @returns {boolean} True if on
+   */
+  isOn() {
+    return String(this._getParameterValue('onOffStatus')) === '1';
+  }
+
+  /**
+   * Get fan speed level
+   * @returns {number} Fan speed (0 = off)
+   */
+  getFanSpeed() {
+    return parseInt(this._getParameterValue('windSpeed')) || 0;
+  }
+
+  /**
+   * Check if the light is on
+   * @returns {boolean} True if on
+   */
+  isLightOn() {
+    return String(this._getParameterValue('lightStatus')) === '1';
+  }
+
+  /**
+   * Check if the hood follows the linked hob
+   * @returns {boolean} True if linked
+   */
+  isLinkedMode() {
+    return String(this._getParameterValue('hobLinkStatus')) === '1';
+  }
+
+  /**
+   * Get filter saturation
+   * @returns {Object} Map of filter type -> saturation percentage (null if not reported)
+   * @example
+   * hood.getFilterSaturation();
+   * // Returns: { grease: 80, carbon: null }
+   */
+  getFilterSaturation() {
+    const result = {};
+    for (const [filter, key] of Object.entries(Hood.FILTERS)) {
+      const value = this._getParameterValue(key);
+      result[filter] = value !== undefined ? parseInt(value) : null;
+    }
+    return result;
+  }
+
+  /**
+   * Get filters that need cleaning or replacement
+   * @returns {Array<string>} Filter types at or above the alert threshold
+   */
+  getSaturatedFilters() {
+    return Object.entries(this.getFilterSaturation())
+      .filter(([, saturation]) => Hood._isSaturated(saturation))
+      .map(([filter]) => filter);
+  }
+
+  /**
+   * Set fan speed
+   * @param {number} speed - Fan speed level (0 = off)
+   * @returns {Promise<Object>} Send result
+   */
+  async setFanSpeed(speed) {
+    return await this._sendSettings({ windSpeed: speed });
+  }
+
+  /**
+   * Switch the light on or off
+   * @param {boolean} on - True to switch on
+   * @returns {Promise<Object>} Send result
+   */
+  async setLight(on) {
+    return await this._sendSettings({ lightStatus: on ? '1' : '0' });
+  }
+
+  /**
+   * Enable or disable the hob-linked mode
+   * @param {boolean} enabled - True to enable
+   * @returns {Promise<Object>} Send result
+   */
+  async setLinkedMode(enabled) {
+    return await this._sendSettings({ hobLinkStatus: enabled ? '1' : '0' });
+  }
+}
+
+module.exports = Hood;
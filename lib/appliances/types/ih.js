@@ -0,0 +1,199 @@
+/**
+ * Induction Hob Appliance
+ * Per-cooking-zone power level, timer and pan detection, plus the linked hood mode
+ * Zone attributes are reported with a zone suffix (e.g., powerLevelZ1, timerZ2, panDetectedZ3)
+ */
+
+const ApplianceBase = require('./base');
+
+class InductionHob extends ApplianceBase {
+  /**
+   * Per-zone attribute prefixes
+   * @static
+   */
+  static ZONE_ATTRIBUTES = {
+    powerLevel: 'powerLevelZ',
+    timer: 'timerZ',
+    panDetected: 'panDetectedZ',
+  };
+
+  /**
+   * Highest power level, shown as "P" (boost) on the hob
+   * @static
+   */
+  static BOOST_LEVEL = 10;
+
+  /**
+   * Process attributes for induction hob
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+    data.active = String(data.parameters?.onOffStatus?.value) === '1';
+    return data;
+  }
+
+  /**
+   * Emit zone events based on changed attributes
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'zonePowerChanged': When the power level of a zone changes
+   * - 'panDetected' / 'panRemoved': When a pan is put on / taken off a zone
+   * - 'zoneTimerFinished': When a zone timer reaches zero
+   * - 'hoodLinkChanged': When the linked hood mode is switched on or off
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires InductionHob#zonePowerChanged
+   * @fires InductionHob#panDetected
+   * @fires InductionHob#panRemoved
+   * @fires InductionHob#zoneTimerFinished
+   * @fires InductionHob#hoodLinkChanged
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    const timestamp = Date.now();
+    const { powerLevel, timer, panDetected } = InductionHob.ZONE_ATTRIBUTES;
+
+    for (const { key, from, to } of this._detectChanges(params, oldValues, Object.keys(params))) {
+      const zone = InductionHob._getZoneNumber(key);
+
+      if (key.startsWith(powerLevel)) {
+        /**
+         * Zone power changed event
+         * @event InductionHob#zonePowerChanged
+         * @type {Object}
+         * @property {number} zone - Cooking zone number
+         * @property {number|null} from - Previous power level
+         * @property {number} to - New power level (0 = off)
+         * @property {number} timestamp - Unix timestamp in milliseconds
+         */
+        this.emit('zonePowerChanged', {
+          zone,
+          from: from !== null ? parseInt(from) : null,
+          to: parseInt(to),
+          timestamp
+        });
+      } else if (key.startsWith(panDetected)) {
+        const detected = String(to) === '1';
+        if (!detected && from === null) continue;
+
+        /**
+         * Pan detection events
+         * @event InductionHob#panDetected
+         * @event InductionHob#panRemoved
+         * @type {Object}
+         * @property {number} zone - Cooking zone number
+         * @property {number} timestamp - Unix timestamp in milliseconds
+         */
+        this.emit(detected ? 'panDetected' : 'panRemoved', { zone, timestamp });
+      } else if (key.startsWith(timer)) {
+        if (parseInt(to) !== 0 || !(parseInt(from) > 0)) continue;
+
+        /**
+         * Zone timer finished event
+         * @event InductionHob#zoneTimerFinished
+         * @type {Object}
+         * @property {number} zone - Cooking zone number
+         * @property {number} timestamp - Unix timestamp in milliseconds
+         */
+        this.emit('zoneTimerFinished', { zone, timestamp });
+      } else if (key === 'hoodLinkStatus') {
+        /**
+         * Linked hood mode changed event
+         * @event InductionHob#hoodLinkChanged
+         * @type {Object}
+         * @property {boolean} linked - True if the hood follows the hob
+         * @property {number} timestamp - Unix timestamp in milliseconds
+         */
+        this.emit('hoodLinkChanged', { linked: String(to) === '1', timestamp });
+      }
+    }
+  }
+
+  /**
+   * Extract the zone number from a zone attribute name
+   * @param {string} key - Attribute name (e.g., 'powerLevelZ2')
+   * @returns {number|null} Zone number
+   * @private
+   */
+  static _getZoneNumber(key) {
+    const match = key.match(/Z(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Get the cooking zone numbers reported by the hob
+   * @returns {Array<number>} Sorted zone numbers
+   */
+  getZoneNumbers() {
+    const prefix = InductionHob.ZONE_ATTRIBUTES.powerLevel;
+    return Object.keys(this.parent.attributes?.parameters || {})
+      .filter(key => key.startsWith(prefix))
+      .map(key => InductionHob._getZoneNumber(key))
+      .filter(zone => zone !== null)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Get state of a cooking zone
+   * @param {number} zone - Cooking zone number
+   * @returns {Object} { zone, powerLevel, boost, timer, panDetected, active }
+   * @example
+   * ih.getZone(1);
+   * // Returns: { zone: 1, powerLevel: 6, boost: false, timer: 12, panDetected: true, active: true }
+   */
+  getZone(zone) {
+    const { powerLevel, timer, panDetected } = InductionHob.ZONE_ATTRIBUTES;
+    const level = parseInt(this._getParameterValue(`${powerLevel}${zone}`)) || 0;
+    const timerValue = this._getParameterValue(`${timer}${zone}`);
+
+    return {
+      zone,
+      powerLevel: level,
+      boost: level >= InductionHob.BOOST_LEVEL,
+      timer: timerValue !== undefined ? parseInt(timerValue) : null,
+      panDetected: String(this._getParameterValue(`${panDetected}${zone}`)) === '1',
+      active: level > 0
+    };
+  }
+
+  /**
+   * Get state of all cooking zones
+   * @returns {Array<Object>} Array of zone states (see getZone())
+   */
+  getZones() {
+    return this.getZoneNumbers().map(zone => this.getZone(zone));
+  }
+
+  /**
+   * Check if the hob is switched on
+   * @returns {boolean} True if on
+   */
+  isOn() {
+    return String(this._getParameterValue('onOffStatus')) === '1';
+  }
+
+  /**
+   * Check if the linked hood mode is enabled (hood follows the hob)
+   * @returns {boolean} True if linked
+   */
+  isHoodLinked() {
+    return String(this._getParameterValue('hoodLinkStatus')) === '1';
+  }
+
+  /**
+   * Enable or disable the linked hood mode
+   * @param {boolean} enabled - True to enable
+   * @returns {Promise<Object>} Send result
+   */
+  async setHoodLink(enabled) {
+    return await this._sendSettings({ hoodLinkStatus: enabled ? '1' : '0' });
+  }
+}
+
+module.exports = InductionHob;
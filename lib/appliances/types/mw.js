@@ -0,0 +1,135 @@
+/**
+ * Microwave Appliance
+ * Power level and cooking time
+ */
+
+const ApplianceBase = require('./base');
+const { HonParameterFixed } = require('../../parameters');
+
+class Microwave extends ApplianceBase {
+  constructor(appliance, translations = {}) {
+    super(appliance, translations);
+    this._cooking = null;
+  }
+
+  /**
+   * Process attributes for microwave
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+    data.active = String(data.parameters?.onOffStatus?.value) === '1';
+    return data;
+  }
+
+  /**
+   * Process settings for microwave
+   * Removes the power level setting when the program fixes it (e.g. grill only)
+   * @param {Object} settings - Settings data
+   * @returns {Object} Processed settings
+   */
+  settings(settings) {
+    settings = super.settings(settings);
+
+    if (settings['startProgram.microwavePower'] instanceof HonParameterFixed) {
+      delete settings['startProgram.microwavePower'];
+    }
+
+    return settings;
+  }
+
+  /**
+   * Emit cooking events based on changed attributes
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'cookingStarted': When the cooking timer starts counting down
+   * - 'cookingFinished': When the cooking timer reaches zero
+   * - 'powerLevelChanged': When microwavePower changes
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires Microwave#cookingStarted
+   * @fires Microwave#cookingFinished
+   * @fires Microwave#powerLevelChanged
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    const timestamp = Date.now();
+
+    if (this._cooking === null) {
+      const before = oldValues.remainingTimeMM ?? this._getParameterValue('remainingTimeMM');
+      this._cooking = parseInt(before) > 0;
+    }
+
+    for (const { from, to } of this._detectChanges(params, oldValues, ['microwavePower'])) {
+      this.emit('powerLevelChanged', {
+        from: from !== null ? parseInt(from) : null,
+        to: parseInt(to),
+        timestamp
+      });
+    }
+
+    const cooking = (this.getRemainingTime() || 0) > 0;
+
+    if (!this._cooking && cooking) {
+      this.emit('cookingStarted', {
+        powerLevel: this.getPowerLevel(),
+        cookingTime: this.getCookingTime(),
+        timestamp
+      });
+    } else if (this._cooking && !cooking) {
+      this.emit('cookingFinished', { timestamp });
+    }
+
+    this._cooking = cooking;
+  }
+
+  /**
+   * Get microwave power level
+   * @returns {number|null} Power in watts
+   */
+  getPowerLevel() {
+    const value = this._getParameterValue('microwavePower');
+    return value !== undefined ? parseInt(value) : null;
+  }
+
+  /**
+   * Get total cooking time of the running program
+   * @returns {number|null} Cooking time in minutes
+   */
+  getCookingTime() {
+    const value = this._getParameterValue('prTime');
+    return value !== undefined ? parseInt(value) : null;
+  }
+
+  /**
+   * Get remaining cooking time
+   * @returns {number|null} Remaining time in minutes
+   */
+  getRemainingTime() {
+    const value = this._getParameterValue('remainingTimeMM');
+    return value !== undefined ? parseInt(value) : null;
+  }
+
+  /**
+   * Get available power levels for current program
+   * @returns {Array<number>} Array of power values in watts
+   */
+  getAvailablePowerLevels() {
+    return this._getParameterValues('microwavePower');
+  }
+
+  /**
+   * Check if the door is open
+   * @returns {boolean} True if open
+   */
+  isDoorOpen() {
+    return String(this._getParameterValue('doorStatus')) === '1';
+  }
+}
+
+module.exports = Microwave;
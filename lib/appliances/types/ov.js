@@ -0,0 +1,241 @@
+/**
+ * Oven Appliance
+ * Ported from pyhOn appliances/ov.py
+ * Cooking programs, preheat, cooking timer and meat probe readings
+ */
+
+const ApplianceBase = require('./base');
+
+class Oven extends ApplianceBase {
+  constructor(appliance, translations = {}) {
+    super(appliance, translations);
+    this._preheating = null;
+    this._cooking = null;
+    // Set temperature preheatReached was last emitted for (thermostat cycling must not re-trigger it)
+    this._preheatReachedAt = null;
+  }
+
+  /**
+   * Process attributes for oven
+   * Resets the live values when the oven is disconnected, adds `active`
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+
+    const params = data.parameters || {};
+    if (this.parent.connection === false) {
+      for (const key of ['temp', 'onOffStatus', 'remoteCtrValid', 'remainingTimeMM']) {
+        if (params[key]) params[key].value = 0;
+      }
+    }
+
+    data.active = String(params.onOffStatus?.value) === '1';
+    return data;
+  }
+
+  /**
+   * Update cooking state and emit events
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'preheatReached': When preheating ends, or the cavity reaches the set temperature
+   *   on ovens that don't report preheatStatus
+   * - 'cookingFinished': When the cooking timer of a running program reaches zero
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires Oven#preheatReached
+   * @fires Oven#cookingFinished
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    // Lazy init from the values before this update
+    if (this._preheating === null) {
+      this._preheating = this._isPreheating(oldValues);
+    }
+    if (this._cooking === null) {
+      this._cooking = this._isCooking(oldValues);
+    }
+
+    const preheating = this._isPreheating();
+    const cooking = this._isCooking();
+    const timestamp = Date.now();
+
+    if (!this.isOn() || this.getTargetTemperature() !== this._preheatReachedAt) {
+      this._preheatReachedAt = null;
+    }
+
+    if (this._preheating && !preheating && this.isOn() && this._preheatReachedAt === null) {
+      this._preheatReachedAt = this.getTargetTemperature();
+
+      /**
+       * Preheat reached event
+       * @event Oven#preheatReached
+       * @type {Object}
+       * @property {number|null} temperature - Current cavity temperature in °C
+       * @property {number|null} targetTemperature - Set temperature in °C
+       * @property {Object|null} program - Program info (see getProgramInfo())
+       * @property {number} timestamp - Unix timestamp in milliseconds
+       */
+      this.emit('preheatReached', {
+        temperature: this.getCurrentTemperature(),
+        targetTemperature: this.getTargetTemperature(),
+        program: this.getProgramInfo(),
+        timestamp
+      });
+    }
+
+    if (this._cooking && !cooking && this.getRemainingTime() === 0) {
+      /**
+       * Cooking finished event
+       * @event Oven#cookingFinished
+       * @type {Object}
+       * @property {Object|null} program - Program info (see getProgramInfo())
+       * @property {number} timestamp - Unix timestamp in milliseconds
+       */
+      this.emit('cookingFinished', {
+        program: this.getProgramInfo(),
+        timestamp
+      });
+    }
+
+    this._preheating = preheating;
+    this._cooking = cooking;
+  }
+
+  /**
+   * Read a value from the given snapshot, falling back to the current attributes
+   * @param {Object|null} snapshot - Values snapshot (e.g., MQTT oldValues)
+   * @param {string} key - Parameter name
+   * @returns {*} Raw value
+   * @private
+   */
+  _valueFrom(snapshot, key) {
+    if (snapshot && snapshot[key] !== undefined) return snapshot[key];
+    return this._getParameterValue(key);
+  }
+
+  /**
+   * Check whether the oven is still heating up to the set temperature
+   * Uses preheatStatus when reported, otherwise compares cavity and set temperature
+   * @param {Object|null} [snapshot=null] - Values snapshot to evaluate
+   * @returns {boolean} True if preheating
+   * @private
+   */
+  _isPreheating(snapshot = null) {
+    if (String(this._valueFrom(snapshot, 'onOffStatus')) !== '1') return false;
+
+    const preheatStatus = this._valueFrom(snapshot, 'preheatStatus');
+    if (preheatStatus !== undefined && preheatStatus !== null) {
+      return String(preheatStatus) === '1';
+    }
+
+    const temp = parseFloat(this._valueFrom(snapshot, 'temp'));
+    const tempSel = parseFloat(this._valueFrom(snapshot, 'tempSel'));
+    return !isNaN(temp) && !isNaN(tempSel) && tempSel > 0 && temp < tempSel;
+  }
+
+  /**
+   * Check whether a timed cooking program is running
+   * @param {Object|null} [snapshot=null] - Values snapshot to evaluate
+   * @returns {boolean} True if cooking
+   * @private
+   */
+  _isCooking(snapshot = null) {
+    if (String(this._valueFrom(snapshot, 'onOffStatus')) !== '1') return false;
+    const prCode = parseInt(this._valueFrom(snapshot, 'prCode'));
+    const remaining = parseInt(this._valueFrom(snapshot, 'remainingTimeMM'));
+    return prCode > 0 && remaining > 0;
+  }
+
+  /**
+   * Check if the oven is switched on
+   * @returns {boolean} True if on
+   */
+  isOn() {
+    return String(this._getParameterValue('onOffStatus')) === '1';
+  }
+
+  /**
+   * Check if the oven is preheating
+   * @returns {boolean} True if preheating
+   */
+  isPreheating() {
+    return this._isPreheating();
+  }
+
+  /**
+   * Get current cavity temperature
+   * @returns {number|null} Temperature in °C
+   */
+  getCurrentTemperature() {
+    const value = this._getParameterValue('temp');
+    return value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Get set temperature
+   * @returns {number|null} Temperature in °C
+   */
+  getTargetTemperature() {
+    const value = this._getParameterValue('tempSel');
+    return value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Get remaining cooking time
+   * @returns {number|null} Remaining time in minutes
+   */
+  getRemainingTime() {
+    const value = this._getParameterValue('remainingTimeMM');
+    return value !== undefined ? parseInt(value) : null;
+  }
+
+  /**
+   * Check if the meat probe is plugged in
+   * @returns {boolean} True if connected
+   */
+  isProbeConnected() {
+    return String(this._getParameterValue('probeStatus')) === '1';
+  }
+
+  /**
+   * Get meat probe reading
+   * @returns {Object|null} { temperature, targetTemperature } in °C, or null if the probe is not connected
+   */
+  getProbeTemperature() {
+    if (!this.isProbeConnected()) return null;
+
+    const temp = this._getParameterValue('tempProbe');
+    const tempSel = this._getParameterValue('tempSelProbe');
+    return {
+      temperature: temp !== undefined ? parseFloat(temp) : null,
+      targetTemperature: tempSel !== undefined ? parseFloat(tempSel) : null
+    };
+  }
+
+  /**
+   * Get complete cooking state
+   * @returns {Object} { on, program, preheating, temperature, targetTemperature, remainingTime, probe }
+   * @example
+   * const state = ov.getState();
+   * // Returns: { on: true, program: { id: 'iot_bake', name: 'Forno statico', ... }, preheating: false, ... }
+   */
+  getState() {
+    return {
+      on: this.isOn(),
+      program: this.getProgramInfo(),
+      preheating: this.isPreheating(),
+      temperature: this.getCurrentTemperature(),
+      targetTemperature: this.getTargetTemperature(),
+      remainingTime: this.getRemainingTime(),
+      probe: this.getProbeTemperature()
+    };
+  }
+}
+
+module.exports = Oven;
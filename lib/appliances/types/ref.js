@@ -0,0 +1,333 @@
+/**
+ * Refrigerator Appliance
+ * Ported from pyhOn appliances/ref.py
+ * Per-zone temperatures (fridge, freezer, variable zone), special modes and door/temperature alarms
+ */
+
+const ApplianceBase = require('./base');
+
+class Refrigerator extends ApplianceBase {
+  /**
+   * Zone mapping (attribute suffix number -> zone key)
+   * Zone attributes are reported as e.g. tempZ1, tempSelZ2, doorStatusZ1
+   * @static
+   */
+  static ZONES = {
+    '1': 'fridge',
+    '2': 'freezer',
+    '3': 'variable',
+  };
+
+  /**
+   * Door attributes and the zone they belong to
+   * A value of '1' means the door is open
+   * @static
+   */
+  static DOORS = {
+    doorStatusZ1: 'fridge',
+    door2StatusZ1: 'fridge',
+    doorStatusZ2: 'freezer',
+    doorStatusZ3: 'variable',
+  };
+
+  /**
+   * Allowed deviation (°C) of the current temperature above the target
+   * before a temperature alarm is raised
+   * @static
+   */
+  static TEMPERATURE_ALARM_TOLERANCE = {
+    fridge: 4,
+    freezer: 6,
+    variable: 4,
+  };
+
+  /**
+   * Process attributes for refrigerator
+   * Adds modeZ1 (fridge) and modeZ2 (freezer) with the active special mode
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+
+    const params = data.parameters || {};
+    const isOn = (key) => String(params[key]?.value) === '1';
+
+    if (data.lastConnEvent?.category === 'DISCONNECTED') {
+      data.modeZ1 = 'holiday';
+    } else if (isOn('holidayMode')) {
+      data.modeZ1 = 'holiday';
+    } else if (isOn('intelligenceMode')) {
+      data.modeZ1 = 'auto_set';
+    } else if (isOn('quickModeZ1')) {
+      data.modeZ1 = 'super_cool';
+    } else {
+      data.modeZ1 = 'no_mode';
+    }
+
+    if (isOn('quickModeZ2')) {
+      data.modeZ2 = 'super_freeze';
+    } else if (isOn('intelligenceMode')) {
+      data.modeZ2 = 'auto_set';
+    } else {
+      data.modeZ2 = 'no_mode';
+    }
+
+    return data;
+  }
+
+  /**
+   * Emit door and temperature alarm events based on changed attributes
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'doorOpen' / 'doorClosed': When a door status changes
+   * - 'temperatureAlarm': When a zone rises above its target plus tolerance
+   * - 'temperatureAlarmCleared': When the zone is back within tolerance
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires Refrigerator#doorOpen
+   * @fires Refrigerator#doorClosed
+   * @fires Refrigerator#temperatureAlarm
+   * @fires Refrigerator#temperatureAlarmCleared
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    const timestamp = Date.now();
+
+    for (const { key, from, to } of this._detectChanges(params, oldValues, Object.keys(Refrigerator.DOORS))) {
+      const open = String(to) === '1';
+      // Only report closing when the door was known to be open
+      if (!open && from === null) continue;
+
+      /**
+       * Door events
+       * @event Refrigerator#doorOpen
+       * @event Refrigerator#doorClosed
+       * @type {Object}
+       * @property {string} zone - Zone key ('fridge', 'freezer', 'variable')
+       * @property {string} key - Door attribute (e.g., 'doorStatusZ1')
+       * @property {number} timestamp - Unix timestamp in milliseconds
+       */
+      this.emit(open ? 'doorOpen' : 'doorClosed', {
+        zone: Refrigerator.DOORS[key],
+        key,
+        timestamp
+      });
+    }
+
+    for (const [number, zone] of Object.entries(Refrigerator.ZONES)) {
+      const tempKey = `tempZ${number}`;
+      const targetKey = `tempSelZ${number}`;
+      if (params[tempKey] === undefined && params[targetKey] === undefined) continue;
+
+      const wasAlarm = this._isAboveTolerance(zone,
+        oldValues[tempKey] ?? this._getParameterValue(tempKey),
+        oldValues[targetKey] ?? this._getParameterValue(targetKey));
+      const isAlarm = this._isAboveTolerance(zone,
+        this._getParameterValue(tempKey),
+        this._getParameterValue(targetKey));
+
+      if (isAlarm === wasAlarm) continue;
+
+      /**
+       * Temperature alarm events
+       * @event Refrigerator#temperatureAlarm
+       * @event Refrigerator#temperatureAlarmCleared
+       * @type {Object}
+       * @property {string} zone - Zone key ('fridge', 'freezer', 'variable')
+       * @property {number} temperature - Current zone temperature in °C
+       * @property {number} target - Target zone temperature in °C
+       * @property {number} timestamp - Unix timestamp in milliseconds
+       */
+      this.emit(isAlarm ? 'temperatureAlarm' : 'temperatureAlarmCleared', {
+        zone,
+        temperature: parseFloat(this._getParameterValue(tempKey)),
+        target: parseFloat(this._getParameterValue(targetKey)),
+        timestamp
+      });
+    }
+  }
+
+  /**
+   * Check whether a zone temperature is above target plus tolerance
+   * @param {string} zone - Zone key
+   * @param {*} temperature - Current temperature
+   * @param {*} target - Target temperature
+   * @returns {boolean} True if above tolerance
+   * @private
+   */
+  _isAboveTolerance(zone, temperature, target) {
+    const current = parseFloat(temperature);
+    const selected = parseFloat(target);
+    if (isNaN(current) || isNaN(selected)) return false;
+    return current > selected + Refrigerator.TEMPERATURE_ALARM_TOLERANCE[zone];
+  }
+
+  /**
+   * Get attribute suffix number for a zone key
+   * @param {string} zone - Zone key ('fridge', 'freezer', 'variable')
+   * @returns {string} Zone number
+   * @throws {Error} If zone is unknown
+   * @private
+   */
+  _getZoneNumber(zone) {
+    const number = Object.keys(Refrigerator.ZONES).find(n => Refrigerator.ZONES[n] === zone);
+    if (!number) {
+      throw new Error(`Unknown zone '${zone}'. Allowed: ${Object.values(Refrigerator.ZONES).join(', ')}`);
+    }
+    return number;
+  }
+
+  /**
+   * Get zones reported by this appliance
+   * When the appliance was created for a single zone (HonAppliance zone argument),
+   * only that zone is returned
+   * @returns {Array<Object>} Array of { zone, name, temperature, target, doorOpen }
+   * @example
+   * ref.getZones();
+   * // Returns: [{ zone: 'fridge', name: 'My Fridge', temperature: 5, target: 4, doorOpen: false }, ...]
+   */
+  getZones() {
+    const numbers = this.parent.zone
+      ? [String(this.parent.zone)]
+      : Object.keys(Refrigerator.ZONES);
+
+    return numbers
+      .filter(n => Refrigerator.ZONES[n] && this._getParameterValue(`tempZ${n}`) !== undefined)
+      .map(n => {
+        const zone = Refrigerator.ZONES[n];
+        return {
+          zone,
+          name: this.parent.nickName,
+          temperature: this.getTemperature(zone),
+          target: this.getTargetTemperature(zone),
+          doorOpen: this.isDoorOpen(zone)
+        };
+      });
+  }
+
+  /**
+   * Get current temperature of a zone
+   * @param {string} [zone='fridge'] - Zone key ('fridge', 'freezer', 'variable')
+   * @returns {number|null} Temperature in °C
+   */
+  getTemperature(zone = 'fridge') {
+    const value = this._getParameterValue(`tempZ${this._getZoneNumber(zone)}`);
+    return value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Get target temperature of a zone
+   * @param {string} [zone='fridge'] - Zone key ('fridge', 'freezer', 'variable')
+   * @returns {number|null} Target temperature in °C
+   */
+  getTargetTemperature(zone = 'fridge') {
+    const value = this._getParameterValue(`tempSelZ${this._getZoneNumber(zone)}`);
+    return value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Get fridge temperature
+   * @returns {number|null} Temperature in °C
+   */
+  getFridgeTemperature() {
+    return this.getTemperature('fridge');
+  }
+
+  /**
+   * Get freezer temperature
+   * @returns {number|null} Temperature in °C
+   */
+  getFreezerTemperature() {
+    return this.getTemperature('freezer');
+  }
+
+  /**
+   * Get variable zone temperature
+   * @returns {number|null} Temperature in °C
+   */
+  getVariableZoneTemperature() {
+    return this.getTemperature('variable');
+  }
+
+  /**
+   * Check if any door of a zone is open
+   * @param {string} [zone] - Zone key. If omitted, checks all doors
+   * @returns {boolean} True if open
+   */
+  isDoorOpen(zone) {
+    return Object.entries(Refrigerator.DOORS)
+      .filter(([, doorZone]) => !zone || doorZone === zone)
+      .some(([key]) => String(this._getParameterValue(key)) === '1');
+  }
+
+  /**
+   * Check if super-cool (fridge quick mode) is enabled
+   * @returns {boolean} True if enabled
+   */
+  isSuperCool() {
+    return String(this._getParameterValue('quickModeZ1')) === '1';
+  }
+
+  /**
+   * Check if super-freeze (freezer quick mode) is enabled
+   * @returns {boolean} True if enabled
+   */
+  isSuperFreeze() {
+    return String(this._getParameterValue('quickModeZ2')) === '1';
+  }
+
+  /**
+   * Check if holiday mode is enabled
+   * @returns {boolean} True if enabled
+   */
+  isHolidayMode() {
+    return String(this._getParameterValue('holidayMode')) === '1';
+  }
+
+  /**
+   * Set target temperature of a zone
+   * @param {string} zone - Zone key ('fridge', 'freezer', 'variable')
+   * @param {number} temperature - Target temperature in °C
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If zone is unknown or temperature is outside the allowed range
+   * @example
+   * await ref.setTargetTemperature('freezer', -20);
+   */
+  async setTargetTemperature(zone, temperature) {
+    return await this._sendSettings({ [`tempSelZ${this._getZoneNumber(zone)}`]: temperature });
+  }
+
+  /**
+   * Enable or disable super-cool
+   * @param {boolean} enabled - True to enable
+   * @returns {Promise<Object>} Send result
+   */
+  async setSuperCool(enabled) {
+    return await this._sendSettings({ quickModeZ1: enabled ? '1' : '0' });
+  }
+
+  /**
+   * Enable or disable super-freeze
+   * @param {boolean} enabled - True to enable
+   * @returns {Promise<Object>} Send result
+   */
+  async setSuperFreeze(enabled) {
+    return await this._sendSettings({ quickModeZ2: enabled ? '1' : '0' });
+  }
+
+  /**
+   * Enable or disable holiday mode
+   * @param {boolean} enabled - True to enable
+   * @returns {Promise<Object>} Send result
+   */
+  async setHolidayMode(enabled) {
+    return await this._sendSettings({ holidayMode: enabled ? '1' : '0' });
+  }
+}
+
+module.exports = Refrigerator;
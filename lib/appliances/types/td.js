@@ -0,0 +1,123 @@
+/**
+ * Tumble Dryer Appliance
+ * Ported from pyhOn appliances/td.py
+ * Extends WashingMachine to share event emission, translations and program lookup
+ */
+
+const WashingMachine = require('./wm');
+const { HonParameterFixed } = require('../../parameters');
+
+class TumbleDryer extends WashingMachine {
+  /**
+   * Dry phase mapping (prPhase values)
+   * Based on Home Assistant hOn integration and device testing
+   * Maps to GLOBALS.APPLIANCE_STATUS.* translation keys
+   * @static
+   */
+  static DRY_PHASES = {
+    '0': 'ready',            // Ready/Idle
+    '1': 'drying',           // Drying
+    '2': 'drying',           // Drying (sensor controlled)
+    '3': 'cooling',          // Cool down
+    '11': 'anti_crease',     // Anti-crease (end of cycle tumbling)
+    '13': 'cooling',         // Cool down 2
+    '14': 'drying',          // Drying 2
+    '15': 'drying',          // Drying 3
+    '16': 'cooling',         // Cool down 3
+    '17': 'anti_crease',     // Anti-crease 2
+    '18': 'anti_crease',     // Anti-crease / Keep fresh
+    '19': 'drying',          // Drying 4
+    '20': 'drying',          // Drying 5
+    '255': 'ready',          // Ready (end state)
+  };
+
+  /**
+   * Dry level mapping (dryLevel values)
+   * @static
+   */
+  static DRY_LEVELS = {
+    '0': 'no_dry',
+    '1': 'iron_dry',
+    '2': 'no_dry_iron',
+    '3': 'cupboard_dry',
+    '4': 'extra_dry',
+    '11': 'no_dry',
+    '12': 'iron_dry',
+    '13': 'cupboard_dry',
+    '14': 'ready_to_wear',
+    '15': 'extra_dry',
+  };
+
+  /**
+   * Process settings for tumble dryer
+   * Removes the fixed "no dry level" setting, which cannot be changed by the user
+   * @param {Object} settings - Settings data
+   * @returns {Object} Processed settings
+   */
+  settings(settings) {
+    const dryLevel = settings['startProgram.dryLevel'];
+    if (dryLevel instanceof HonParameterFixed && String(dryLevel.value) === '11') {
+      delete settings['startProgram.dryLevel'];
+    }
+    return settings;
+  }
+
+  /**
+   * Get current dry phase as a normalized key
+   * @param {string|number} [prPhase] - Optional prPhase value. If not provided, reads from appliance
+   * @returns {string} Phase key (e.g., 'drying', 'cooling', 'anti_crease')
+   */
+  getDryPhaseKey(prPhase) {
+    if (prPhase === undefined) {
+      prPhase = this.parent.attributes?.parameters?.prPhase?.value;
+    }
+    return TumbleDryer.DRY_PHASES[String(prPhase)] || 'idle';
+  }
+
+  /**
+   * Get current phase key using the dryer phase mapping
+   * Overrides WashingMachine so inherited phaseChanged events and
+   * state translation keys report drying phases
+   * @param {string|number} [prPhase] - Optional prPhase value. If not provided, reads from appliance
+   * @returns {string} Phase key (e.g., 'drying', 'cooling')
+   */
+  getWashPhaseKey(prPhase) {
+    return this.getDryPhaseKey(prPhase);
+  }
+
+  /**
+   * Get dry level as a normalized key
+   * @param {string|number} [dryLevel] - Optional dryLevel value. If not provided, reads from appliance
+   * @returns {string} Dry level key (e.g., 'cupboard_dry', 'iron_dry')
+   */
+  getDryLevelKey(dryLevel) {
+    if (dryLevel === undefined) {
+      dryLevel = this.parent.attributes?.parameters?.dryLevel?.value;
+    }
+    return TumbleDryer.DRY_LEVELS[String(dryLevel)] || 'unknown';
+  }
+
+  /**
+   * Get available dry levels for current program
+   * @returns {Array<Object>} Array of { value, key } objects, e.g. { value: 3, key: 'cupboard_dry' }
+   * @example
+   * const levels = td.getAvailableDryLevels();
+   * // Returns: [{ value: 1, key: 'iron_dry' }, { value: 3, key: 'cupboard_dry' }, ...]
+   */
+  getAvailableDryLevels() {
+    return this._getParameterValues('dryLevel').map(value => ({
+      value,
+      key: this.getDryLevelKey(value)
+    }));
+  }
+
+  /**
+   * Get available dry times for current program
+   * @returns {Array<number>} Array of dry time values in minutes
+   */
+  getAvailableDryTimes() {
+    return this._getParameterValues('dryTime');
+  }
+}
+
+module.exports = TumbleDryer;
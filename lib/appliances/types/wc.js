@@ -0,0 +1,153 @@
+/**
+ * Wine Cellar Appliance
+ * Ported from pyhOn appliances/wc.py
+ * Per-zone temperatures and light
+ */
+
+const ApplianceBase = require('./base');
+
+class WineCellar extends ApplianceBase {
+  /**
+   * Process attributes for wine cellar
+   * Marks the appliance inactive and not remotely controllable when disconnected
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+
+    if (data.lastConnEvent?.category === 'DISCONNECTED') {
+      if (data.parameters?.remoteCtrValid) data.parameters.remoteCtrValid.value = 0;
+      data.active = false;
+    } else {
+      data.active = String(data.parameters?.onOffStatus?.value ?? '1') === '1';
+    }
+
+    return data;
+  }
+
+  /**
+   * Process settings for wine cellar
+   * Removes zone settings (e.g. settings.tempSelZ3) for zones the cellar doesn't have
+   * @param {Object} settings - Settings data
+   * @returns {Object} Processed settings
+   */
+  settings(settings) {
+    settings = super.settings(settings);
+
+    const zones = this.getZoneNumbers();
+    for (const key of Object.keys(settings)) {
+      const match = key.match(/Z(\d+)$/);
+      if (match && zones.length > 0 && !zones.includes(parseInt(match[1]))) {
+        delete settings[key];
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Emit state events based on changed attributes
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'zoneTemperatureChanged': When the current temperature of a zone changes
+   * - 'targetTemperatureChanged': When the set temperature of a zone changes
+   * - 'lightChanged': When lightStatus changes
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires WineCellar#zoneTemperatureChanged
+   * @fires WineCellar#targetTemperatureChanged
+   * @fires WineCellar#lightChanged
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    const timestamp = Date.now();
+
+    for (const { key, from, to } of this._detectChanges(params, oldValues, Object.keys(params))) {
+      const match = key.match(/^(temp|tempSel)Z(\d+)$/);
+
+      if (match) {
+        this.emit(match[1] === 'temp' ? 'zoneTemperatureChanged' : 'targetTemperatureChanged', {
+          zone: parseInt(match[2]),
+          from: from !== null ? parseFloat(from) : null,
+          to: parseFloat(to),
+          timestamp
+        });
+      } else if (key === 'lightStatus') {
+        this.emit('lightChanged', { on: String(to) === '1', timestamp });
+      }
+    }
+  }
+
+  /**
+   * Get the zone numbers reported by the cellar
+   * @returns {Array<number>} Sorted zone numbers
+   */
+  getZoneNumbers() {
+    return Object.keys(this.parent.attributes?.parameters || {})
+      .map(key => key.match(/^tempZ(\d+)$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Get state of a zone
+   * @param {number} zone - Zone number
+   * @returns {Object} { zone, temperature, targetTemperature }
+   */
+  getZone(zone) {
+    const temp = this._getParameterValue(`tempZ${zone}`);
+    const tempSel = this._getParameterValue(`tempSelZ${zone}`);
+    return {
+      zone,
+      temperature: temp !== undefined ? parseFloat(temp) : null,
+      targetTemperature: tempSel !== undefined ? parseFloat(tempSel) : null
+    };
+  }
+
+  /**
+   * Get state of all zones
+   * @returns {Array<Object>} Array of zone states (see getZone())
+   * @example
+   * wc.getZones();
+   * // Returns: [{ zone: 1, temperature: 12, targetTemperature: 12 }, { zone: 2, temperature: 16, targetTemperature: 17 }]
+   */
+  getZones() {
+    return this.getZoneNumbers().map(zone => this.getZone(zone));
+  }
+
+  /**
+   * Check if the light is on
+   * @returns {boolean} True if on
+   */
+  isLightOn() {
+    return String(this._getParameterValue('lightStatus')) === '1';
+  }
+
+  /**
+   * Set target temperature of a zone
+   * @param {number} zone - Zone number
+   * @param {number} temperature - Target temperature in °C
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If the zone has no temperature setting or the value is out of range
+   */
+  async setTargetTemperature(zone, temperature) {
+    return await this._sendSettings({ [`tempSelZ${zone}`]: temperature });
+  }
+
+  /**
+   * Switch the light on or off
+   * @param {boolean} on - True to switch on
+   * @returns {Promise<Object>} Send result
+   */
+  async setLight(on) {
+    return await this._sendSettings({ lightStatus: on ? '1' : '0' });
+  }
+}
+
+module.exports = WineCellar;
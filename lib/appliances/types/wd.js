@@ -0,0 +1,166 @@
+/**
+ * Washer Dryer Appliance
+ * Ported from pyhOn appliances/wd.py
+ * Extends WashingMachine with drying phases and dry-level/dry-time helpers
+ */
+
+const WashingMachine = require('./wm');
+const TumbleDryer = require('./td');
+const { HonParameterFixed } = require('../../parameters');
+
+class WasherDryer extends WashingMachine {
+  /**
+   * Drying phase mapping (prPhase values)
+   * Reported by combined washer-dryers once the wash part of the cycle is over
+   * @static
+   */
+  static DRY_PHASES = {
+    '21': 'drying',          // Drying
+    '22': 'drying',          // Drying (sensor controlled)
+    '23': 'cooling',         // Cool down
+    '24': 'anti_crease',     // Anti-crease
+    '25': 'anti_crease',     // Anti-crease / Keep fresh
+  };
+
+  /**
+   * Complete phase mapping (wash phases followed by drying phases)
+   * @static
+   */
+  static PHASES = {
+    ...WashingMachine.WASH_PHASES,
+    ...WasherDryer.DRY_PHASES
+  };
+
+  /**
+   * Update machine state and emit events based on state transitions
+   * Adds 'dryingStarted' on top of the WashingMachine events, emitted when a
+   * running program moves from a wash phase to a drying phase
+   * @param {Object} params - Parameter updates from MQTT/API
+   * @param {Object} [oldValues] - Previous values before update (used for lazy init)
+   * @returns {void}
+   * @fires WasherDryer#dryingStarted
+   * @example
+   * wd.on('dryingStarted', (event) => {
+   *   console.log(`Wash done, now ${event.toKey}`);
+   * });
+   */
+  updateState(params, oldValues = null) {
+    if (!params) return;
+
+    let previousPhase = this._previousPrPhase;
+    if (previousPhase === null && oldValues && oldValues.prPhase !== undefined && oldValues.prPhase !== null) {
+      previousPhase = parseInt(oldValues.prPhase);
+    }
+
+    super.updateState(params, oldValues);
+
+    const prPhase = this._previousPrPhase;
+    const stage = this.getCycleStage(prPhase);
+
+    if (previousPhase !== null &&
+      this.getCycleStage(previousPhase) === 'wash' &&
+      stage === 'dry' &&
+      this._previousMachMode === 2) {
+      /**
+       * Drying started event (wash-to-dry transition)
+       * @event WasherDryer#dryingStarted
+       * @type {Object}
+       * @property {number} from - Last wash phase number
+       * @property {number} to - First drying phase number
+       * @property {string} fromKey - Last wash phase key (e.g., 'spin')
+       * @property {string} toKey - Drying phase key (e.g., 'drying')
+       * @property {string|null} program - Program identifier
+       * @property {number} timestamp - Unix timestamp in milliseconds
+       */
+      this.emit('dryingStarted', {
+        from: previousPhase,
+        to: prPhase,
+        fromKey: this.getWashPhaseKey(previousPhase),
+        toKey: this.getWashPhaseKey(prPhase),
+        program: (typeof params.prStr === 'object' ? params.prStr?.value : params.prStr) || null,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Process settings for washer dryer
+   * Removes the fixed "no dry level" setting, which cannot be changed by the user
+   * @param {Object} settings - Settings data
+   * @returns {Object} Processed settings
+   */
+  settings(settings) {
+    const dryLevel = settings['startProgram.dryLevel'];
+    if (dryLevel instanceof HonParameterFixed && String(dryLevel.value) === '11') {
+      delete settings['startProgram.dryLevel'];
+    }
+    return settings;
+  }
+
+  /**
+   * Get current phase as a normalized key, including drying phases
+   * @param {string|number} [prPhase] - Optional prPhase value. If not provided, reads from appliance
+   * @returns {string} Phase key (e.g., 'washing', 'spin', 'drying')
+   */
+  getWashPhaseKey(prPhase) {
+    if (prPhase === undefined) {
+      prPhase = this.parent.attributes?.parameters?.prPhase?.value;
+    }
+    return WasherDryer.PHASES[String(prPhase)] || 'idle';
+  }
+
+  /**
+   * Get which half of a combined cycle a phase belongs to
+   * @param {string|number} [prPhase] - Optional prPhase value. If not provided, reads from appliance
+   * @returns {string|null} 'wash', 'dry' or null when idle/ready
+   * @example
+   * wd.getCycleStage(11); // 'wash'
+   * wd.getCycleStage(21); // 'dry'
+   */
+  getCycleStage(prPhase) {
+    if (prPhase === undefined) {
+      prPhase = this.parent.attributes?.parameters?.prPhase?.value;
+    }
+    if (prPhase === null || prPhase === undefined) return null;
+
+    const key = String(parseInt(prPhase));
+    if (key in WasherDryer.DRY_PHASES) return 'dry';
+
+    const phaseKey = WashingMachine.WASH_PHASES[key];
+    if (!phaseKey || phaseKey === 'ready') return null;
+    return 'wash';
+  }
+
+  /**
+   * Get dry level as a normalized key
+   * @param {string|number} [dryLevel] - Optional dryLevel value. If not provided, reads from appliance
+   * @returns {string} Dry level key (e.g., 'cupboard_dry', 'iron_dry')
+   */
+  getDryLevelKey(dryLevel) {
+    if (dryLevel === undefined) {
+      dryLevel = this.parent.attributes?.parameters?.dryLevel?.value;
+    }
+    return TumbleDryer.DRY_LEVELS[String(dryLevel)] || 'unknown';
+  }
+
+  /**
+   * Get available dry levels for current program
+   * @returns {Array<Object>} Array of { value, key } objects
+   */
+  getAvailableDryLevels() {
+    return this._getParameterValues('dryLevel').map(value => ({
+      value,
+      key: this.getDryLevelKey(value)
+    }));
+  }
+
+  /**
+   * Get available dry times for current program
+   * @returns {Array<number>} Array of dry time values in minutes
+   */
+  getAvailableDryTimes() {
+    return this._getParameterValues('dryTime');
+  }
+}
+
+module.exports = WasherDryer;
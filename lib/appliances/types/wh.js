@@ -0,0 +1,189 @@
+/**
+ * Water Heater Appliance
+ * Ported from pyhOn appliances/wh.py
+ * Target/current temperature, boost and eco modes
+ */
+
+const ApplianceBase = require('./base');
+const { HonParameterFixed } = require('../../parameters');
+
+class WaterHeater extends ApplianceBase {
+  /**
+   * Operating mode mapping (machMode values)
+   * @static
+   */
+  static MODES = {
+    '1': 'eco',
+    '2': 'boost',
+    '3': 'smart',
+  };
+
+  /**
+   * Process attributes for water heater
+   * @param {Object} data - Attributes data
+   * @returns {Object} Processed attributes
+   */
+  attributes(data) {
+    data = super.attributes(data);
+    data.active = String(data.parameters?.onOffStatus?.value) === '1';
+    return data;
+  }
+
+  /**
+   * Process settings for water heater
+   * Removes fixed settings, which cannot be changed by the user
+   * @param {Object} settings - Settings data
+   * @returns {Object} Processed settings
+   */
+  settings(settings) {
+    settings = super.settings(settings);
+
+    for (const [key, setting] of Object.entries(settings)) {
+      if (key.startsWith('settings.') && setting instanceof HonParameterFixed) {
+        delete settings[key];
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Emit state events based on changed attributes
+   * Called from updateFromMQTT() with the MQTT parameters
+   *
+   * Emits the following events:
+   * - 'powerChanged': When onOffStatus changes
+   * - 'modeChanged': When machMode changes (eco/boost/smart)
+   * - 'targetTemperatureChanged': When tempSel changes
+   * - 'targetTemperatureReached': When the water reaches the set temperature
+   *
+   * @param {Object} params - Parameter updates from MQTT
+   * @param {Object} [oldValues={}] - Previous values before update
+   * @returns {void}
+   * @fires WaterHeater#powerChanged
+   * @fires WaterHeater#modeChanged
+   * @fires WaterHeater#targetTemperatureChanged
+   * @fires WaterHeater#targetTemperatureReached
+   */
+  updateState(params, oldValues = {}) {
+    if (!params) return;
+
+    const timestamp = Date.now();
+
+    for (const { key, from, to } of this._detectChanges(params, oldValues, ['onOffStatus', 'machMode', 'tempSel'])) {
+      if (key === 'onOffStatus') {
+        this.emit('powerChanged', { on: String(to) === '1', timestamp });
+      } else if (key === 'machMode') {
+        this.emit('modeChanged', {
+          from: from !== null ? this.getModeKey(from) : null,
+          to: this.getModeKey(to),
+          timestamp
+        });
+      } else if (key === 'tempSel') {
+        this.emit('targetTemperatureChanged', {
+          from: from !== null ? parseFloat(from) : null,
+          to: parseFloat(to),
+          timestamp
+        });
+      }
+    }
+
+    if (params.temp !== undefined && oldValues.temp !== undefined) {
+      const target = this.getTargetTemperature();
+      const before = parseFloat(oldValues.temp);
+      const now = this.getCurrentTemperature();
+
+      if (this.isOn() && target !== null && before < target && now >= target) {
+        this.emit('targetTemperatureReached', { temperature: now, targetTemperature: target, timestamp });
+      }
+    }
+  }
+
+  /**
+   * Get operating mode as a normalized key
+   * @param {string|number} [machMode] - Optional machMode value. If not provided, reads from appliance
+   * @returns {string} Mode key ('eco', 'boost', 'smart')
+   */
+  getModeKey(machMode) {
+    if (machMode === undefined) {
+      machMode = this._getParameterValue('machMode');
+    }
+    return WaterHeater.MODES[String(parseInt(machMode))] || 'unknown';
+  }
+
+  /**
+   * Check if the water heater is switched on
+   * @returns {boolean} True if on
+   */
+  isOn() {
+    return String(this._getParameterValue('onOffStatus')) === '1';
+  }
+
+  /**
+   * Get current water temperature
+   * @returns {number|null} Temperature in °C
+   */
+  getCurrentTemperature() {
+    const value = this._getParameterValue('temp');
+    return value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Get target water temperature
+   * @returns {number|null} Temperature in °C
+   */
+  getTargetTemperature() {
+    const value = this._getParameterValue('tempSel');
+    return value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Check if boost mode is active
+   * @returns {boolean} True if boost
+   */
+  isBoostMode() {
+    return this.getModeKey() === 'boost';
+  }
+
+  /**
+   * Check if eco mode is active
+   * @returns {boolean} True if eco
+   */
+  isEcoMode() {
+    return this.getModeKey() === 'eco';
+  }
+
+  /**
+   * Switch the water heater on or off
+   * @param {boolean} on - True to switch on
+   * @returns {Promise<Object>} Send result
+   */
+  async setPower(on) {
+    return await this._sendSettings({ onOffStatus: on ? '1' : '0' });
+  }
+
+  /**
+   * Set target water temperature
+   * @param {number} temperature - Target temperature in °C
+   * @returns {Promise<Object>} Send result
+   */
+  async setTargetTemperature(temperature) {
+    return await this._sendSettings({ tempSel: temperature });
+  }
+
+  /**
+   * Set operating mode
+   * @param {string} mode - 'eco', 'boost' or 'smart'
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If mode is unknown
+   */
+  async setMode(mode) {
+    const value = Object.keys(WaterHeater.MODES).find(key => WaterHeater.MODES[key] === mode);
+    if (value === undefined) {
+      throw new Error(`Unknown mode '${mode}'. Allowed: ${Object.values(WaterHeater.MODES).join(', ')}`);
+    }
+    return await this._sendSettings({ machMode: value });
+  }
+}
+
+module.exports = WaterHeater;
@@ -1,144 +1,18 @@
 /**
  * Washing Machine Appliance
  * Ported from pyhOn appliances/wm.py
- * Extends ApplianceBase for attribute processing
- * Uses EventEmitter composition for real-time state change events
+ * Extends ApplianceBase for attribute processing and real-time state change events
  */
 
 const ApplianceBase = require('./base');
-const EventEmitter = require('events');
+const { HonParameterRange } = require('../../parameters');
+const { InvalidStateTransitionError } = require('../../utils/exceptions');
 
 class WashingMachine extends ApplianceBase {
   constructor(appliance, translations = {}) {
-    super(appliance);
-    // Use composition for EventEmitter functionality
-    this._emitter = new EventEmitter();
+    super(appliance, translations);
     this._previousMachMode = null;
     this._previousPrPhase = null;
-    this._translations = translations;
-  }
-
-  /**
-   * Register event listener (delegates to internal EventEmitter)
-   * @param {string} event - Event name
-   * @param {Function} listener - Event handler function
-   * @returns {WashingMachine} this instance for chaining
-   * @example
-   * wm.on('attributesUpdated', (params) => console.log(params));
-   */
-  on(event, listener) {
-    this._emitter.on(event, listener);
-    return this;
-  }
-
-  /**
-   * Remove event listener (delegates to internal EventEmitter)
-   * @param {string} event - Event name
-   * @param {Function} listener - Event handler function to remove
-   * @returns {WashingMachine} this instance for chaining
-   * @example
-   * wm.off('attributesUpdated', handlerFunction);
-   */
-  off(event, listener) {
-    this._emitter.off(event, listener);
-    return this;
-  }
-
-  /**
-   * Emit event (delegates to internal EventEmitter)
-   * @param {string} event - Event name
-   * @param {...*} args - Event arguments
-   * @returns {boolean} true if event had listeners
-   * @example
-   * this.emit('attributesUpdated', { remainingTimeMM: '30' });
-   */
-  emit(event, ...args) {
-    return this._emitter.emit(event, ...args);
-  }
-
-  /**
-   * Register one-time event listener (delegates to internal EventEmitter)
-   * @param {string} event - Event name
-   * @param {Function} listener - Event handler function (will be called only once)
-   * @returns {WashingMachine} this instance for chaining
-   * @example
-   * wm.once('programFinished', () => console.log('Done!'));
-   */
-  once(event, listener) {
-    this._emitter.once(event, listener);
-    return this;
-  }
-
-  /**
-   * Remove specific event listener (alias for off)
-   * @param {string} event - Event name
-   * @param {Function} listener - Event handler function to remove
-   * @returns {WashingMachine} this instance for chaining
-   */
-  removeListener(event, listener) {
-    this._emitter.removeListener(event, listener);
-    return this;
-  }
-
-  /**
-   * Remove all listeners for an event, or all events if no event specified
-   * @param {string} [event] - Event name (optional, removes all if omitted)
-   * @returns {WashingMachine} this instance for chaining
-   * @example
-   * wm.removeAllListeners('programStarted'); // Remove all programStarted listeners
-   * wm.removeAllListeners(); // Remove ALL listeners
-   */
-  removeAllListeners(event) {
-    this._emitter.removeAllListeners(event);
-    return this;
-  }
-
-  /**
-   * Get count of listeners for an event
-   * @param {string} event - Event name
-   * @returns {number} Number of listeners registered for this event
-   * @example
-   * const count = wm.listenerCount('attributesUpdated');
-   */
-  listenerCount(event) {
-    return this._emitter.listenerCount(event);
-  }
-
-  /**
-   * Set translations dictionary
-   * @param {Object} translations - Translations object from hOn API
-   * @returns {void}
-   * @example
-   * wm.setTranslations(translationsFromAPI);
-   */
-  setTranslations(translations) {
-    this._translations = translations || {};
-  }
-
-  /**
-   * Get translation for a key
-   * Supports nested keys with dot notation
-   * @param {string} key - Translation key (e.g., 'PROGRAMS.WM_WD.COTTONS')
-   * @returns {string} Translated text or key as fallback
-   * @example
-   * const translated = wm.getTranslation('PROGRAMS.WM_WD.COTTONS');
-   * // Returns: "Cotone" (if translated) or key itself (fallback)
-   */
-  getTranslation(key) {
-    if (!key || !this._translations) return key;
-
-    const parts = key.split('.');
-    let result = this._translations;
-
-    for (const part of parts) {
-      if (result && typeof result === 'object' && part in result) {
-        result = result[part];
-      } else {
-        return key; // Not found
-      }
-    }
-
-    return typeof result === 'string' ? result : key;
   }
 
   /**
@@ -156,6 +30,28 @@ class WashingMachine extends ApplianceBase {
     '7': 'finished',  // Test/Standby (treated as finished)
   };
 
+  /**
+   * Commands sent by the program actions (start(), pause(), resume(), stop())
+   * @static
+   */
+  static ACTION_COMMANDS = {
+    start: 'startProgram',
+    pause: 'pauseProgram',
+    resume: 'resumeProgram',
+    stop: 'stopProgram',
+  };
+
+  /**
+   * Machine states (see MACHINE_STATES) in which each program action is allowed
+   * @static
+   */
+  static ALLOWED_TRANSITIONS = {
+    start: ['ready', 'finished'],
+    pause: ['running'],
+    resume: ['paused'],
+    stop: ['running', 'paused', 'scheduled'],
+  };
+
   /**
    * Wash phase mapping (prPhase values)
    * Complete mapping verified against Home Assistant implementation
@@ -472,54 +368,6 @@ class WashingMachine extends ApplianceBase {
     return WashingMachine.WASH_PHASES[String(prPhase)] || 'idle';
   }
 
-  /**
-   * Get all available programs, including custom favourites.
-   * Custom favourites are user-configured variants of base programs with different temp/spinSpeed.
-   * Only programs without a prCode are excluded.
-   * Uses internal translations if available.
-   * @public
-   * @returns {Array<Object>} Array of program objects with id, name, prCode, prPosition, temp, spinSpeed, favourite
-   * @example
-   * const programs = wm.getAvailablePrograms();
-   * // Returns: [{ id: 'cottons', name: 'Cotone', prCode: 1, prPosition: 0, temp: 40, spinSpeed: 1200, favourite: 0 }, ...]
-   */
-  getAvailablePrograms() {
-    const startCmd = this.parent.commands?.startProgram;
-    if (!startCmd || !startCmd.categories) return [];
-
-    const programs = [];
-
-    for (const [name, category] of Object.entries(startCmd.categories)) {
-      // Skip programs without a prCode - they cannot be identified or started
-      const prCode = category.parameters?.prCode?.value;
-      if (prCode === undefined || prCode === null) continue;
-
-      const prPosition = category.parameters?.prPosition?.value;
-      const favourite = category.parameters?.favourite?.value;
-      const translationKey = category._categoryName;
-
-      // Get localized name using translation key from API
-      const displayName = this.getLocalizedProgramName(name, translationKey);
-
-      // Get temperature and spin speed for this program
-      const temp = category.parameters?.temp?.value;
-      const spinSpeed = category.parameters?.spinSpeed?.value;
-
-      programs.push({
-        id: name,
-        name: displayName,
-        prCode: parseInt(prCode),
-        prPosition: prPosition !== undefined ? parseInt(prPosition) : null,
-        temp: temp !== undefined ? parseInt(temp) : null,
-        spinSpeed: spinSpeed !== undefined ? parseInt(spinSpeed) : null,
-        favourite: favourite !== undefined ? parseInt(favourite) : 0
-      });
-    }
-
-    // Sort by display name (case-insensitive alphabetical order)
-    return programs.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
-  }
-
   /**
    * Get available temperatures for current program
    * @returns {Array<number>} Array of temperature values in °C
@@ -536,56 +384,6 @@ class WashingMachine extends ApplianceBase {
     return this._getParameterValues('spinSpeed');
   }
 
-  /**
-   * Get values for a parameter (handles both Enum and Range types)
-   * @param {string} paramName - Parameter name
-   * @returns {Array<number>} Array of numeric values
-   * @private
-   */
-  _getParameterValues(paramName) {
-    const param = this.parent.commands?.startProgram?.parameters?.[paramName];
-    if (!param) return [];
-
-    const values = param.values || [];
-    return values
-      .map(v => parseInt(v))
-      .filter(v => !isNaN(v))
-      .sort((a, b) => a - b);
-  }
-
-  /**
-   * Get localized program name
-   * Uses translation key provided by API, falls back to formatted name if not available
-   * @param {string|null} programId - Program ID from API (can be null if translationKey is provided)
-   * @param {string} [translationKey] - Translation key from API (program._category)
-   * @returns {string} Localized program name or formatted fallback
-   * @example
-   * const name = wm.getLocalizedProgramName('rapid_14_min', 'PROGRAMS.WM_WD.RAPID_14_MIN');
-   * // Returns: "Rapido 14'" (if translated) or "Rapid 14 Min" (fallback)
-   * @example
-   * const name = wm.getLocalizedProgramName(null, 'PROGRAMS.WM_WD.COTTONS');
-   * // Returns: "Cotone" (if translated) or empty string (fallback)
-   */
-  getLocalizedProgramName(programId, translationKey = null) {
-    // Try translation using key provided by API first
-    if (translationKey) {
-      const translated = this.getTranslation(translationKey);
-      if (translated && translated !== translationKey) return translated;
-    }
-
-    // If no programId, we can't proceed with fallbacks
-    if (!programId) return '';
-
-    // Fallback to program name in commands if available
-    if (this.parent.commands?.startProgram?.programs?.[programId]?.name) {
-      return this.parent.commands.startProgram.programs[programId].name;
-    }
-
-    // Final fallback: format program ID
-    const HonParameterProgram = require('../../parameters/program');
-    return HonParameterProgram.formatProgramName(programId);
-  }
-
   /**
    * Get translation key for machine state
    * Maps machMode and prPhase to hOn API translation key
@@ -667,192 +465,240 @@ class WashingMachine extends ApplianceBase {
   }
 
   /**
-   * Find a program by prCode and prPosition, with cascading disambiguation logic.
-   * When multiple programs match (e.g. base program + custom favourites with same prCode/prPosition),
-   * the method narrows down candidates step by step using temp, spinSpeed, and favourite flag.
-   * @public
-   * @param {number} prCode - Program code to search for
-   * @param {number|null} [prPosition=null] - Program position (optional, tightens the search)
-   * @param {boolean|null} [remoteControlEnabled=null] - Whether remote control is enabled; if true prefers IOT programs, if false prefers non-IOT
-   * @param {number|null} [temp=null] - Temperature value in °C from MQTT; used to disambiguate among multiple matches
-   * @param {number|null} [spinSpeed=null] - Spin speed value in RPM from MQTT; used to disambiguate among multiple matches
-   * @returns {Object|null} Matched program object, or null if not found.
-   *   The object contains: { id, name, prCode, prPosition, temp, spinSpeed, favourite, translationKey, isIot, isSpecial }
-   * @example
-   * // Basic lookup
-   * const prog = wm.findProgramByCode(9, 2);
-   * @example
-   * // Lookup with MQTT values for custom favourite disambiguation
-   * const prog = wm.findProgramByCode(9, 2, null, 60, 800);
+   * Check if remote control is enabled on the appliance
+   * @returns {boolean} True if remote control is enabled
    */
-  findProgramByCode(prCode, prPosition = null, remoteControlEnabled = null, temp = null, spinSpeed = null) {
-    const startCmd = this.parent.commands?.startProgram;
-    if (!startCmd?.categories) return null;
-
-    const HonParameterProgram = require('../../parameters/program');
-    const searchPrCode = String(prCode);
-    const searchPrPosition = prPosition !== null ? String(prPosition) : null;
-
-    let matches = [];
-
-    // Collect all matching programs
-    for (const [key, category] of Object.entries(startCmd.categories)) {
-      const catPrCode = String(category.parameters?.prCode?.value || '');
-      const catPrPosition = category.parameters?.prPosition?.value !== undefined
-        ? String(category.parameters.prPosition.value)
-        : null;
-
-      if (catPrCode !== searchPrCode) continue;
-      if (searchPrPosition !== null && catPrPosition !== searchPrPosition) continue;
-
-      const keyUpper = key.toUpperCase();
-      const isIot = keyUpper.startsWith('IOT_');
-      const isSpecial = keyUpper.startsWith('SPECIAL_');
-      const translationKey = category._categoryName;
-      const catFavourite = category.parameters?.favourite?.value;
-      const catTemp = category.parameters?.temp?.value;
-      const catSpinSpeed = category.parameters?.spinSpeed?.value;
-
-      // Get localized program name using translation key
-      const localizedName = this.getLocalizedProgramName(key, translationKey);
-
-      matches.push({
-        id: key,
-        name: localizedName,
-        prCode: parseInt(prCode),
-        prPosition: catPrPosition !== null ? parseInt(catPrPosition) : null,
-        temp: catTemp !== undefined ? parseInt(catTemp) : null,
-        spinSpeed: catSpinSpeed !== undefined ? parseInt(catSpinSpeed) : null,
-        favourite: catFavourite !== undefined ? parseInt(catFavourite) : 0,
-        translationKey: translationKey || null,
-        isIot,
-        isSpecial
-      });
+  isRemoteControlEnabled() {
+    const remoteCtrValid = this.parent.attributes?.parameters?.remoteCtrValid?.value;
+    if (remoteCtrValid === undefined || remoteCtrValid === null) {
+      // If parameter doesn't exist, assume remote control is available
+      return true;
     }
+    return parseInt(remoteCtrValid) === 1;
+  }
 
-    if (matches.length === 0) return null;
-    if (matches.length === 1) return matches[0];
+  /**
+   * Validate that remote control is enabled, throw error if not
+   * @param {string} commandName - Name of the command being validated (for error message)
+   * @throws {Error} If remote control is not enabled
+   */
+  validateRemoteControl(commandName = 'command') {
+    if (!this.isRemoteControlEnabled()) {
+      throw new Error(`Cannot execute ${commandName}: Remote control is not enabled on the appliance. Please enable it on the machine display.`);
+    }
+  }
 
-    // Multiple matches - apply cascading filtering logic
-    let filtered = matches;
+  /**
+   * Get the duration of a program
+   * Reads the program's prTime parameter (minutes)
+   * @param {string} programId - Program ID (key of startProgram categories)
+   * @returns {number|null} Duration in minutes, or null if the program doesn't report it
+   */
+  getProgramDuration(programId) {
+    const value = this.parent.commands?.startProgram?.categories?.[programId]?.parameters?.prTime?.value;
+    const duration = parseInt(value);
+    return isNaN(duration) || duration <= 0 ? null : duration;
+  }
 
-    // STEP 1: Filter by remote control status (if provided)
-    if (remoteControlEnabled !== null) {
-      if (remoteControlEnabled) {
-        // Remote ON: prefer IOT programs
-        const iotMatches = filtered.filter(m => m.isIot);
-        if (iotMatches.length > 0) {
-          filtered = iotMatches;
-          console.log(`🎮 Remote control ON: filtered to ${iotMatches.length} IOT programs`);
-        }
-      } else {
-        // Remote OFF: prefer NON-IOT programs
-        const nonIotMatches = filtered.filter(m => !m.isIot);
-        if (nonIotMatches.length > 0) {
-          filtered = nonIotMatches;
-          console.log(`🎮 Remote control OFF: filtered to ${nonIotMatches.length} NON-IOT programs`);
-        }
-      }
+  /**
+   * Compute the delayTime value for a delayed start
+   * The delay is rounded to the step of the program's delayTime range: up for startAt
+   * (never start early), down for finishBy (never finish late).
+   * @param {string} programId - Program ID (key of startProgram categories)
+   * @param {Object} options - Schedule options
+   * @param {Date|number|string} [options.startAt] - Wall-clock start time
+   * @param {Date|number|string} [options.finishBy] - Wall-clock deadline for the end of the program
+   * @param {number} [options.duration] - Program duration in minutes (default: getProgramDuration())
+   * @returns {number} Delay in minutes
+   * @throws {Error} If the program is unknown or has no delayed start, the times are invalid,
+   *   or the delay is outside the delayTime range
+   */
+  computeDelay(programId, { startAt, finishBy, duration } = {}) {
+    const program = this.parent.commands?.startProgram?.categories?.[programId];
+    if (!program) {
+      throw new Error(`Unknown program '${programId}'`);
     }
 
-    // STEP 2: Prefer real programs over SPECIAL programs
-    if (filtered.length > 1) {
-      const realPrograms = filtered.filter(m => !m.isSpecial);
-      if (realPrograms.length > 0) {
-        filtered = realPrograms;
-        console.log(`🎯 Applied priority: selected ${realPrograms.length} real (non-SPECIAL) programs`);
-      }
+    const delayParameter = program.parameters?.delayTime;
+    if (!(delayParameter instanceof HonParameterRange)) {
+      throw new Error(`Program '${programId}' does not support delayed start`);
     }
 
-    // STEP 3: Disambiguate by temperature (from MQTT)
-    if (filtered.length > 1 && temp !== null) {
-      const tempMatches = filtered.filter(m => m.temp === temp);
-      if (tempMatches.length > 0) {
-        filtered = tempMatches;
-        console.log(`🌡️  Filtered by temp=${temp}: ${filtered.length} remaining`);
-      }
+    if ((startAt === undefined) === (finishBy === undefined)) {
+      throw new Error('Specify exactly one of startAt or finishBy');
     }
 
-    // STEP 4: Disambiguate by spin speed (from MQTT)
-    if (filtered.length > 1 && spinSpeed !== null) {
-      const spinMatches = filtered.filter(m => m.spinSpeed === spinSpeed);
-      if (spinMatches.length > 0) {
-        filtered = spinMatches;
-        console.log(`💨 Filtered by spinSpeed=${spinSpeed}: ${filtered.length} remaining`);
-      }
+    const target = new Date(startAt ?? finishBy).getTime();
+    if (isNaN(target)) {
+      throw new Error(`Invalid ${startAt !== undefined ? 'startAt' : 'finishBy'} time: ${startAt ?? finishBy}`);
     }
 
-    // STEP 5: If still multiple, prefer the user's favourite
-    if (filtered.length > 1) {
-      const favouriteMatches = filtered.filter(m => m.favourite === 1);
-      if (favouriteMatches.length > 0) {
-        filtered = favouriteMatches;
-        console.log(`⭐ Preferred favourite: ${filtered.length} remaining`);
+    let minutes = (target - Date.now()) / 60000;
+    if (finishBy !== undefined) {
+      const programDuration = duration ?? this.getProgramDuration(programId);
+      if (!programDuration) {
+        throw new Error(`Duration of program '${programId}' is unknown, pass options.duration`);
       }
+      minutes -= programDuration;
     }
 
-    // STEP 6: Fallback - take first
-    if (filtered.length > 1) {
-      console.warn(`⚠️  Still ${filtered.length} matches for prCode=${prCode}, prPosition=${prPosition}, temp=${temp}, spinSpeed=${spinSpeed}:`);
-      filtered.forEach(m => console.warn(`   - ${m.id} (temp=${m.temp}, spinSpeed=${m.spinSpeed}, favourite=${m.favourite})`));
-      console.warn(`   Using first: ${filtered[0].id}`);
+    const { min, max, step } = delayParameter;
+    const steps = (minutes - min) / step;
+    const delay = min + (finishBy !== undefined ? Math.floor(steps) : Math.ceil(steps)) * step;
+
+    if (minutes <= 0 || delay < min || delay > max) {
+      throw new Error(`Delay of ${Math.round(minutes)} min is out of range (allowed: ${min}-${max} min, step ${step})`);
     }
 
-    return filtered[0];
+    return delay;
   }
 
   /**
-   * Get current program information based on MQTT attributes.
-   * Passes temp and spinSpeed to findProgramByCode to correctly resolve custom favourites.
-   * @public
-   * @returns {Object|null} Program info object, or null if no program is active
+   * Start a program with a delayed start
+   * Computes delayTime from startAt or finishBy (see computeDelay()) and sends startProgram.
+   * The appliance reports machMode 4 ('scheduled') until the program starts.
+   * @param {string} programId - Program ID (key of startProgram categories)
+   * @param {Object} options - Schedule options and additional program parameters
+   * @param {Date|number|string} [options.startAt] - Wall-clock start time
+   * @param {Date|number|string} [options.finishBy] - Wall-clock deadline for the end of the program
+   * @param {number} [options.duration] - Program duration in minutes (default: getProgramDuration())
+   * @param {Object} [sendOptions={}] - Options passed to HonCommand.send() (e.g. { waitForAck: true })
+   * @returns {Promise<Object>} Send result with delayTime (minutes), startAt and finishAt (Date or null)
+   * @throws {Error} If remote control is disabled or the delay is invalid (see computeDelay())
+   * @throws {InvalidStateTransitionError} If the appliance is not ready
    * @example
-   * const info = wm.getProgramInfo();
-   * // Returns: { id: 'cottons', name: 'Cotone', prCode: 1, temp: 60, spinSpeed: 800, favourite: 1, ... }
+   * // Finish the cotton program by 7:00 tomorrow
+   * const finishBy = new Date();
+   * finishBy.setDate(finishBy.getDate() + 1);
+   * finishBy.setHours(7, 0, 0, 0);
+   * await wm.scheduleProgram('cotton', { finishBy, temp: 40 });
    */
-  getProgramInfo() {
-    const prCode = this.parent.attributes?.parameters?.prCode?.value;
-    const prPosition = this.parent.attributes?.parameters?.prPosition?.value;
-
-    if (!prCode || prCode === '0') return null;
-
-    const tempRaw = this.parent.attributes?.parameters?.temp?.value;
-    const spinSpeedRaw = this.parent.attributes?.parameters?.spinSpeed?.value;
-    const temp = tempRaw !== undefined && tempRaw !== null ? parseInt(tempRaw) : null;
-    const spinSpeed = spinSpeedRaw !== undefined && spinSpeedRaw !== null ? parseInt(spinSpeedRaw) : null;
-
-    return this.findProgramByCode(
-      parseInt(prCode),
-      prPosition ? parseInt(prPosition) : null,
-      null,
-      temp,
-      spinSpeed
-    );
+  async scheduleProgram(programId, options = {}, sendOptions = {}) {
+    this.validateRemoteControl('scheduleProgram');
+    this._validateTransition('start');
+
+    const { startAt, finishBy, duration, ...params } = options;
+    const delayTime = this.computeDelay(programId, { startAt, finishBy, duration });
+    const programDuration = duration ?? this.getProgramDuration(programId);
+
+    const command = this.parent.commands.startProgram;
+    const result = await command.send({ ...params, program: programId, delayTime }, sendOptions);
+
+    const start = new Date(Date.now() + delayTime * 60000);
+    return {
+      ...result,
+      delayTime,
+      startAt: start,
+      finishAt: programDuration ? new Date(start.getTime() + programDuration * 60000) : null
+    };
   }
 
   /**
-   * Check if remote control is enabled on the appliance
-   * @returns {boolean} True if remote control is enabled
+   * Check if a program is waiting for its delayed start
+   * @returns {boolean} True if machMode is 4 ('scheduled')
    */
-  isRemoteControlEnabled() {
-    const remoteCtrValid = this.parent.attributes?.parameters?.remoteCtrValid?.value;
-    if (remoteCtrValid === undefined || remoteCtrValid === null) {
-      // If parameter doesn't exist, assume remote control is available
-      return true;
+  isScheduled() {
+    return this.getStateKey() === 'scheduled';
+  }
+
+  /**
+   * Cancel a delayed start through the stopProgram command
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If no program is scheduled, remote control is disabled or stopProgram is not available
+   */
+  async cancelSchedule() {
+    if (!this.isScheduled()) {
+      throw new Error('Cannot cancel schedule: no program is scheduled');
     }
-    return parseInt(remoteCtrValid) === 1;
+    return await this.stop();
   }
 
   /**
-   * Validate that remote control is enabled, throw error if not
-   * @param {string} commandName - Name of the command being validated (for error message)
-   * @throws {Error} If remote control is not enabled
+   * Refuse a program action the current machine state doesn't allow
+   * @param {string} action - Action key of ALLOWED_TRANSITIONS
+   * @throws {InvalidStateTransitionError} If the action is not allowed
+   * @private
    */
-  validateRemoteControl(commandName = 'command') {
-    if (!this.isRemoteControlEnabled()) {
-      throw new Error(`Cannot execute ${commandName}: Remote control is not enabled on the appliance. Please enable it on the machine display.`);
+  _validateTransition(action) {
+    const state = this.getStateKey();
+    const allowed = this.constructor.ALLOWED_TRANSITIONS[action];
+    if (!allowed.includes(state)) {
+      throw new InvalidStateTransitionError(action, state, allowed);
     }
   }
+
+  /**
+   * Check remote control and machine state, then send the command of a program action
+   * @param {string} action - Action key of ACTION_COMMANDS
+   * @param {Object|null} params - Parameters to send (null: the command's current parameters)
+   * @param {Object} sendOptions - Options passed to HonCommand.send()
+   * @returns {Promise<Object>} Send result
+   * @private
+   */
+  async _runAction(action, params, sendOptions) {
+    const commandName = this.constructor.ACTION_COMMANDS[action];
+    this.validateRemoteControl(commandName);
+    this._validateTransition(action);
+
+    const command = this.parent.commands?.[commandName];
+    if (!command) {
+      throw new Error(`Cannot ${action}: ${commandName} command not available`);
+    }
+
+    return await command.send(params ?? { ...command.parameterGroups.parameters }, sendOptions);
+  }
+
+  /**
+   * Start a program
+   * @param {string} programId - Program ID (key of startProgram categories)
+   * @param {Object} [overrides={}] - Program parameters to change (e.g. { temp: 40, spinSpeed: 1000 })
+   * @param {Object} [sendOptions={}] - Options passed to HonCommand.send() (e.g. { waitForAck: true })
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If remote control is disabled, the program is unknown or startProgram is not available
+   * @throws {InvalidStateTransitionError} If the appliance is not ready or finished
+   * @example
+   * await wm.start('iot_wash_rapid_14', { temp: 30 });
+   */
+  async start(programId, overrides = {}, sendOptions = {}) {
+    const categories = this.parent.commands?.startProgram?.categories;
+    if (categories && !categories[programId]) {
+      throw new Error(`Unknown program '${programId}'`);
+    }
+    return await this._runAction('start', { ...overrides, program: programId }, sendOptions);
+  }
+
+  /**
+   * Pause the running program
+   * @param {Object} [sendOptions={}] - Options passed to HonCommand.send()
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If remote control is disabled or pauseProgram is not available
+   * @throws {InvalidStateTransitionError} If no program is running
+   */
+  async pause(sendOptions = {}) {
+    return await this._runAction('pause', null, sendOptions);
+  }
+
+  /**
+   * Resume the paused program
+   * @param {Object} [sendOptions={}] - Options passed to HonCommand.send()
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If remote control is disabled or resumeProgram is not available
+   * @throws {InvalidStateTransitionError} If the program is not paused
+   */
+  async resume(sendOptions = {}) {
+    return await this._runAction('resume', null, sendOptions);
+  }
+
+  /**
+   * Stop the running, paused or scheduled program
+   * @param {Object} [sendOptions={}] - Options passed to HonCommand.send()
+   * @returns {Promise<Object>} Send result
+   * @throws {Error} If remote control is disabled or stopProgram is not available
+   * @throws {InvalidStateTransitionError} If no program is running, paused or scheduled
+   */
+  async stop(sendOptions = {}) {
+    return await this._runAction('stop', null, sendOptions);
+  }
 }
 
 module.exports = WashingMachine;
@@ -62,6 +62,8 @@ class HonAuthData {
  * @class
  * @extends EventEmitter
  * @fires HonAuth#tokens
+ * @fires HonAuth#refreshFailed
+ * @fires HonAuth#reauthenticated
  * @example
  * const auth = new HonAuth(null, 'email@example.com', 'password');
  * 
@@ -108,6 +110,7 @@ class HonAuth extends EventEmitter {
     this._device = device || new HonDevice();
     this._expires = new Date();
     this._auth = new HonAuthData();
+    this._autoRefresh = null;
   }
 
   /**
@@ -180,6 +183,18 @@ class HonAuth extends EventEmitter {
     return now >= expiryTime;
   }
 
+  /**
+   * Gets the expiration time of the current tokens
+   * Tokens are valid for TOKEN_EXPIRES_AFTER_HOURS after they were issued
+   * @public
+   * @returns {Date} Expiration time
+   * @example
+   * console.log('Tokens valid until', auth.expiresAt.toISOString());
+   */
+  get expiresAt() {
+    return new Date(this._expires.getTime() + (constants.TOKEN_EXPIRES_AFTER_HOURS * 60 * 60 * 1000));
+  }
+
   /**
    * Checks if the authentication token has expired
    * @public
@@ -665,6 +680,52 @@ class HonAuth extends EventEmitter {
     }
   }
 
+  /**
+   * Authenticates with an existing web session instead of email and password
+   * The session cookies (e.g. captured by the web-login proxy) authorize the OAuth request
+   * directly, so the login form - and any captcha on it - is skipped
+   * @public
+   * @param {string} sessionId - Salesforce session ID (`sid` cookie of the auth domain)
+   * @param {Object} [cookies={}] - Other session cookies of the auth domain (name -> value)
+   * @returns {Promise<void>}
+   * @throws {HonAuthenticationError} If the session is expired or not valid, or no cognito token is received
+   * @fires HonAuth#tokens
+   * @example
+   * const auth = new HonAuth(null, '', '');
+   * await auth.authenticateWithSession(credentials.sessionId, credentials.cookies);
+   * console.log(auth.refreshToken);
+   */
+  async authenticateWithSession(sessionId, cookies = {}) {
+    if (!sessionId) {
+      throw new HonAuthenticationError('Session ID is required');
+    }
+
+    this.clear();
+
+    const cookieJar = this._request._cookieJar;
+    for (const [name, value] of Object.entries({ ...cookies, sid: sessionId })) {
+      if (value) {
+        await cookieJar.setCookie(`${name}=${value}; Path=/`, constants.AUTH_API);
+      }
+    }
+
+    // With a valid session the authorize request answers with the tokens right away
+    try {
+      await this._introduce();
+    } catch (error) {
+      if (!(error instanceof HonNoAuthenticationNeeded)) {
+        throw new HonAuthenticationError(`Session exchange failed: ${error.message}`);
+      }
+    }
+
+    if (!this._auth.accessToken || !this._auth.idToken || !this._auth.refreshToken) {
+      this.clear();
+      throw new HonAuthenticationError('Session exchange failed: session expired or not valid');
+    }
+
+    await this._apiAuth();
+  }
+
   /**
    * Refreshes authentication tokens using refresh token
    * Use this to renew expired access tokens without full re-authentication
@@ -776,7 +837,8 @@ class HonAuth extends EventEmitter {
     this._auth.idToken = tokens.idToken;
     this._auth.refreshToken = tokens.refreshToken;
     this._auth.cognitoToken = tokens.cognitoToken;
-    this._expires = new Date(tokens.expiresAt);
+    // _expires holds the issue time (see expiresAt)
+    this._expires = new Date(expirationTime - (constants.TOKEN_EXPIRES_AFTER_HOURS * 60 * 60 * 1000));
     
     if (tokens.expiresIn) {
       this._auth.expiresIn = tokens.expiresIn;
@@ -813,11 +875,189 @@ class HonAuth extends EventEmitter {
       idToken: this._auth.idToken,
       refreshToken: this._auth.refreshToken,
       cognitoToken: this._auth.cognitoToken,
-      expiresAt: this._expires.toISOString(),
+      expiresAt: this.expiresAt.toISOString(),
       expiresIn: this._auth.expiresIn || 86400
     };
     
     this.emit('tokens', tokens);
+
+    // Tokens renewed outside the scheduler (lazy refresh, setTokens): plan the next refresh from them
+    if (this._autoRefresh && !this._autoRefresh.running) {
+      this._scheduleAutoRefresh();
+    }
+  }
+
+  /**
+   * Starts refreshing the tokens in the background before they expire
+   * Keeps the idToken valid for consumers that do not go through the REST handler (e.g. MQTT reconnects).
+   * A failed refresh is retried with exponential backoff; when the refresh token is missing or the
+   * retries are exhausted, a full authenticate() is done instead.
+   * The timers do not keep the process alive.
+   * @public
+   * @param {Object} [options={}] - Scheduler options
+   * @param {number} [options.refreshBefore] - Milliseconds before expiration to refresh
+   *   (default: TOKEN_EXPIRES_AFTER_HOURS - TOKEN_EXPIRE_WARNING_HOURS, i.e. when tokenExpiresSoon becomes true)
+   * @param {number} [options.retryDelay=30000] - Delay before the first retry in milliseconds (doubled on every retry)
+   * @param {number} [options.maxRetryDelay=900000] - Maximum delay between retries in milliseconds
+   * @param {number} [options.maxRetries=5] - Refresh attempts before falling back to authenticate()
+   * @fires HonAuth#refreshFailed
+   * @fires HonAuth#reauthenticated
+   * @example
+   * auth.on('refreshFailed', ({ stage, attempt, error, retryIn }) => {
+   *   console.warn(`Token ${stage} failed (attempt ${attempt}): ${error.message}`);
+   * });
+   * auth.on('reauthenticated', () => console.log('Logged in again'));
+   * auth.startAutoRefresh();
+   */
+  startAutoRefresh(options = {}) {
+    this.stopAutoRefresh();
+
+    const hour = 60 * 60 * 1000;
+    this._autoRefresh = {
+      options: {
+        refreshBefore: (constants.TOKEN_EXPIRES_AFTER_HOURS - constants.TOKEN_EXPIRE_WARNING_HOURS) * hour,
+        retryDelay: 30000,
+        maxRetryDelay: 15 * 60 * 1000,
+        maxRetries: 5,
+        ...options
+      },
+      timer: null,
+      running: false
+    };
+    this._scheduleAutoRefresh();
+  }
+
+  /**
+   * Stops the background token refresh
+   * @public
+   */
+  stopAutoRefresh() {
+    if (this._autoRefresh && this._autoRefresh.timer) {
+      clearTimeout(this._autoRefresh.timer);
+    }
+    this._autoRefresh = null;
+  }
+
+  /**
+   * Checks if the background token refresh is running
+   * @public
+   * @returns {boolean} True if started with startAutoRefresh()
+   */
+  get autoRefreshEnabled() {
+    return this._autoRefresh !== null;
+  }
+
+  /**
+   * Gets the time of the next scheduled refresh
+   * @public
+   * @returns {Date|null} Next refresh time, or null if the background refresh is not running
+   */
+  get nextRefreshAt() {
+    return this._autoRefresh ? this._autoRefresh.nextRefreshAt || null : null;
+  }
+
+  /**
+   * Plans a scheduler run
+   * @private
+   * @param {number|null} [delay=null] - Delay in milliseconds (default: until refreshBefore the expiration)
+   * @param {number} [attempt=1] - Refresh attempt of the run
+   */
+  _scheduleAutoRefresh(delay = null, attempt = 1) {
+    const state = this._autoRefresh;
+    if (!state) return;
+
+    if (state.timer) {
+      clearTimeout(state.timer);
+    }
+
+    if (delay === null) {
+      delay = Math.max(0, this.expiresAt.getTime() - state.options.refreshBefore - Date.now());
+    }
+    state.nextRefreshAt = new Date(Date.now() + delay);
+
+    // setTimeout overflows above ~24.8 days; the run reschedules itself if it is not due yet
+    state.timer = setTimeout(() => this._runAutoRefresh(attempt), Math.min(delay, 0x7fffffff));
+    if (typeof state.timer.unref === 'function') {
+      state.timer.unref();
+    }
+  }
+
+  /**
+   * Runs a scheduled refresh, with retries and the authenticate() fallback
+   * @private
+   * @param {number} attempt - Refresh attempt (1 for the planned refresh)
+   * @returns {Promise<void>}
+   */
+  async _runAutoRefresh(attempt) {
+    const state = this._autoRefresh;
+    if (!state) return;
+    state.timer = null;
+
+    if (Date.now() < state.nextRefreshAt.getTime()) {
+      this._scheduleAutoRefresh(state.nextRefreshAt.getTime() - Date.now(), attempt);
+      return;
+    }
+
+    const { retryDelay, maxRetryDelay, maxRetries } = state.options;
+    state.running = true;
+
+    try {
+      let error = null;
+      if (!this._auth.refreshToken) {
+        error = new HonAuthenticationError('No refresh token available');
+      } else if (!await this.refresh()) {
+        error = new HonAuthenticationError('Token refresh failed');
+      }
+
+      if (this._autoRefresh !== state) return;
+
+      if (!error) {
+        this._debugLog('Background token refresh succeeded');
+        this._scheduleAutoRefresh();
+        return;
+      }
+
+      const canRetry = !!this._auth.refreshToken && attempt < maxRetries;
+      const retryIn = canRetry ? Math.min(retryDelay * Math.pow(2, attempt - 1), maxRetryDelay) : null;
+
+      /**
+       * Refresh failed event - emitted when a background refresh or its authenticate() fallback fails
+       * @event HonAuth#refreshFailed
+       * @type {Object}
+       * @property {string} stage - 'refresh' or 'authenticate'
+       * @property {number} attempt - Refresh attempt (1-based)
+       * @property {Error} error - Failure
+       * @property {number|null} retryIn - Milliseconds until the next try, or null if authenticate() follows immediately
+       */
+      this.emit('refreshFailed', { stage: 'refresh', attempt, error, retryIn });
+
+      if (canRetry) {
+        this._scheduleAutoRefresh(retryIn, attempt + 1);
+        return;
+      }
+
+      try {
+        await this.authenticate();
+      } catch (authError) {
+        if (this._autoRefresh !== state) return;
+        this.emit('refreshFailed', { stage: 'authenticate', attempt, error: authError, retryIn: maxRetryDelay });
+        this._scheduleAutoRefresh(maxRetryDelay, 1);
+        return;
+      }
+
+      if (this._autoRefresh !== state) return;
+
+      /**
+       * Reauthenticated event - emitted when the background refresh fell back to a successful authenticate()
+       * @event HonAuth#reauthenticated
+       * @type {Object}
+       * @property {number} attempts - Failed refresh attempts before the login
+       */
+      this.emit('reauthenticated', { attempts: attempt });
+      this._scheduleAutoRefresh();
+    } finally {
+      state.running = false;
+    }
   }
 
   /**
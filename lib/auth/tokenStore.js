@@ -0,0 +1,243 @@
+/**
+ * Token stores for persisting HonAuth tokens between runs
+ * HonAPI.create() loads tokens from a store before logging in and saves them on every refresh
+ * @module auth/tokenStore
+ */
+
+const fs = require('fs').promises;
+const constants = require('../config/constants');
+const {
+  getEncryptionKey,
+  getPreviousEncryptionKeys,
+  readJsonFile,
+  writeJsonFile,
+  readSecureJson
+} = require('../utils/secureFile');
+
+/**
+ * Token store interface
+ * A store only has to implement load(), save() and clear(); tokens are the objects
+ * emitted by the HonAuth `tokens` event and accepted by HonAuth.setTokens()
+ * @class
+ */
+class HonTokenStore {
+  /**
+   * Load the stored tokens
+   * @public
+   * @returns {Promise<Object|null>} Tokens, or null if none are stored
+   */
+  async load() {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  /**
+   * Store tokens, replacing the previous ones
+   * @public
+   * @param {Object} tokens - Tokens ({ accessToken, idToken, refreshToken, cognitoToken, expiresAt, expiresIn })
+   * @returns {Promise<void>}
+   */
+  async save(tokens) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Remove the stored tokens
+   * @public
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+}
+
+/**
+ * In-memory token store
+ * Keeps tokens for the lifetime of the process (e.g. several HonAPI instances, tests)
+ * @class
+ * @extends HonTokenStore
+ */
+class HonMemoryTokenStore extends HonTokenStore {
+  /**
+   * @param {Object|null} [tokens=null] - Initial tokens
+   */
+  constructor(tokens = null) {
+    super();
+    this._tokens = tokens ? { ...tokens } : null;
+  }
+
+  /**
+   * Load the tokens kept in memory
+   * @public
+   * @returns {Promise<Object|null>} Copy of the tokens, or null if none are stored
+   */
+  async load() {
+    return this._tokens ? { ...this._tokens } : null;
+  }
+
+  /**
+   * Keep a copy of the tokens in memory
+   * @public
+   * @param {Object} tokens - Tokens
+   * @returns {Promise<void>}
+   */
+  async save(tokens) {
+    this._tokens = { ...tokens };
+  }
+
+  /**
+   * Forget the tokens
+   * @public
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._tokens = null;
+  }
+}
+
+/**
+ * Plain JSON file token store
+ * The file is written with owner-only permissions; a missing file means no tokens
+ * @class
+ * @extends HonTokenStore
+ * @example
+ * const api = new HonAPI({ email, password, tokenStore: new HonFileTokenStore('./.hon-tokens.json') });
+ * await api.create();
+ */
+class HonFileTokenStore extends HonTokenStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    super();
+    if (!filePath) {
+      throw new Error('Token file path is required');
+    }
+    this._filePath = filePath;
+  }
+
+  /**
+   * Get the path of the token file
+   * @public
+   * @returns {string} File path
+   */
+  get filePath() {
+    return this._filePath;
+  }
+
+  /**
+   * Load the tokens from the file
+   * @public
+   * @returns {Promise<Object|null>} Tokens, or null if the file does not exist
+   * @throws {Error} If the file cannot be read or is not valid JSON
+   */
+  async load() {
+    return await readJsonFile(this._filePath);
+  }
+
+  /**
+   * Write the tokens to the file
+   * @public
+   * @param {Object} tokens - Tokens
+   * @returns {Promise<void>}
+   */
+  async save(tokens) {
+    await writeJsonFile(this._filePath, tokens);
+  }
+
+  /**
+   * Delete the token file
+   * @public
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await fs.rm(this._filePath, { force: true });
+  }
+}
+
+/**
+ * Encrypted JSON file token store
+ * Tokens are encrypted with AES-256-GCM using a key derived from the passphrase.
+ * A plaintext file, or one encrypted with a previous passphrase, is rewritten with the
+ * current passphrase when loaded
+ * @class
+ * @extends HonFileTokenStore
+ * @example
+ * // Passphrase from HON_ENCRYPTION_KEY, previous ones from HON_ENCRYPTION_KEY_PREVIOUS
+ * const store = new HonEncryptedFileTokenStore('./.hon-tokens.enc');
+ */
+class HonEncryptedFileTokenStore extends HonFileTokenStore {
+  /**
+   * @param {string} filePath - Path of the encrypted file
+   * @param {string} [passphrase] - Passphrase used to derive the encryption key (default: HON_ENCRYPTION_KEY)
+   * @param {Object} [options={}] - Options
+   * @param {Array<string>} [options.previousPassphrases=[]] - Passphrases still accepted for loading
+   *   (HON_ENCRYPTION_KEY_PREVIOUS is added)
+   */
+  constructor(filePath, passphrase = null, { previousPassphrases = [] } = {}) {
+    super(filePath);
+    this._passphrase = getEncryptionKey(passphrase);
+    if (!this._passphrase) {
+      throw new Error(`Token encryption passphrase is required (set ${constants.ENCRYPTION_KEY_ENV})`);
+    }
+    this._previousPassphrases = getPreviousEncryptionKeys(previousPassphrases);
+  }
+
+  /**
+   * Load and decrypt the stored tokens
+   * Plaintext tokens and tokens encrypted with a previous passphrase are saved again with the current one
+   * @public
+   * @returns {Promise<Object|null>} Tokens, or null if none are stored
+   * @throws {Error} If no passphrase decrypts the file or it was modified
+   */
+  async load() {
+    const result = await readSecureJson(this._filePath, {
+      passphrase: this._passphrase,
+      previousPassphrases: this._previousPassphrases
+    });
+    if (!result) return null;
+
+    if (!result.encrypted || result.passphrase !== this._passphrase) {
+      await this.save(result.data);
+    }
+    return result.data;
+  }
+
+  /**
+   * Encrypt the tokens and write them to the file
+   * @public
+   * @param {Object} tokens - Tokens
+   * @returns {Promise<void>}
+   */
+  async save(tokens) {
+    await writeJsonFile(this._filePath, tokens, this._passphrase);
+  }
+
+  /**
+   * Re-encrypt the stored tokens with a new passphrase
+   * The current passphrase is still accepted for loading afterwards
+   * @public
+   * @param {string} newPassphrase - New passphrase
+   * @returns {Promise<boolean>} True if stored tokens were re-encrypted, false if none are stored
+   * @throws {Error} If the stored tokens cannot be decrypted
+   */
+  async rotateKey(newPassphrase) {
+    if (!newPassphrase) {
+      throw new Error('Token encryption passphrase is required');
+    }
+
+    const tokens = await this.load();
+    this._previousPassphrases = [this._passphrase, ...this._previousPassphrases];
+    this._passphrase = newPassphrase;
+
+    if (!tokens) return false;
+    await this.save(tokens);
+    return true;
+  }
+}
+
+module.exports = {
+  HonTokenStore,
+  HonMemoryTokenStore,
+  HonFileTokenStore,
+  HonEncryptedFileTokenStore
+};
@@ -30,5 +30,9 @@ module.exports = {
   
   // Token Configuration
   TOKEN_EXPIRES_AFTER_HOURS: 8,
-  TOKEN_EXPIRE_WARNING_HOURS: 7
+  TOKEN_EXPIRE_WARNING_HOURS: 7,
+  
+  // Encryption Configuration (environment variables holding the passphrases)
+  ENCRYPTION_KEY_ENV: "HON_ENCRYPTION_KEY",
+  PREVIOUS_ENCRYPTION_KEYS_ENV: "HON_ENCRYPTION_KEY_PREVIOUS"
 };
\ No newline at end of file
@@ -109,9 +109,10 @@ class HonParameter {
    * @param {string} value - Trigger value
    * @param {Function} func - Trigger function
    * @param {Object} data - Trigger data
+   * @param {boolean} [immediate=true] - Run the trigger right away if the parameter has the trigger value
    */
-  addTrigger(value, func, data) {
-    if (this._value === value) {
+  addTrigger(value, func, data, immediate = true) {
+    if (immediate && String(this.value).toLowerCase() === String(value).toLowerCase()) {
       func(data);
     }
     if (!this._triggers[value]) {
@@ -138,6 +139,22 @@ class HonParameter {
     }
   }
 
+  /**
+   * Create an independent copy of the parameter
+   * The copy has its own value and allowed values, but no triggers
+   * @returns {HonParameter} Copy
+   */
+  clone() {
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+    for (const [key, value] of Object.entries(copy)) {
+      if (Array.isArray(value)) {
+        copy[key] = [...value];
+      }
+    }
+    copy._triggers = {};
+    return copy;
+  }
+
   /**
    * Get triggers information
    * @returns {Object} Triggers data
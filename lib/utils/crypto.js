@@ -1,6 +1,6 @@
 /**
  * Cryptographic utilities for hOn authentication
- * Provides nonce generation and password hashing functions
+ * Provides nonce generation, password hashing and authenticated encryption functions
  * @module utils/crypto
  */
 
@@ -62,9 +62,103 @@ function verifyPassword(password, hashedPassword) {
     return hashedInput === hashedPassword;
 }
 
+/**
+ * Cipher used by encrypt() and decrypt()
+ * @type {string}
+ */
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Derive a 256-bit key from a passphrase
+ * @private
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Random salt stored with the encrypted data
+ * @returns {Buffer} Key
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+/**
+ * Encrypt a string with AES-256-GCM
+ * The key is derived from the passphrase with scrypt and a random salt
+ * @public
+ * @param {string} plaintext - Text to encrypt
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} Envelope { version, algorithm, salt, iv, tag, data } (base64 values), safe to store as JSON
+ * @throws {Error} If the passphrase is empty
+ * @example
+ * const envelope = encrypt(JSON.stringify(tokens), process.env.HON_ENCRYPTION_KEY);
+ */
+function encrypt(plaintext, passphrase) {
+  if (!passphrase) {
+    throw new Error('Encryption passphrase is required');
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    algorithm: ENCRYPTION_ALGORITHM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an envelope created by encrypt()
+ * @public
+ * @param {Object} envelope - Envelope { version, algorithm, salt, iv, tag, data }
+ * @param {string} passphrase - Passphrase used to encrypt
+ * @returns {string} Decrypted text
+ * @throws {Error} If the envelope is invalid, the passphrase is wrong or the data was modified
+ * @example
+ * const tokens = JSON.parse(decrypt(envelope, process.env.HON_ENCRYPTION_KEY));
+ */
+function decrypt(envelope, passphrase) {
+  if (!isEncrypted(envelope)) {
+    throw new Error('Invalid encrypted data');
+  }
+  if (!passphrase) {
+    throw new Error('Encryption passphrase is required');
+  }
+
+  try {
+    const key = deriveKey(passphrase, Buffer.from(envelope.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Failed to decrypt: wrong passphrase or corrupted data');
+  }
+}
+
+/**
+ * Check if a value is an envelope created by encrypt()
+ * @public
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value looks like an encrypted envelope
+ */
+function isEncrypted(value) {
+  return !!value && typeof value === 'object' &&
+    value.algorithm === ENCRYPTION_ALGORITHM &&
+    ['salt', 'iv', 'tag', 'data'].every(field => typeof value[field] === 'string');
+}
+
 module.exports = {
   generateNonce,
   randomHex,
   hashPassword,
-  verifyPassword
+  verifyPassword,
+  encrypt,
+  decrypt,
+  isEncrypted
 };
\ No newline at end of file
@@ -100,10 +100,84 @@ class ApiError extends Error {
   }
 }
 
+/**
+ * Error thrown when command parameters fail validation
+ * @class
+ * @extends Error
+ * @example
+ * throw new CommandValidationError('startProgram', [{ parameter: 'temp', value: '95', message: 'Allowed values: 30, 60, 90 But was: 95' }]);
+ */
+class CommandValidationError extends Error {
+  /**
+   * Creates a new command validation error
+   * @public
+   * @param {string} commandName - Name of the validated command
+   * @param {Array<Object>} [errors=[]] - Validation errors ({ parameter, value, message })
+   */
+  constructor(commandName, errors = []) {
+    const details = errors.map(error => error.parameter ? `${error.parameter}: ${error.message}` : error.message);
+    super(`Invalid ${commandName} command: ${details.join('; ')}`);
+    this.name = 'CommandValidationError';
+    this.commandName = commandName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown when a sent command is not confirmed by the appliance in time
+ * @class
+ * @extends Error
+ * @example
+ * throw new CommandTimeoutError('startProgram', 30000, 'aa-bb-cc-dd-ee-ff_2024-01-01T10:00:00.000Z');
+ */
+class CommandTimeoutError extends Error {
+  /**
+   * Creates a new command timeout error
+   * @public
+   * @param {string} commandName - Name of the sent command
+   * @param {number} timeout - Time waited for the confirmation in milliseconds
+   * @param {string} [transactionId=''] - Transaction ID of the sent command
+   */
+  constructor(commandName, timeout, transactionId = '') {
+    super(`No confirmation for ${commandName} received from the appliance within ${timeout} ms`);
+    this.name = 'CommandTimeoutError';
+    this.commandName = commandName;
+    this.timeout = timeout;
+    this.transactionId = transactionId;
+  }
+}
+
+/**
+ * Error thrown when an appliance action is not allowed in the current machine state
+ * @class
+ * @extends Error
+ * @example
+ * throw new InvalidStateTransitionError('pause', 'ready', ['running']);
+ */
+class InvalidStateTransitionError extends Error {
+  /**
+   * Creates a new invalid state transition error
+   * @public
+   * @param {string} action - Refused action (e.g., 'pause')
+   * @param {string} state - Current machine state (e.g., 'ready')
+   * @param {Array<string>} [allowedStates=[]] - States in which the action is allowed
+   */
+  constructor(action, state, allowedStates = []) {
+    super(`Cannot ${action} while the appliance is ${state} (allowed: ${allowedStates.join(', ')})`);
+    this.name = 'InvalidStateTransitionError';
+    this.action = action;
+    this.state = state;
+    this.allowedStates = allowedStates;
+  }
+}
+
 module.exports = {
   HonAuthenticationError,
   HonNoAuthenticationNeeded,
   NoSessionException,
   NoAuthenticationException,
-  ApiError
+  ApiError,
+  CommandValidationError,
+  CommandTimeoutError,
+  InvalidStateTransitionError
 };
\ No newline at end of file
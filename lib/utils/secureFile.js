@@ -0,0 +1,174 @@
+/**
+ * Encrypted-at-rest JSON files
+ * Reads and writes JSON files that are either plaintext or encrypted with crypto.encrypt(),
+ * and provides key rotation and migration of plaintext files
+ * @module utils/secureFile
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const constants = require('../config/constants');
+const { encrypt, decrypt, isEncrypted } = require('./crypto');
+
+/**
+ * Get the encryption passphrase
+ * @public
+ * @param {string|null} [passphrase=null] - Explicit passphrase (takes precedence)
+ * @returns {string|null} Passphrase, or the HON_ENCRYPTION_KEY environment variable, or null
+ * @example
+ * const key = getEncryptionKey(); // process.env.HON_ENCRYPTION_KEY
+ */
+function getEncryptionKey(passphrase = null) {
+  return passphrase || process.env[constants.ENCRYPTION_KEY_ENV] || null;
+}
+
+/**
+ * Get the previous passphrases accepted for decryption during a key rotation
+ * @public
+ * @param {Array<string>} [passphrases=[]] - Explicit previous passphrases
+ * @returns {Array<string>} Passphrases, followed by those in HON_ENCRYPTION_KEY_PREVIOUS (comma separated)
+ */
+function getPreviousEncryptionKeys(passphrases = []) {
+  const fromEnv = (process.env[constants.PREVIOUS_ENCRYPTION_KEYS_ENV] || '').split(',');
+  return [...passphrases, ...fromEnv].map(p => (p || '').trim()).filter(Boolean);
+}
+
+/**
+ * Read and parse a JSON file
+ * @public
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} Content, or null if the file does not exist
+ * @throws {Error} If the file cannot be read or is not valid JSON
+ */
+async function readJsonFile(filePath) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Invalid JSON file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON file with owner-only permissions, encrypted if a passphrase is given
+ * @public
+ * @param {string} filePath - File path (missing directories are created)
+ * @param {*} data - Content
+ * @param {string|null} [passphrase=null] - Encryption passphrase (null writes plaintext)
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(filePath, data, passphrase = null) {
+  const content = passphrase ? encrypt(JSON.stringify(data), passphrase) : data;
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(content, null, 2), { encoding: 'utf-8', mode: 0o600 });
+}
+
+/**
+ * Read a plaintext or encrypted JSON file
+ * Encrypted files are decrypted with the passphrase, then with each previous passphrase
+ * @public
+ * @param {string} filePath - File path
+ * @param {Object} [options={}] - Options
+ * @param {string|null} [options.passphrase=null] - Current passphrase
+ * @param {Array<string>} [options.previousPassphrases=[]] - Passphrases accepted during a key rotation
+ * @returns {Promise<Object|null>} { data, encrypted, passphrase } where passphrase is the one that
+ *   decrypted the file (null for plaintext), or null if the file does not exist
+ * @throws {Error} If the file is encrypted and no passphrase decrypts it
+ * @example
+ * const result = await readSecureJson('./tokens.json', { passphrase: getEncryptionKey() });
+ * if (result && (!result.encrypted || result.passphrase !== key)) {
+ *   // plaintext or old key: write it again with the current key
+ * }
+ */
+async function readSecureJson(filePath, { passphrase = null, previousPassphrases = [] } = {}) {
+  const content = await readJsonFile(filePath);
+  if (content === null) return null;
+
+  if (!isEncrypted(content)) {
+    return { data: content, encrypted: false, passphrase: null };
+  }
+
+  const candidates = [passphrase, ...previousPassphrases].filter(Boolean);
+  if (candidates.length === 0) {
+    throw new Error(`${filePath} is encrypted: set ${constants.ENCRYPTION_KEY_ENV} or pass a passphrase`);
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return { data: JSON.parse(decrypt(content, candidate)), encrypted: true, passphrase: candidate };
+    } catch (error) {
+      // Try the next passphrase
+    }
+  }
+  throw new Error(`Failed to decrypt ${filePath}: wrong passphrase or corrupted data`);
+}
+
+/**
+ * Encrypt a plaintext JSON file in place
+ * @public
+ * @param {string} filePath - File path
+ * @param {string} passphrase - Encryption passphrase
+ * @returns {Promise<boolean>} True if the file was encrypted, false if it was already encrypted
+ * @throws {Error} If the file does not exist or is not valid JSON
+ * @example
+ * await migrateFile('./hon_credentials.json', process.env.HON_ENCRYPTION_KEY);
+ */
+async function migrateFile(filePath, passphrase) {
+  if (!passphrase) {
+    throw new Error('Encryption passphrase is required');
+  }
+
+  const content = await readJsonFile(filePath);
+  if (content === null) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  if (isEncrypted(content)) return false;
+
+  await writeJsonFile(filePath, content, passphrase);
+  return true;
+}
+
+/**
+ * Re-encrypt a file with a new passphrase
+ * Plaintext files are encrypted as well
+ * @public
+ * @param {string} filePath - File path
+ * @param {Array<string>|string} oldPassphrases - Passphrase(s) the file may be encrypted with
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Promise<boolean>} True if the file was written, false if it already uses the new passphrase
+ * @throws {Error} If the file does not exist or no passphrase decrypts it
+ */
+async function rotateFile(filePath, oldPassphrases, newPassphrase) {
+  if (!newPassphrase) {
+    throw new Error('Encryption passphrase is required');
+  }
+
+  const result = await readSecureJson(filePath, {
+    passphrase: newPassphrase,
+    previousPassphrases: [].concat(oldPassphrases || [])
+  });
+  if (result === null) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  if (result.encrypted && result.passphrase === newPassphrase) return false;
+
+  await writeJsonFile(filePath, result.data, newPassphrase);
+  return true;
+}
+
+module.exports = {
+  getEncryptionKey,
+  getPreviousEncryptionKeys,
+  readJsonFile,
+  writeJsonFile,
+  readSecureJson,
+  migrateFile,
+  rotateFile
+};
@@ -14,6 +14,15 @@ if errorlevel 1 set FAILED=1
 node test/test_debug.js
 if errorlevel 1 set FAILED=1
 
+node test/test_appliance_types.js
+if errorlevel 1 set FAILED=1
+
+node test/test_commands.js
+if errorlevel 1 set FAILED=1
+
+node test/test_auth.js
+if errorlevel 1 set FAILED=1
+
 if %FAILED%==0 (
     echo.
     echo ========================================
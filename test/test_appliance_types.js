@@ -0,0 +1,954 @@
+/**
+ * Appliance Type Tests
+ * Tests appliance-specific type classes (state mapping, events, helpers)
+ */
+
+const {
+  WashingMachine,
+  TumbleDryer,
+  WasherDryer,
+  Dishwasher,
+  AirConditioner,
+  Refrigerator,
+  Oven,
+  InductionHob,
+  Hood,
+  WineCellar,
+  WaterHeater,
+  Microwave,
+  AirPurifier,
+  HonAppliance,
+  HonParameterFixed,
+  HonParameterRange,
+  HonParameterEnum,
+  InvalidStateTransitionError
+} = require('../index');
+
+console.log('\n========================================');
+console.log('APPLIANCE TYPE TESTS');
+console.log('========================================\n');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+/**
+ * Create a minimal mock HonAppliance
+ * @param {Object} parameters - Attribute parameters (key -> value)
+ * @param {Object} [commands={}] - Commands object
+ * @returns {Object} Mock appliance
+ */
+function createMockAppliance(parameters, commands = {}) {
+  const attributes = { parameters: {} };
+  for (const [key, value] of Object.entries(parameters)) {
+    attributes.parameters[key] = { value };
+  }
+
+  return {
+    attributes,
+    commands,
+    _connection: true,
+    updateFromMQTT(payload) {
+      payload.oldValues = {};
+      for (const [key, value] of Object.entries(payload.parameters)) {
+        if (this.attributes.parameters[key]) {
+          payload.oldValues[key] = this.attributes.parameters[key].value;
+          this.attributes.parameters[key].value = value;
+        } else {
+          this.attributes.parameters[key] = { value };
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Create a mock 'settings' command that records sent parameters
+ * @param {Object} parameters - HonParameter instances (key -> parameter)
+ * @returns {Object} Mock command with a `sent` array
+ */
+function createMockSettingsCommand(parameters) {
+  return {
+    parameters,
+    parameterGroups: { parameters },
+    sent: [],
+    async send(params) {
+      this.sent.push(params);
+      return { success: true, parameters: params };
+    }
+  };
+}
+
+/**
+ * Record emitted events on an appliance type instance
+ * @param {Object} instance - Appliance type instance
+ * @param {Array<string>} events - Event names to record
+ * @returns {Object} Map of event name -> array of payloads
+ */
+function recordEvents(instance, events) {
+  const recorded = {};
+  for (const event of events) {
+    recorded[event] = [];
+    instance.on(event, (data) => recorded[event].push(data));
+  }
+  return recorded;
+}
+
+async function runTests() {
+  // ========================================
+  // TumbleDryer
+  // ========================================
+  console.log('--- TumbleDryer ---');
+
+  await test('should map dry phases', () => {
+    const td = new TumbleDryer(createMockAppliance({ prPhase: '3' }));
+    assertEqual(td.getDryPhaseKey(), 'cooling');
+    assertEqual(td.getDryPhaseKey('1'), 'drying');
+    assertEqual(td.getDryPhaseKey('11'), 'anti_crease');
+    assertEqual(td.getWashPhaseKey('1'), 'drying', 'Inherited phase lookup should use dry phases');
+  });
+
+  await test('should emit programStarted, phaseChanged, stateChanged and programFinished', () => {
+    const td = new TumbleDryer(createMockAppliance({ machMode: '1', prPhase: '0' }));
+    const events = recordEvents(td, ['programStarted', 'phaseChanged', 'stateChanged', 'programFinished']);
+
+    td.updateFromMQTT({ parameters: { machMode: '2', prPhase: '1' } });
+    td.updateFromMQTT({ parameters: { prPhase: '3' } });
+    td.updateFromMQTT({ parameters: { machMode: '7', prPhase: '0' } });
+
+    assertEqual(events.programStarted.length, 1);
+    assertEqual(events.phaseChanged.length, 2);
+    assertEqual(events.phaseChanged[1].toKey, 'cooling');
+    assertEqual(events.stateChanged.length, 2);
+    assertEqual(events.programFinished.length, 1);
+  });
+
+  await test('should expose dry level and dry time helpers', () => {
+    const td = new TumbleDryer(createMockAppliance({ dryLevel: '13' }, {
+      startProgram: {
+        parameters: {
+          dryLevel: { values: ['12', '13', '15'] },
+          dryTime: { values: ['30', '60', '90'] }
+        }
+      }
+    }));
+
+    assertEqual(td.getDryLevelKey(), 'cupboard_dry');
+    const levels = td.getAvailableDryLevels();
+    assertEqual(levels.length, 3);
+    assertEqual(levels[0].key, 'iron_dry');
+    assertEqual(td.getAvailableDryTimes().join(','), '30,60,90');
+  });
+
+  await test('should find programs by prCode', () => {
+    const td = new TumbleDryer(createMockAppliance({ prCode: '5' }, {
+      startProgram: {
+        categories: {
+          cottons: { parameters: { prCode: { value: '5' } } },
+          synthetics: { parameters: { prCode: { value: '6' } } }
+        }
+      }
+    }));
+
+    assertEqual(td.findProgramByCode(6).id, 'synthetics');
+    assertEqual(td.getProgramInfo().id, 'cottons');
+  });
+
+  await test('should drop fixed dryLevel 11 from settings', () => {
+    const td = new TumbleDryer(createMockAppliance({}));
+    const settings = {
+      'startProgram.dryLevel': new HonParameterFixed('dryLevel', { fixedValue: '11' }, 'parameters')
+    };
+    assert(!('startProgram.dryLevel' in td.settings(settings)), 'dryLevel should be removed');
+  });
+
+  // ========================================
+  // WasherDryer
+  // ========================================
+  console.log('\n--- WasherDryer ---');
+
+  await test('should map wash and drying phases to cycle stages', () => {
+    const wd = new WasherDryer(createMockAppliance({ prPhase: '21' }));
+    assertEqual(wd.getCycleStage(), 'dry');
+    assertEqual(wd.getCycleStage('11'), 'wash');
+    assertEqual(wd.getCycleStage('0'), null);
+    assertEqual(wd.getWashPhaseKey('2'), 'washing');
+    assertEqual(wd.getWashPhaseKey('23'), 'cooling');
+  });
+
+  await test('should emit dryingStarted on the wash-to-dry transition only', () => {
+    const wd = new WasherDryer(createMockAppliance({ machMode: '1', prPhase: '0' }));
+    const events = recordEvents(wd, ['programStarted', 'phaseChanged', 'dryingStarted']);
+
+    wd.updateFromMQTT({ parameters: { machMode: '2', prPhase: '2' } });
+    wd.updateFromMQTT({ parameters: { prPhase: '11' } });
+    wd.updateFromMQTT({ parameters: { prPhase: '21' } });
+    wd.updateFromMQTT({ parameters: { prPhase: '23' } });
+
+    assertEqual(events.programStarted.length, 1);
+    assertEqual(events.phaseChanged.length, 4);
+    assertEqual(events.dryingStarted.length, 1);
+    assertEqual(events.dryingStarted[0].fromKey, 'spin');
+    assertEqual(events.dryingStarted[0].toKey, 'drying');
+  });
+
+  await test('should expose dry level and dry time helpers', () => {
+    const wd = new WasherDryer(createMockAppliance({}, {
+      startProgram: {
+        parameters: {
+          dryLevel: { values: ['12', '14'] },
+          dryTime: { values: ['60', '120'] }
+        }
+      }
+    }));
+
+    assertEqual(wd.getAvailableDryLevels()[1].key, 'ready_to_wear');
+    assertEqual(wd.getAvailableDryTimes().join(','), '60,120');
+  });
+
+  // ========================================
+  // Dishwasher
+  // ========================================
+  console.log('\n--- Dishwasher ---');
+
+  await test('should map dishwasher phases', () => {
+    const dw = new Dishwasher(createMockAppliance({ prPhase: '1' }));
+    assertEqual(dw.getWashPhaseKey(), 'prewashing');
+    assertEqual(dw.getWashPhaseKey('4'), 'drying');
+  });
+
+  await test('should emit the WashingMachine events', () => {
+    const dw = new Dishwasher(createMockAppliance({ machMode: '1', prPhase: '0' }));
+    const events = recordEvents(dw, ['programStarted', 'phaseChanged', 'programFinished']);
+
+    dw.updateFromMQTT({ parameters: { machMode: '2', prPhase: '2' } });
+    dw.updateFromMQTT({ parameters: { prPhase: '3' } });
+    dw.updateFromMQTT({ parameters: { machMode: '5', prPhase: '5' } });
+
+    assertEqual(events.programStarted.length, 1);
+    assertEqual(events.phaseChanged[1].toKey, 'rinse');
+    assertEqual(events.programFinished.length, 1);
+  });
+
+  await test('should emit rinseAidLow and saltLow once when levels turn low', () => {
+    const dw = new Dishwasher(createMockAppliance({ rinseAidStatus: '0', saltStatus: '0' }));
+    const events = recordEvents(dw, ['rinseAidLow', 'saltLow']);
+
+    dw.updateFromMQTT({ parameters: { saltStatus: '1' } });
+    dw.updateFromMQTT({ parameters: { saltStatus: '1', rinseAidStatus: '1' } });
+
+    assertEqual(events.saltLow.length, 1);
+    assertEqual(events.rinseAidLow.length, 1);
+    assert(dw.isSaltLow(), 'Salt should be low');
+    assert(dw.isRinseAidLow(), 'Rinse aid should be low');
+  });
+
+  // ========================================
+  // AirConditioner
+  // ========================================
+  console.log('\n--- AirConditioner ---');
+
+  function createAirConditioner(parameters) {
+    const settings = createMockSettingsCommand({
+      onOffStatus: new HonParameterEnum('onOffStatus', { enumValues: ['0', '1'], defaultValue: '0' }, 'parameters'),
+      machMode: new HonParameterEnum('machMode', { enumValues: ['0', '1', '2', '4', '6'], defaultValue: '0' }, 'parameters'),
+      tempSel: new HonParameterRange('tempSel', { minimumValue: '16', maximumValue: '30', incrementValue: '0.5', defaultValue: '24' }, 'parameters'),
+      windSpeed: new HonParameterEnum('windSpeed', { enumValues: ['1', '2', '3', '5'], defaultValue: '5' }, 'parameters'),
+      windDirectionVertical: new HonParameterEnum('windDirectionVertical', { enumValues: ['5', '8'], defaultValue: '5' }, 'parameters'),
+      windDirectionHorizontal: new HonParameterEnum('windDirectionHorizontal', { enumValues: ['0', '7'], defaultValue: '0' }, 'parameters'),
+      ecoMode: new HonParameterEnum('ecoMode', { enumValues: ['0', '1'], defaultValue: '0' }, 'parameters'),
+      silentSleepStatus: new HonParameterEnum('silentSleepStatus', { enumValues: ['0', '1'], defaultValue: '0' }, 'parameters')
+    });
+    return new AirConditioner(createMockAppliance(parameters, { settings }));
+  }
+
+  await test('should read climate state from attributes', () => {
+    const ac = createAirConditioner({
+      onOffStatus: '1', machMode: '4', tempSel: '22.5', tempIndoor: '19',
+      windSpeed: '3', windDirectionVertical: '8', windDirectionHorizontal: '0',
+      ecoMode: '1', silentSleepStatus: '0'
+    });
+    const state = ac.getState();
+
+    assertEqual(state.on, true);
+    assertEqual(state.mode, 'heat');
+    assertEqual(state.targetTemperature, 22.5);
+    assertEqual(state.currentTemperature, 19);
+    assertEqual(state.fanSpeed, 'low');
+    assertEqual(state.swing.vertical, true);
+    assertEqual(state.swing.horizontal, false);
+    assertEqual(state.eco, true);
+    assertEqual(state.sleep, false);
+    assertEqual(ac.getTargetTemperatureRange().max, 30);
+  });
+
+  await test('should emit change events from updateFromMQTT', () => {
+    const ac = createAirConditioner({ onOffStatus: '0', machMode: '1', tempSel: '24', windSpeed: '5' });
+    const events = recordEvents(ac, ['powerChanged', 'modeChanged', 'targetTemperatureChanged', 'fanSpeedChanged', 'stateChanged']);
+
+    ac.updateFromMQTT({ parameters: { onOffStatus: '1', machMode: '4' } });
+    ac.updateFromMQTT({ parameters: { tempSel: '21', windSpeed: '5' } });
+    ac.updateFromMQTT({ parameters: { tempIndoor: '20' } });
+
+    assertEqual(events.powerChanged.length, 1);
+    assertEqual(events.powerChanged[0].to, true);
+    assertEqual(events.modeChanged[0].from, 'cool');
+    assertEqual(events.modeChanged[0].to, 'heat');
+    assertEqual(events.targetTemperatureChanged[0].to, 21);
+    assertEqual(events.fanSpeedChanged.length, 0, 'Unchanged fan speed should not emit');
+    assertEqual(events.stateChanged.length, 2, 'Non-climate updates should not emit stateChanged');
+  });
+
+  await test('should send mode and temperature through the settings command', async () => {
+    const ac = createAirConditioner({ onOffStatus: '0' });
+    const settings = ac.parent.commands.settings;
+
+    await ac.setMode('cool');
+    await ac.setTargetTemperature(21.5);
+
+    assertEqual(settings.sent.length, 2);
+    assertEqual(settings.sent[0].onOffStatus.value, '1');
+    assertEqual(settings.sent[0].machMode.value, '1');
+    assertEqual(settings.sent[1].tempSel.value, 21.5);
+  });
+
+  await test('should send fan speed, swing, eco and sleep flags', async () => {
+    const ac = createAirConditioner({});
+    const settings = ac.parent.commands.settings;
+
+    await ac.setFanSpeed('high');
+    await ac.setSwing({ vertical: true, horizontal: true });
+    await ac.setEcoMode(true);
+    await ac.setSleepMode(true);
+
+    const last = settings.sent[settings.sent.length - 1];
+    assertEqual(last.windSpeed.value, '1');
+    assertEqual(last.windDirectionVertical.value, '8');
+    assertEqual(last.windDirectionHorizontal.value, '7');
+    assertEqual(last.ecoMode.value, '1');
+    assertEqual(last.silentSleepStatus.value, '1');
+  });
+
+  await test('should reject unknown modes and out-of-range temperatures', async () => {
+    const ac = createAirConditioner({});
+    const settings = ac.parent.commands.settings;
+
+    let error = null;
+    try { await ac.setMode('turbo'); } catch (e) { error = e; }
+    assert(error && error.message.includes('Unknown mode'), 'Unknown mode should throw');
+
+    error = null;
+    try { await ac.setTargetTemperature(35); } catch (e) { error = e; }
+    assert(error && error.message.includes('Allowed'), 'Out-of-range temperature should throw');
+    assertEqual(settings.sent.length, 0, 'Nothing should be sent');
+  });
+
+  await test('should leave the settings untouched when any value of an update is invalid', async () => {
+    const ac = createAirConditioner({});
+    const settings = ac.parent.commands.settings;
+
+    let error = null;
+    try { await ac._sendSettings({ onOffStatus: '1', tempSel: 35 }); } catch (e) { error = e; }
+    assert(error && error.message.includes('Allowed'), 'Invalid value should throw');
+    assertEqual(settings.parameters.onOffStatus.value, '0', 'Earlier values should not be applied');
+
+    error = null;
+    try { await ac._sendSettings({ machMode: '4', fanMode: '1' }); } catch (e) { error = e; }
+    assert(error && error.message.includes("Parameter 'fanMode'"), 'Unknown parameter should throw');
+    assertEqual(settings.parameters.machMode.value, '0', 'Earlier values should not be applied');
+    assertEqual(settings.sent.length, 0, 'Nothing should be sent');
+  });
+
+  await test('should refuse to send an empty update', async () => {
+    const ac = createAirConditioner({});
+    const settings = ac.parent.commands.settings;
+
+    let error = null;
+    try { await ac.setSwing({}); } catch (e) { error = e; }
+    assert(error && error.message.includes('No values to set'), 'Empty update should throw');
+    assertEqual(settings.sent.length, 0, 'Nothing should be sent');
+  });
+
+  // ========================================
+  // Refrigerator
+  // ========================================
+  console.log('\n--- Refrigerator ---');
+
+  await test('should expose zone temperatures and special modes', () => {
+    const ref = new Refrigerator(createMockAppliance({
+      tempZ1: '5', tempSelZ1: '4', tempZ2: '-18', tempSelZ2: '-20',
+      quickModeZ1: '0', quickModeZ2: '1', holidayMode: '0', doorStatusZ1: '1'
+    }));
+
+    assertEqual(ref.getFridgeTemperature(), 5);
+    assertEqual(ref.getFreezerTemperature(), -18);
+    assertEqual(ref.getVariableZoneTemperature(), null);
+    assertEqual(ref.getTargetTemperature('freezer'), -20);
+    assertEqual(ref.getZones().length, 2, 'Variable zone is not reported');
+    assert(ref.isDoorOpen('fridge'), 'Fridge door should be open');
+    assert(!ref.isDoorOpen('freezer'), 'Freezer door should be closed');
+    assert(ref.isSuperFreeze() && !ref.isSuperCool() && !ref.isHolidayMode(), 'Modes should match attributes');
+    assertEqual(ref.attributes({ parameters: { quickModeZ2: { value: '1' } } }).modeZ2, 'super_freeze');
+  });
+
+  await test('should only report the appliance zone when created for a zone', () => {
+    const appliance = createMockAppliance({ tempZ1: '5', tempSelZ1: '4', tempZ2: '-18', tempSelZ2: '-20' });
+    appliance.zone = 2;
+    const zones = new Refrigerator(appliance).getZones();
+
+    assertEqual(zones.length, 1);
+    assertEqual(zones[0].zone, 'freezer');
+  });
+
+  await test('should emit door and temperature alarm events', () => {
+    const ref = new Refrigerator(createMockAppliance({ tempZ1: '4', tempSelZ1: '4', doorStatusZ1: '0', doorStatusZ2: '0' }));
+    const events = recordEvents(ref, ['doorOpen', 'doorClosed', 'temperatureAlarm', 'temperatureAlarmCleared']);
+
+    ref.updateFromMQTT({ parameters: { doorStatusZ1: '1' } });
+    ref.updateFromMQTT({ parameters: { tempZ1: '9' } });
+    ref.updateFromMQTT({ parameters: { tempZ1: '10', doorStatusZ1: '1' } });
+    ref.updateFromMQTT({ parameters: { tempZ1: '5', doorStatusZ1: '0' } });
+
+    assertEqual(events.doorOpen.length, 1);
+    assertEqual(events.doorOpen[0].zone, 'fridge');
+    assertEqual(events.doorClosed.length, 1);
+    assertEqual(events.temperatureAlarm.length, 1);
+    assertEqual(events.temperatureAlarm[0].temperature, 9);
+    assertEqual(events.temperatureAlarmCleared.length, 1);
+  });
+
+  // ========================================
+  // Oven
+  // ========================================
+  console.log('\n--- Oven ---');
+
+  await test('should expose temperatures, timer and probe readings', () => {
+    const ov = new Oven(createMockAppliance({
+      onOffStatus: '1', temp: '150', tempSel: '180', remainingTimeMM: '25',
+      probeStatus: '1', tempProbe: '48', tempSelProbe: '65'
+    }));
+    const state = ov.getState();
+
+    assertEqual(state.on, true);
+    assertEqual(state.preheating, true, 'Below set temperature without preheatStatus means preheating');
+    assertEqual(state.temperature, 150);
+    assertEqual(state.targetTemperature, 180);
+    assertEqual(state.remainingTime, 25);
+    assertEqual(state.probe.temperature, 48);
+    assertEqual(state.probe.targetTemperature, 65);
+  });
+
+  await test('should resolve programs through the shared catalog with translations', () => {
+    const ov = new Oven(createMockAppliance({ prCode: '3' }, {
+      startProgram: {
+        categories: {
+          iot_bake: { _categoryName: 'PROGRAMS.OV.BAKE', parameters: { prCode: { value: '3' }, tempSel: { value: '180' } } },
+          iot_grill: { _categoryName: 'PROGRAMS.OV.GRILL', parameters: { prCode: { value: '7' } } }
+        }
+      }
+    }));
+    ov.setTranslations({ PROGRAMS: { OV: { BAKE: 'Forno statico' } } });
+
+    assertEqual(ov.getProgramInfo().name, 'Forno statico');
+    assertEqual(ov.findProgramByCode(7).id, 'iot_grill');
+    assertEqual(ov.getAvailablePrograms().length, 2);
+  });
+
+  await test('should emit preheatReached and cookingFinished', () => {
+    const ov = new Oven(createMockAppliance({ onOffStatus: '1', prCode: '3', preheatStatus: '1', temp: '120', tempSel: '180', remainingTimeMM: '30' }));
+    const events = recordEvents(ov, ['preheatReached', 'cookingFinished']);
+
+    ov.updateFromMQTT({ parameters: { temp: '175' } });
+    ov.updateFromMQTT({ parameters: { temp: '180', preheatStatus: '0' } });
+    ov.updateFromMQTT({ parameters: { remainingTimeMM: '1' } });
+    ov.updateFromMQTT({ parameters: { remainingTimeMM: '0' } });
+    ov.updateFromMQTT({ parameters: { onOffStatus: '0' } });
+
+    assertEqual(events.preheatReached.length, 1);
+    assertEqual(events.preheatReached[0].temperature, 180);
+    assertEqual(events.cookingFinished.length, 1);
+  });
+
+  await test('should detect preheat from temperatures when preheatStatus is missing', () => {
+    const ov = new Oven(createMockAppliance({ onOffStatus: '1', temp: '100', tempSel: '200' }));
+    const events = recordEvents(ov, ['preheatReached']);
+
+    ov.updateFromMQTT({ parameters: { temp: '190' } });
+    ov.updateFromMQTT({ parameters: { temp: '201' } });
+    ov.updateFromMQTT({ parameters: { temp: '199' } });
+    ov.updateFromMQTT({ parameters: { temp: '201' } });
+
+    assertEqual(events.preheatReached.length, 1, 'Thermostat cycling should not re-trigger preheatReached');
+  });
+
+  // ========================================
+  // InductionHob
+  // ========================================
+  console.log('\n--- InductionHob ---');
+
+  await test('should expose per-zone power level, timer and pan detection', () => {
+    const ih = new InductionHob(createMockAppliance({
+      onOffStatus: '1', hoodLinkStatus: '1',
+      powerLevelZ1: '6', timerZ1: '12', panDetectedZ1: '1',
+      powerLevelZ2: '0', panDetectedZ2: '0',
+      powerLevelZ3: '10'
+    }));
+
+    assertEqual(ih.getZoneNumbers().join(','), '1,2,3');
+    const zone1 = ih.getZone(1);
+    assertEqual(zone1.powerLevel, 6);
+    assertEqual(zone1.timer, 12);
+    assert(zone1.panDetected && zone1.active, 'Zone 1 should be active with a pan');
+    assert(!ih.getZone(2).active, 'Zone 2 should be off');
+    assert(ih.getZone(3).boost, 'Zone 3 should be on boost');
+    assert(ih.isHoodLinked(), 'Hood should be linked');
+  });
+
+  await test('should emit zone events', () => {
+    const ih = new InductionHob(createMockAppliance({ powerLevelZ1: '0', timerZ1: '0', panDetectedZ1: '0', hoodLinkStatus: '0' }));
+    const events = recordEvents(ih, ['zonePowerChanged', 'panDetected', 'panRemoved', 'zoneTimerFinished', 'hoodLinkChanged']);
+
+    ih.updateFromMQTT({ parameters: { panDetectedZ1: '1', powerLevelZ1: '7', timerZ1: '2' } });
+    ih.updateFromMQTT({ parameters: { timerZ1: '1', hoodLinkStatus: '1' } });
+    ih.updateFromMQTT({ parameters: { timerZ1: '0', powerLevelZ1: '0' } });
+    ih.updateFromMQTT({ parameters: { panDetectedZ1: '0' } });
+
+    assertEqual(events.zonePowerChanged.length, 2);
+    assertEqual(events.zonePowerChanged[0].zone, 1);
+    assertEqual(events.zonePowerChanged[0].to, 7);
+    assertEqual(events.panDetected.length, 1);
+    assertEqual(events.panRemoved.length, 1);
+    assertEqual(events.zoneTimerFinished.length, 1);
+    assertEqual(events.hoodLinkChanged[0].linked, true);
+  });
+
+  // ========================================
+  // Hood
+  // ========================================
+  console.log('\n--- Hood ---');
+
+  await test('should be loaded by HonAppliance for appliance type HO', () => {
+    const appliance = new HonAppliance(null, { applianceTypeName: 'HO' });
+    assert(appliance.extra instanceof Hood, 'HO appliances should use the Hood class');
+  });
+
+  await test('should expose fan speed, light and filter saturation', () => {
+    const hood = new Hood(createMockAppliance({
+      onOffStatus: '1', windSpeed: '3', lightStatus: '1', hobLinkStatus: '0',
+      greaseFilterSaturation: '100', carbonFilterSaturation: '40'
+    }));
+
+    assertEqual(hood.getFanSpeed(), 3);
+    assert(hood.isLightOn(), 'Light should be on');
+    assert(!hood.isLinkedMode(), 'Linked mode should be off');
+    assertEqual(hood.getFilterSaturation().carbon, 40);
+    assertEqual(hood.getSaturatedFilters().join(','), 'grease');
+  });
+
+  await test('should emit fan, light and filter events', () => {
+    const hood = new Hood(createMockAppliance({ windSpeed: '0', lightStatus: '0', greaseFilterSaturation: '95' }));
+    const events = recordEvents(hood, ['fanSpeedChanged', 'lightChanged', 'filterSaturated']);
+
+    hood.updateFromMQTT({ parameters: { windSpeed: '2', lightStatus: '1' } });
+    hood.updateFromMQTT({ parameters: { greaseFilterSaturation: '100' } });
+    hood.updateFromMQTT({ parameters: { greaseFilterSaturation: '100', windSpeed: '2' } });
+
+    assertEqual(events.fanSpeedChanged.length, 1);
+    assertEqual(events.fanSpeedChanged[0].to, 2);
+    assertEqual(events.lightChanged[0].on, true);
+    assertEqual(events.filterSaturated.length, 1);
+    assertEqual(events.filterSaturated[0].filter, 'grease');
+  });
+
+  // ========================================
+  // WineCellar
+  // ========================================
+  console.log('\n--- WineCellar ---');
+
+  await test('should expose zones and drop settings for missing zones', () => {
+    const wc = new WineCellar(createMockAppliance({ tempZ1: '12', tempSelZ1: '11', tempZ2: '17', tempSelZ2: '16', lightStatus: '1' }));
+    const settings = wc.settings({ 'settings.tempSelZ1': {}, 'settings.tempSelZ2': {}, 'settings.tempSelZ3': {} });
+
+    assertEqual(wc.getZones().length, 2);
+    assertEqual(wc.getZone(2).targetTemperature, 16);
+    assert(wc.isLightOn(), 'Light should be on');
+    assert(!('settings.tempSelZ3' in settings), 'Zone 3 setting should be removed');
+    assert('settings.tempSelZ2' in settings, 'Zone 2 setting should be kept');
+  });
+
+  await test('should emit zone temperature and light events', () => {
+    const wc = new WineCellar(createMockAppliance({ tempZ1: '12', tempSelZ1: '12', lightStatus: '0' }));
+    const events = recordEvents(wc, ['zoneTemperatureChanged', 'targetTemperatureChanged', 'lightChanged']);
+
+    wc.updateFromMQTT({ parameters: { tempZ1: '13', tempSelZ1: '10', lightStatus: '1' } });
+
+    assertEqual(events.zoneTemperatureChanged[0].zone, 1);
+    assertEqual(events.zoneTemperatureChanged[0].to, 13);
+    assertEqual(events.targetTemperatureChanged[0].to, 10);
+    assertEqual(events.lightChanged[0].on, true);
+  });
+
+  // ========================================
+  // WaterHeater
+  // ========================================
+  console.log('\n--- WaterHeater ---');
+
+  await test('should expose temperatures and modes, dropping fixed settings', () => {
+    const wh = new WaterHeater(createMockAppliance({ onOffStatus: '1', temp: '45', tempSel: '60', machMode: '2' }));
+    const settings = wh.settings({
+      'settings.tempSel': {},
+      'settings.onOffStatus': new HonParameterFixed('onOffStatus', { fixedValue: '1' }, 'parameters')
+    });
+
+    assertEqual(wh.getCurrentTemperature(), 45);
+    assertEqual(wh.getTargetTemperature(), 60);
+    assert(wh.isBoostMode() && !wh.isEcoMode(), 'Should be in boost mode');
+    assert(!('settings.onOffStatus' in settings), 'Fixed setting should be removed');
+  });
+
+  await test('should emit mode and target temperature events', () => {
+    const wh = new WaterHeater(createMockAppliance({ onOffStatus: '1', temp: '55', tempSel: '60', machMode: '1' }));
+    const events = recordEvents(wh, ['modeChanged', 'targetTemperatureChanged', 'targetTemperatureReached']);
+
+    wh.updateFromMQTT({ parameters: { machMode: '2' } });
+    wh.updateFromMQTT({ parameters: { temp: '60' } });
+    wh.updateFromMQTT({ parameters: { tempSel: '65' } });
+
+    assertEqual(events.modeChanged[0].from, 'eco');
+    assertEqual(events.modeChanged[0].to, 'boost');
+    assertEqual(events.targetTemperatureReached.length, 1);
+    assertEqual(events.targetTemperatureChanged[0].to, 65);
+  });
+
+  // ========================================
+  // Microwave
+  // ========================================
+  console.log('\n--- Microwave ---');
+
+  await test('should expose power level and cooking time', () => {
+    const mw = new Microwave(createMockAppliance({ microwavePower: '800', prTime: '5', remainingTimeMM: '3' }, {
+      startProgram: { parameters: { microwavePower: { values: ['900', '600', '800'] } } }
+    }));
+    const settings = mw.settings({
+      'startProgram.microwavePower': new HonParameterFixed('microwavePower', { fixedValue: '0' }, 'parameters')
+    });
+
+    assertEqual(mw.getPowerLevel(), 800);
+    assertEqual(mw.getCookingTime(), 5);
+    assertEqual(mw.getRemainingTime(), 3);
+    assertEqual(mw.getAvailablePowerLevels().join(','), '600,800,900');
+    assert(!('startProgram.microwavePower' in settings), 'Fixed power level should be removed');
+  });
+
+  await test('should emit cookingStarted, powerLevelChanged and cookingFinished', () => {
+    const mw = new Microwave(createMockAppliance({ microwavePower: '600', remainingTimeMM: '0' }));
+    const events = recordEvents(mw, ['cookingStarted', 'powerLevelChanged', 'cookingFinished']);
+
+    mw.updateFromMQTT({ parameters: { microwavePower: '800', remainingTimeMM: '2' } });
+    mw.updateFromMQTT({ parameters: { remainingTimeMM: '1' } });
+    mw.updateFromMQTT({ parameters: { remainingTimeMM: '0' } });
+
+    assertEqual(events.cookingStarted.length, 1);
+    assertEqual(events.cookingStarted[0].powerLevel, 800);
+    assertEqual(events.powerLevelChanged.length, 1);
+    assertEqual(events.cookingFinished.length, 1);
+  });
+
+  // ========================================
+  // AirPurifier
+  // ========================================
+  console.log('\n--- AirPurifier ---');
+
+  await test('should expose typed air-quality readings and AQI category', () => {
+    const apc = new AirPurifier(createMockAppliance({
+      pm2p5Level: '20', pm10Level: '31', vocValue: '2', humidityIndoor: '48',
+      mainFilterStatus: '55', preFilterStatus: '8', machMode: '2', windSpeed: '3'
+    }));
+    const readings = apc.getAirQuality();
+
+    assertEqual(readings.pm25, 20);
+    assertEqual(readings.voc, 2);
+    assertEqual(readings.humidity, 48);
+    assertEqual(readings.category, 'moderate');
+    assertEqual(AirPurifier.getAqiCategory(5), 'good');
+    assertEqual(AirPurifier.getAqiCategory(300), 'hazardous');
+    assertEqual(apc.getFilterLife().main, 55);
+    assert(apc.isFilterReplacementDue(), 'Pre-filter should be due');
+    assertEqual(apc.getFanModeKey(), 'auto');
+    assertEqual(apc.getFanSpeed(), 3);
+  });
+
+  await test('should emit airQualityChanged only when the category changes', () => {
+    const apc = new AirPurifier(createMockAppliance({ pm2p5Level: '5', mainFilterStatus: '12' }));
+    const events = recordEvents(apc, ['airQualityChanged', 'filterReplacementDue']);
+
+    apc.updateFromMQTT({ parameters: { pm2p5Level: '9' } });
+    apc.updateFromMQTT({ parameters: { pm2p5Level: '40' } });
+    apc.updateFromMQTT({ parameters: { mainFilterStatus: '10' } });
+    apc.updateFromMQTT({ parameters: { mainFilterStatus: '9' } });
+
+    assertEqual(events.airQualityChanged.length, 1);
+    assertEqual(events.airQualityChanged[0].from, 'good');
+    assertEqual(events.airQualityChanged[0].to, 'unhealthy_sensitive');
+    assertEqual(events.filterReplacementDue.length, 1);
+    assertEqual(events.filterReplacementDue[0].filter, 'main');
+  });
+
+  // ========================================
+  // Scheduling
+  // ========================================
+  console.log('\n--- Scheduling ---');
+
+  /**
+   * Create a WashingMachine with a cotton program supporting delayed start
+   * @param {Object} [parameters={}] - Attribute parameters
+   * @returns {Object} { wm, startProgram, stopProgram }
+   */
+  function createSchedulingMachine(parameters = {}) {
+    const cotton = {
+      parameters: {
+        delayTime: new HonParameterRange('delayTime', { minimumValue: '0', maximumValue: '1440', incrementValue: '30' }, 'parameters'),
+        prTime: new HonParameterFixed('prTime', { fixedValue: '120' }, 'parameters')
+      }
+    };
+    const quick = { parameters: {} };
+    const startProgram = createMockSettingsCommand({});
+    startProgram.categories = { cotton, quick };
+    const stopProgram = createMockSettingsCommand({ onOffStatus: '1' });
+
+    const wm = new WashingMachine(createMockAppliance({ machMode: '1', ...parameters }, { startProgram, stopProgram }));
+    return { wm, startProgram, stopProgram };
+  }
+
+  const inMinutes = (minutes) => new Date(Date.now() + minutes * 60000);
+
+  await test('should schedule a program to start at a given time', async () => {
+    const { wm, startProgram } = createSchedulingMachine();
+    const result = await wm.scheduleProgram('cotton', { startAt: inMinutes(95), temp: 40 });
+
+    assertEqual(result.delayTime, 120, 'Delay should be rounded up to the 30 min step');
+    assertEqual(startProgram.sent.length, 1);
+    assertEqual(startProgram.sent[0].program, 'cotton');
+    assertEqual(startProgram.sent[0].delayTime, 120);
+    assertEqual(startProgram.sent[0].temp, 40);
+    assert(!('startAt' in startProgram.sent[0]), 'Schedule options should not be sent');
+    assert(result.finishAt - result.startAt === 120 * 60000, 'finishAt should add the program duration');
+  });
+
+  await test('should schedule a program to finish by a deadline', async () => {
+    const { wm, startProgram } = createSchedulingMachine();
+    const result = await wm.scheduleProgram('cotton', { finishBy: inMinutes(310) });
+
+    assertEqual(result.delayTime, 180, 'Delay should subtract the duration and round down');
+    assertEqual(startProgram.sent[0].delayTime, 180);
+    assert(result.finishAt <= inMinutes(310), 'Program should finish before the deadline');
+  });
+
+  await test('should use an explicit duration for finishBy', () => {
+    const { wm } = createSchedulingMachine();
+    assertEqual(wm.computeDelay('cotton', { finishBy: inMinutes(310), duration: 60 }), 240);
+  });
+
+  await test('should reject invalid schedules', async () => {
+    const { wm, startProgram } = createSchedulingMachine();
+    const cases = [
+      [() => wm.computeDelay('unknown', { startAt: inMinutes(60) }), /Unknown program/],
+      [() => wm.computeDelay('quick', { startAt: inMinutes(60) }), /does not support delayed start/],
+      [() => wm.computeDelay('cotton', {}), /exactly one/],
+      [() => wm.computeDelay('cotton', { startAt: inMinutes(60), finishBy: inMinutes(300) }), /exactly one/],
+      [() => wm.computeDelay('cotton', { startAt: 'tomorrow-ish' }), /Invalid startAt/],
+      [() => wm.computeDelay('cotton', { startAt: inMinutes(-10) }), /out of range/],
+      [() => wm.computeDelay('cotton', { startAt: inMinutes(2000) }), /out of range/],
+      [() => wm.computeDelay('cotton', { finishBy: inMinutes(60) }), /out of range/]
+    ];
+
+    for (const [fn, pattern] of cases) {
+      let error = null;
+      try {
+        fn();
+      } catch (e) {
+        error = e;
+      }
+      assert(error && pattern.test(error.message), `Expected ${pattern}, got ${error && error.message}`);
+    }
+    assertEqual(startProgram.sent.length, 0);
+  });
+
+  await test('should not schedule when remote control is disabled', async () => {
+    const { wm, startProgram } = createSchedulingMachine({ remoteCtrValid: '0' });
+    let error = null;
+    try {
+      await wm.scheduleProgram('cotton', { startAt: inMinutes(60) });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /Remote control/.test(error.message), 'Should reject without remote control');
+    assertEqual(startProgram.sent.length, 0);
+  });
+
+  await test('should cancel a schedule through stopProgram', async () => {
+    const { wm, stopProgram } = createSchedulingMachine({ machMode: '4' });
+
+    assertEqual(wm.isScheduled(), true);
+    await wm.cancelSchedule();
+    assertEqual(stopProgram.sent.length, 1);
+    assertEqual(stopProgram.sent[0].onOffStatus, '1');
+  });
+
+  await test('should only cancel when a program is scheduled', async () => {
+    const { wm, stopProgram } = createSchedulingMachine({ machMode: '2' });
+    let error = null;
+    try {
+      await wm.cancelSchedule();
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /no program is scheduled/.test(error.message));
+    assertEqual(stopProgram.sent.length, 0);
+  });
+
+  await test('should be available on the other cycle appliances', () => {
+    for (const Type of [TumbleDryer, WasherDryer, Dishwasher]) {
+      assertEqual(typeof Type.prototype.scheduleProgram, 'function', `${Type.name}.scheduleProgram`);
+      assertEqual(typeof Type.prototype.cancelSchedule, 'function', `${Type.name}.cancelSchedule`);
+    }
+  });
+
+  // ========================================
+  // Program Actions
+  // ========================================
+  console.log('\n--- Program Actions ---');
+
+  /**
+   * Create a WashingMachine with all program action commands
+   * @param {Object} parameters - Attribute parameters
+   * @returns {Object} { wm, commands }
+   */
+  function createActionMachine(parameters) {
+    const commands = {
+      startProgram: createMockSettingsCommand({}),
+      pauseProgram: createMockSettingsCommand({ pause: '1' }),
+      resumeProgram: createMockSettingsCommand({ pause: '0' }),
+      stopProgram: createMockSettingsCommand({ onOffStatus: '1' })
+    };
+    commands.startProgram.categories = { cotton: { parameters: {} } };
+    const wm = new WashingMachine(createMockAppliance(parameters, commands));
+    return { wm, commands };
+  }
+
+  /**
+   * Run an action and return the thrown error (or null)
+   * @param {Function} fn - Async action
+   * @returns {Promise<Error|null>} Thrown error
+   */
+  async function catchError(fn) {
+    try {
+      await fn();
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  await test('should send the action commands in allowed states', async () => {
+    const ready = createActionMachine({ machMode: '1' });
+    await ready.wm.start('cotton', { temp: 40 });
+    assertEqual(ready.commands.startProgram.sent[0].program, 'cotton');
+    assertEqual(ready.commands.startProgram.sent[0].temp, 40);
+
+    const running = createActionMachine({ machMode: '2' });
+    await running.wm.pause();
+    assertEqual(running.commands.pauseProgram.sent[0].pause, '1');
+    await running.wm.stop();
+    assertEqual(running.commands.stopProgram.sent.length, 1);
+
+    const paused = createActionMachine({ machMode: '3' });
+    await paused.wm.resume();
+    assertEqual(paused.commands.resumeProgram.sent[0].pause, '0');
+  });
+
+  await test('should refuse illegal transitions locally', async () => {
+    const cases = [
+      ['2', (wm) => wm.start('cotton'), 'start'],
+      ['1', (wm) => wm.pause(), 'pause'],
+      ['2', (wm) => wm.resume(), 'resume'],
+      ['5', (wm) => wm.stop(), 'stop']
+    ];
+
+    for (const [machMode, action, name] of cases) {
+      const { wm, commands } = createActionMachine({ machMode });
+      const error = await catchError(() => action(wm));
+
+      assert(error instanceof InvalidStateTransitionError, `${name} in machMode ${machMode} should be refused`);
+      assertEqual(error.action, name);
+      assertEqual(error.state, wm.getStateKey());
+      assertEqual(Object.values(commands).reduce((sum, command) => sum + command.sent.length, 0), 0);
+    }
+  });
+
+  await test('should check remote control before the machine state', async () => {
+    const { wm, commands } = createActionMachine({ machMode: '1', remoteCtrValid: '0' });
+    const error = await catchError(() => wm.pause());
+
+    assert(error && !(error instanceof InvalidStateTransitionError), 'Remote control error expected');
+    assert(/pauseProgram.*Remote control/.test(error.message), error.message);
+    assertEqual(commands.pauseProgram.sent.length, 0);
+  });
+
+  await test('should report missing commands and unknown programs', async () => {
+    const { wm, commands } = createActionMachine({ machMode: '2' });
+    delete commands.pauseProgram;
+
+    assert(/pauseProgram command not available/.test((await catchError(() => wm.pause())).message));
+
+    const ready = createActionMachine({ machMode: '1' });
+    assert(/Unknown program/.test((await catchError(() => ready.wm.start('unknown'))).message));
+  });
+
+  await test('should refuse scheduling while a program runs', async () => {
+    const { wm, startProgram } = createSchedulingMachine({ machMode: '2' });
+    const error = await catchError(() => wm.scheduleProgram('cotton', { startAt: inMinutes(60) }));
+
+    assert(error instanceof InvalidStateTransitionError);
+    assertEqual(startProgram.sent.length, 0);
+  });
+
+  // ========================================
+  // Summary
+  // ========================================
+  console.log('\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total: ${passed + failed}`);
+  console.log(`✓ Passed: ${passed}`);
+  console.log(`✗ Failed: ${failed}`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
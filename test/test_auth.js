@@ -0,0 +1,875 @@
+/**
+ * Authentication Tests
+ * Tests token persistence (token stores, encryption) the HonAPI login flow and multi-account management
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const axios = require('axios');
+const {
+  HonAuth,
+  HonAPI,
+  HonAccountManager,
+  HonTokenStore,
+  HonMemoryTokenStore,
+  HonFileTokenStore,
+  HonEncryptedFileTokenStore,
+  constants,
+  crypto,
+  secureFile
+} = require('../index');
+const HonAuthAdapter = require('../lib/HonAuthAdapter');
+
+console.log('\n========================================');
+console.log('AUTHENTICATION TESTS');
+console.log('========================================\n');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+async function catchRejection(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Create a token set as emitted by HonAuth
+ * @param {string} suffix - Suffix making the token values unique
+ * @param {number} validForMs - Milliseconds until expiration (negative for expired tokens)
+ * @returns {Object} Tokens
+ */
+function createTokens(suffix, validForMs = 3600000) {
+  return {
+    accessToken: `access-${suffix}`,
+    idToken: `id-${suffix}`,
+    refreshToken: `refresh-${suffix}`,
+    cognitoToken: `cognito-${suffix}`,
+    expiresAt: new Date(Date.now() + validForMs).toISOString(),
+    expiresIn: 28800
+  };
+}
+
+/**
+ * Run a function with a temporary directory that is removed afterwards
+ * @param {Function} fn - Async function receiving the directory path
+ * @returns {Promise<void>}
+ */
+async function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'javahon-auth-'));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run a function with encryption environment variables set, restoring them afterwards
+ * @param {Object} env - { key, previous } values of HON_ENCRYPTION_KEY and HON_ENCRYPTION_KEY_PREVIOUS
+ * @param {Function} fn - Async function
+ * @returns {Promise<void>}
+ */
+async function withEncryptionEnv({ key, previous }, fn) {
+  const names = [constants.ENCRYPTION_KEY_ENV, constants.PREVIOUS_ENCRYPTION_KEYS_ENV];
+  const saved = names.map(name => process.env[name]);
+  [key, previous].forEach((value, i) => {
+    if (value === undefined) delete process.env[names[i]];
+    else process.env[names[i]] = value;
+  });
+
+  try {
+    await fn();
+  } finally {
+    saved.forEach((value, i) => {
+      if (value === undefined) delete process.env[names[i]];
+      else process.env[names[i]] = value;
+    });
+  }
+}
+
+/**
+ * Replace the network steps of HonAuth for the duration of a test
+ * A successful refresh or login emits fresh tokens like the real methods do
+ * @param {Object} options - { refreshSucceeds, loginSucceeds }
+ * @returns {Object} { calls, restore }
+ */
+function stubAuthFlow({ refreshSucceeds = true, loginSucceeds = true } = {}) {
+  const original = {
+    refresh: HonAuth.prototype.refresh,
+    authenticate: HonAuth.prototype.authenticate
+  };
+  const calls = [];
+
+  HonAuth.prototype.refresh = async function (refreshToken = '') {
+    calls.push({ method: 'refresh', refreshToken: refreshToken || this._auth.refreshToken });
+    if (!refreshSucceeds) return false;
+    this._expires = new Date();
+    this._auth.accessToken = 'access-refreshed';
+    this._auth.idToken = 'id-refreshed';
+    this._auth.cognitoToken = 'cognito-refreshed';
+    this._emitTokens();
+    return true;
+  };
+
+  HonAuth.prototype.authenticate = async function () {
+    calls.push({ method: 'authenticate' });
+    if (!loginSucceeds) throw new Error('Login failed');
+    this._expires = new Date();
+    this._auth.accessToken = 'access-login';
+    this._auth.idToken = 'id-login';
+    this._auth.refreshToken = 'refresh-login';
+    this._auth.cognitoToken = 'cognito-login';
+    this._emitTokens();
+  };
+
+  return {
+    calls,
+    restore() {
+      HonAuth.prototype.refresh = original.refresh;
+      HonAuth.prototype.authenticate = original.authenticate;
+    }
+  };
+}
+
+/**
+ * Create a HonAPI with the auth flow stubbed and run create()
+ * @param {HonTokenStore} tokenStore - Token store
+ * @param {Object} [flow={}] - stubAuthFlow() options
+ * @param {Object} [options={}] - Additional HonAPI options
+ * @returns {Promise<Object>} { api, calls }
+ */
+async function createApi(tokenStore, flow = {}, options = {}) {
+  const stub = stubAuthFlow(flow);
+  try {
+    const api = new HonAPI({ email: 'user@example.com', password: 'secret', tokenStore, ...options });
+    await api.create();
+    return { api, calls: stub.calls };
+  } finally {
+    stub.restore();
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a HonAuth with restored tokens whose refresh and login are replaced by stubs
+ * @param {Object} options - { validForMs, refreshResults (booleans, last one repeats), loginFails }
+ * @returns {Object} { auth, calls, events }
+ */
+function createRefreshingAuth({ validForMs = 10 * 60000, refreshResults = [true], loginFails = false } = {}) {
+  const auth = new HonAuth(null, 'user@example.com', 'secret');
+  auth.setTokens(createTokens('stored', validForMs));
+
+  const calls = [];
+  const events = [];
+  auth.refresh = async function () {
+    const result = refreshResults[Math.min(calls.filter(c => c === 'refresh').length, refreshResults.length - 1)];
+    calls.push('refresh');
+    if (!result) return false;
+    this._expires = new Date();
+    this._emitTokens();
+    return true;
+  };
+  auth.authenticate = async function () {
+    calls.push('authenticate');
+    if (loginFails) throw new Error('Login failed');
+    this._expires = new Date();
+    this._auth.refreshToken = 'refresh-login';
+    this._emitTokens();
+  };
+  auth.on('refreshFailed', event => events.push({ type: 'refreshFailed', ...event }));
+  auth.on('reauthenticated', event => events.push({ type: 'reauthenticated', ...event }));
+
+  return { auth, calls, events };
+}
+
+/**
+ * Create a HonAccountManager whose accounts restore stored tokens (no network)
+ * Logins take a few milliseconds so that concurrency can be measured; accounts with `fail: true` fail to log in
+ * @param {Object} [options={}] - HonAccountManager options
+ * @returns {Object} { manager, stats: { logins, running, maxRunning }, mqttClients }
+ */
+function createAccountManager(options = {}) {
+  const stats = { logins: 0, running: 0, maxRunning: 0 };
+  const mqttClients = [];
+
+  const manager = new HonAccountManager({
+    ...options,
+    createApi(apiOptions) {
+      const api = new HonAPI({ ...apiOptions, tokenStore: new HonMemoryTokenStore(createTokens(apiOptions.email)) });
+      const create = api.create.bind(api);
+      api.create = async () => {
+        stats.logins++;
+        stats.running++;
+        stats.maxRunning = Math.max(stats.maxRunning, stats.running);
+        try {
+          await sleep(20);
+          if (apiOptions.fail) throw new Error('Login failed');
+          return await create();
+        } finally {
+          stats.running--;
+        }
+      };
+      api.loadAppliances = async () => (apiOptions.appliances || []).map(macAddress => ({
+        macAddress,
+        applianceTypeName: 'WM',
+        nickName: macAddress
+      }));
+      return api;
+    },
+    async createMqttClient(api, appliances, mobileId) {
+      const mqtt = new EventEmitter();
+      mqtt.api = api;
+      mqtt.appliances = appliances;
+      mqtt.mobileId = mobileId;
+      mqtt.connected = true;
+      mqtt.disconnect = async () => {
+        mqtt.connected = false;
+      };
+      mqttClients.push(mqtt);
+      return mqtt;
+    }
+  });
+
+  return { manager, stats, mqttClients };
+}
+
+/**
+ * Create an axios session answering the hOn web-session exchange without network access
+ * @param {Object} options - { sessionValid } whether the authorize request returns tokens or the login page
+ * @returns {Object} { session, requests } where requests lists { method, url, cookie }
+ */
+function createWebSessionStub({ sessionValid = true } = {}) {
+  const requests = [];
+  const session = axios.create({
+    adapter: async (config) => {
+      const cookie = config.headers.Cookie || config.headers.get?.('Cookie') || '';
+      requests.push({ method: config.method, url: config.url, cookie });
+
+      let data;
+      if (config.url.includes('/services/oauth2/authorize/')) {
+        data = sessionValid
+          ? "<script>window.location.replace('hon://mobilesdk/detect/oauth/done#access_token=web-access&refresh_token=web-refresh%3D%3D&id_token=web-id&instance_url=x')</script>"
+          : "<script>window.location.href = '/NewhOnLogin?startURL=x'</script>";
+      } else if (config.url.endsWith('/auth/v1/login')) {
+        data = { cognitoUser: { Token: 'web-cognito' } };
+      } else {
+        data = '';
+      }
+      return { data, status: 200, statusText: 'OK', headers: {}, config, request: {} };
+    }
+  });
+  return { session, requests };
+}
+
+async function runTests() {
+  // ========================================
+  // Encryption
+  // ========================================
+  console.log('--- Encryption ---');
+
+  await test('should encrypt and decrypt with AES-256-GCM', () => {
+    const envelope = crypto.encrypt('{"secret":true}', 'passphrase');
+
+    assertEqual(envelope.algorithm, 'aes-256-gcm');
+    assert(crypto.isEncrypted(envelope), 'Envelope should be recognized');
+    assert(!JSON.stringify(envelope).includes('secret'), 'Plaintext should not be visible');
+    assertEqual(crypto.decrypt(envelope, 'passphrase'), '{"secret":true}');
+  });
+
+  await test('should reject a wrong passphrase or modified data', () => {
+    const envelope = crypto.encrypt('data', 'passphrase');
+
+    let error = null;
+    try {
+      crypto.decrypt(envelope, 'other');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /wrong passphrase or corrupted data/.test(error.message));
+
+    const tampered = { ...envelope, data: Buffer.from('DATA').toString('base64') };
+    error = null;
+    try {
+      crypto.decrypt(tampered, 'passphrase');
+    } catch (e) {
+      error = e;
+    }
+    assert(error !== null, 'Modified data should be rejected');
+  });
+
+  // ========================================
+  // Token Stores
+  // ========================================
+  console.log('\n--- Token Stores ---');
+
+  await test('should require token store implementations to override the interface', async () => {
+    const error = await catchRejection(() => new HonTokenStore().load());
+    assert(error && /HonTokenStore does not implement load\(\)/.test(error.message));
+  });
+
+  await test('should keep copies of tokens in memory', async () => {
+    const store = new HonMemoryTokenStore();
+    assertEqual(await store.load(), null);
+
+    const tokens = createTokens('a');
+    await store.save(tokens);
+    tokens.accessToken = 'changed';
+
+    assertEqual((await store.load()).accessToken, 'access-a');
+    await store.clear();
+    assertEqual(await store.load(), null);
+  });
+
+  await test('should persist tokens in a JSON file', async () => {
+    await withTempDir(async (dir) => {
+      const filePath = path.join(dir, 'nested', 'tokens.json');
+      const store = new HonFileTokenStore(filePath);
+      assertEqual(await store.load(), null, 'Missing file should mean no tokens');
+
+      await store.save(createTokens('a'));
+      assertEqual((await new HonFileTokenStore(filePath).load()).refreshToken, 'refresh-a');
+      if (process.platform !== 'win32') {
+        assertEqual(fs.statSync(filePath).mode & 0o777, 0o600, 'File should be owner-only');
+      }
+
+      await store.clear();
+      assert(!fs.existsSync(filePath), 'File should be deleted');
+    });
+  });
+
+  await test('should persist tokens encrypted', async () => {
+    await withTempDir(async (dir) => {
+      const filePath = path.join(dir, 'tokens.enc');
+      await new HonEncryptedFileTokenStore(filePath, 'passphrase').save(createTokens('a'));
+
+      const content = fs.readFileSync(filePath, 'utf-8');
+      assert(!content.includes('refresh-a'), 'Tokens should not be stored in plaintext');
+      assertEqual((await new HonEncryptedFileTokenStore(filePath, 'passphrase').load()).cognitoToken, 'cognito-a');
+
+      const error = await catchRejection(() => new HonEncryptedFileTokenStore(filePath, 'wrong').load());
+      assert(error && /wrong passphrase/.test(error.message));
+    });
+  });
+
+  // ========================================
+  // Encrypted Storage
+  // ========================================
+  console.log('\n--- Encrypted Storage ---');
+
+  await test('should migrate a plaintext file to encrypted', async () => {
+    await withTempDir(async (dir) => {
+      const filePath = path.join(dir, 'tokens.json');
+      fs.writeFileSync(filePath, JSON.stringify(createTokens('a')));
+
+      assertEqual(await secureFile.migrateFile(filePath, 'key-1'), true);
+      assertEqual(await secureFile.migrateFile(filePath, 'key-1'), false, 'Encrypted files should be left alone');
+      assert(!fs.readFileSync(filePath, 'utf-8').includes('refresh-a'), 'Tokens should be encrypted');
+
+      const result = await secureFile.readSecureJson(filePath, { passphrase: 'key-1' });
+      assertEqual(result.encrypted, true);
+      assertEqual(result.data.refreshToken, 'refresh-a');
+    });
+  });
+
+  await test('should rotate the key of an encrypted file', async () => {
+    await withTempDir(async (dir) => {
+      const filePath = path.join(dir, 'tokens.json');
+      await secureFile.writeJsonFile(filePath, createTokens('a'), 'key-1');
+
+      assertEqual(await secureFile.rotateFile(filePath, ['key-0', 'key-1'], 'key-2'), true);
+      assertEqual(await secureFile.rotateFile(filePath, 'key-1', 'key-2'), false);
+
+      const old = await catchRejection(() => secureFile.readSecureJson(filePath, { passphrase: 'key-1' }));
+      assert(old && /Failed to decrypt/.test(old.message), 'Old key should no longer work');
+      assertEqual((await secureFile.readSecureJson(filePath, { passphrase: 'key-2' })).data.cognitoToken, 'cognito-a');
+    });
+  });
+
+  await test('should take the token store key from the environment', async () => {
+    await withTempDir(async (dir) => {
+      const filePath = path.join(dir, 'tokens.enc');
+
+      await withEncryptionEnv({ key: undefined }, async () => {
+        let error = null;
+        try {
+          new HonEncryptedFileTokenStore(filePath);
+        } catch (e) {
+          error = e;
+        }
+        assert(error && /HON_ENCRYPTION_KEY/.test(error.message), 'Missing key should be reported');
+      });
+
+      await withEncryptionEnv({ key: 'env-key' }, async () => {
+        await new HonEncryptedFileTokenStore(filePath).save(createTokens('a'));
+      });
+      const result = await secureFile.readSecureJson(filePath, { passphrase: 'env-key' });
+      assertEqual(result.data.accessToken, 'access-a');
+    });
+  });
+
+  await test('should re-encrypt plaintext or old-key token files on load', async () => {
+    await withTempDir(async (dir) => {
+      const plainPath = path.join(dir, 'plain.json');
+      fs.writeFileSync(plainPath, JSON.stringify(createTokens('plain')));
+      const plain = await new HonEncryptedFileTokenStore(plainPath, 'key-2').load();
+      assertEqual(plain.accessToken, 'access-plain');
+      assertEqual((await secureFile.readSecureJson(plainPath, { passphrase: 'key-2' })).encrypted, true);
+
+      const oldPath = path.join(dir, 'old.json');
+      await secureFile.writeJsonFile(oldPath, createTokens('old'), 'key-1');
+      await withEncryptionEnv({ previous: 'key-0,key-1' }, async () => {
+        const tokens = await new HonEncryptedFileTokenStore(oldPath, 'key-2').load();
+        assertEqual(tokens.accessToken, 'access-old');
+      });
+      assertEqual((await secureFile.readSecureJson(oldPath, { passphrase: 'key-2' })).passphrase, 'key-2');
+    });
+  });
+
+  await test('should rotate the token store key', async () => {
+    await withTempDir(async (dir) => {
+      const filePath = path.join(dir, 'tokens.enc');
+      const store = new HonEncryptedFileTokenStore(filePath, 'key-1');
+      assertEqual(await store.rotateKey('key-2'), false, 'Nothing to rotate without tokens');
+
+      await store.save(createTokens('a'));
+      assertEqual(await store.rotateKey('key-3'), true);
+      assertEqual((await new HonEncryptedFileTokenStore(filePath, 'key-3').load()).idToken, 'id-a');
+    });
+  });
+
+  await test('should store web-login credentials encrypted', async () => {
+    await withTempDir(async (dir) => {
+      const credentialsFile = path.join(dir, 'hon_credentials.json');
+      const credentials = { sessionId: 'session-secret', timestamp: new Date().toISOString() };
+
+      const adapter = new HonAuthAdapter({ credentialsFile, encryptionKey: 'key-1' });
+      await adapter.saveCredentials(credentials);
+      assert(!fs.readFileSync(credentialsFile, 'utf-8').includes('session-secret'), 'Session should be encrypted');
+      assertEqual((await adapter.loadCredentials()).sessionId, 'session-secret');
+
+      await adapter.rotateEncryptionKey('key-2');
+      const rotated = new HonAuthAdapter({ credentialsFile, encryptionKey: 'key-2' });
+      assertEqual((await rotated.loadCredentials()).sessionId, 'session-secret');
+
+      const error = await catchRejection(() => new HonAuthAdapter({ credentialsFile, encryptionKey: 'key-1' }).loadCredentials());
+      assert(error && /Credentials not readable/.test(error.message));
+    });
+  });
+
+  await test('should encrypt plaintext web-login credentials on load', async () => {
+    await withTempDir(async (dir) => {
+      const credentialsFile = path.join(dir, 'hon_credentials.json');
+      fs.writeFileSync(credentialsFile, JSON.stringify({ sessionId: 'session-secret' }));
+
+      await withEncryptionEnv({ key: undefined }, async () => {
+        const plain = new HonAuthAdapter({ credentialsFile });
+        assertEqual((await plain.loadCredentials()).sessionId, 'session-secret');
+        assert(fs.readFileSync(credentialsFile, 'utf-8').includes('session-secret'), 'Without a key the file stays plaintext');
+      });
+
+      await withEncryptionEnv({ key: 'env-key' }, async () => {
+        const adapter = new HonAuthAdapter({ credentialsFile });
+        assertEqual((await adapter.loadCredentials()).sessionId, 'session-secret');
+      });
+      assert(!fs.readFileSync(credentialsFile, 'utf-8').includes('session-secret'), 'File should be encrypted');
+    });
+  });
+
+  // ========================================
+  // Token Expiry
+  // ========================================
+  console.log('\n--- Token Expiry ---');
+
+  await test('should emit the expiry of restored tokens unchanged', () => {
+    const auth = new HonAuth(null, 'user@example.com', 'secret');
+    let emitted = null;
+    auth.on('tokens', tokens => { emitted = tokens; });
+
+    const tokens = createTokens('a', 2 * 3600000);
+    assert(auth.setTokens(tokens), 'Tokens should be accepted');
+    assertEqual(emitted.expiresAt, tokens.expiresAt);
+    assertEqual(auth.expiresAt.toISOString(), tokens.expiresAt);
+    assertEqual(auth.tokenIsExpired, false);
+  });
+
+  // ========================================
+  // HonAPI Login Flow
+  // ========================================
+  console.log('\n--- HonAPI Login Flow ---');
+
+  await test('should use valid stored tokens without refreshing or logging in', async () => {
+    const store = new HonMemoryTokenStore(createTokens('stored'));
+    const { api, calls } = await createApi(store);
+
+    assertEqual(calls.length, 0);
+    assertEqual(api.auth.cognitoToken, 'cognito-stored');
+    assertEqual(api.tokenStore, store);
+  });
+
+  await test('should refresh expired stored tokens and save the new ones', async () => {
+    const store = new HonMemoryTokenStore(createTokens('stored', -60000));
+    const { api, calls } = await createApi(store);
+
+    assertEqual(calls.length, 1);
+    assertEqual(calls[0].method, 'refresh');
+    assertEqual(calls[0].refreshToken, 'refresh-stored');
+    assertEqual(api.auth.cognitoToken, 'cognito-refreshed');
+
+    const saved = await store.load();
+    assertEqual(saved.cognitoToken, 'cognito-refreshed');
+    assertEqual(saved.refreshToken, 'refresh-stored');
+    assert(new Date(saved.expiresAt).getTime() > Date.now(), 'Saved tokens should not be expired');
+  });
+
+  await test('should fall back to a full login when the refresh fails', async () => {
+    const store = new HonMemoryTokenStore(createTokens('stored', -60000));
+    const { calls } = await createApi(store, { refreshSucceeds: false });
+
+    assertEqual(calls.map(c => c.method).join(','), 'refresh,authenticate');
+    assertEqual((await store.load()).refreshToken, 'refresh-login');
+  });
+
+  await test('should log in and save tokens when the store is empty or unreadable', async () => {
+    await withTempDir(async (dir) => {
+      const filePath = path.join(dir, 'tokens.json');
+      fs.writeFileSync(filePath, 'not json');
+
+      const store = new HonFileTokenStore(filePath);
+      const { calls } = await createApi(store);
+
+      assertEqual(calls.map(c => c.method).join(','), 'authenticate');
+      assertEqual((await store.load()).cognitoToken, 'cognito-login');
+    });
+  });
+
+  await test('should save tokens on every later refresh', async () => {
+    const store = new HonMemoryTokenStore(createTokens('stored'));
+    const { api } = await createApi(store);
+
+    const stub = stubAuthFlow();
+    try {
+      await api.auth.refresh();
+    } finally {
+      stub.restore();
+    }
+    await api._tokenSave;
+
+    assertEqual((await store.load()).cognitoToken, 'cognito-refreshed');
+  });
+
+  // ========================================
+  // Background Refresh
+  // ========================================
+  console.log('\n--- Background Refresh ---');
+
+  await test('should schedule the refresh before the tokens expire', () => {
+    const { auth } = createRefreshingAuth({ validForMs: 2 * 3600000 });
+    auth.startAutoRefresh({ refreshBefore: 30 * 60000 });
+
+    assert(auth.autoRefreshEnabled);
+    const expected = auth.expiresAt.getTime() - 30 * 60000;
+    assert(Math.abs(auth.nextRefreshAt.getTime() - expected) < 1000, 'Refresh should be planned 30 minutes before expiry');
+
+    auth.stopAutoRefresh();
+    assertEqual(auth.autoRefreshEnabled, false);
+    assertEqual(auth.nextRefreshAt, null);
+  });
+
+  await test('should refresh in the background and plan the next refresh', async () => {
+    const { auth, calls, events } = createRefreshingAuth();
+    let emitted = 0;
+    auth.on('tokens', () => { emitted++; });
+
+    auth.startAutoRefresh({ refreshBefore: 3600000 });
+    await sleep(50);
+
+    assertEqual(calls.join(','), 'refresh');
+    assertEqual(emitted, 1, 'Refreshed tokens should be emitted');
+    assertEqual(events.length, 0);
+    const expected = auth.expiresAt.getTime() - 3600000;
+    assert(Math.abs(auth.nextRefreshAt.getTime() - expected) < 1000, 'Next refresh should follow the new expiry');
+    auth.stopAutoRefresh();
+  });
+
+  await test('should retry with backoff and fall back to authenticate()', async () => {
+    const { auth, calls, events } = createRefreshingAuth({ refreshResults: [false] });
+    auth.startAutoRefresh({ refreshBefore: 3600000, retryDelay: 10, maxRetries: 3 });
+    await sleep(200);
+
+    assertEqual(calls.join(','), 'refresh,refresh,refresh,authenticate');
+    assertEqual(events.map(e => `${e.type}:${e.attempt ?? e.attempts}:${e.retryIn}`).join(' '),
+      'refreshFailed:1:10 refreshFailed:2:20 refreshFailed:3:null reauthenticated:3:undefined');
+    assertEqual(events[0].stage, 'refresh');
+    assert(events[0].error instanceof Error, 'Failure should carry an error');
+    assert(auth.nextRefreshAt.getTime() > Date.now() + 3600000, 'Next refresh should follow the new login');
+    auth.stopAutoRefresh();
+  });
+
+  await test('should authenticate right away without a refresh token', async () => {
+    const { auth, calls, events } = createRefreshingAuth();
+    auth._auth.refreshToken = '';
+    auth.startAutoRefresh({ refreshBefore: 3600000 });
+    await sleep(50);
+
+    assertEqual(calls.join(','), 'authenticate');
+    assertEqual(events[0].retryIn, null);
+    assert(/No refresh token/.test(events[0].error.message));
+    assertEqual(events[1].type, 'reauthenticated');
+    auth.stopAutoRefresh();
+  });
+
+  await test('should retry later when authenticate() fails too', async () => {
+    const { auth, calls, events } = createRefreshingAuth({ refreshResults: [false], loginFails: true });
+    auth.startAutoRefresh({ refreshBefore: 3600000, maxRetries: 1, maxRetryDelay: 60000 });
+    await sleep(50);
+
+    assertEqual(calls.join(','), 'refresh,authenticate');
+    const last = events[events.length - 1];
+    assertEqual(last.stage, 'authenticate');
+    assertEqual(last.retryIn, 60000);
+    assert(Math.abs(auth.nextRefreshAt.getTime() - (Date.now() + 60000)) < 1000, 'Whole cycle should be retried later');
+    auth.stopAutoRefresh();
+  });
+
+  await test('should replan when tokens are renewed outside the scheduler', () => {
+    const { auth } = createRefreshingAuth({ validForMs: 2 * 3600000 });
+    auth.startAutoRefresh({ refreshBefore: 30 * 60000 });
+    const planned = auth.nextRefreshAt.getTime();
+
+    auth.setTokens(createTokens('renewed', 5 * 3600000));
+    assert(auth.nextRefreshAt.getTime() - planned > 2 * 3600000, 'Refresh should move with the new expiry');
+    auth.stopAutoRefresh();
+  });
+
+  await test('should start the background refresh from HonAPI options and stop it on close', async () => {
+    const { api } = await createApi(new HonMemoryTokenStore(createTokens('stored')), {}, { autoRefresh: { refreshBefore: 60000 } });
+
+    assert(api.auth.autoRefreshEnabled, 'autoRefresh should start the scheduler');
+    const auth = api.auth;
+    await api.close();
+    assertEqual(auth.autoRefreshEnabled, false);
+  });
+
+  // ========================================
+  // Web Session Exchange
+  // ========================================
+  console.log('\n--- Web Session Exchange ---');
+
+  await test('should exchange a web session for API tokens', async () => {
+    const { session, requests } = createWebSessionStub();
+    const auth = new HonAuth(session, '', '');
+    const emitted = [];
+    auth.on('tokens', tokens => emitted.push(tokens));
+
+    await auth.authenticateWithSession('web-sid', { oid: 'org-id', inst: null });
+
+    const authorize = requests.find(r => r.url.includes('/services/oauth2/authorize/'));
+    assert(/sid=web-sid/.test(authorize.cookie) && /oid=org-id/.test(authorize.cookie), 'Session cookies should be sent');
+    assertEqual(auth.idToken, 'web-id');
+    assertEqual(auth.refreshToken, 'web-refresh==');
+    assertEqual(auth.cognitoToken, 'web-cognito');
+    assertEqual(emitted.length, 1);
+    assert(new HonAuth(null, '', '').setTokens(emitted[0]), 'Tokens should be accepted by setTokens()');
+  });
+
+  await test('should reject an expired web session', async () => {
+    const { session, requests } = createWebSessionStub({ sessionValid: false });
+    const auth = new HonAuth(session, '', '');
+
+    const error = await catchRejection(() => auth.authenticateWithSession('expired-sid'));
+    assert(error && error.name === 'HonAuthenticationError', 'Should throw HonAuthenticationError');
+    assert(/session expired or not valid/.test(error.message));
+    assert(!requests.some(r => r.url.endsWith('/auth/v1/login')), 'No API login should be attempted');
+
+    const missing = await catchRejection(() => auth.authenticateWithSession(''));
+    assert(missing && /Session ID is required/.test(missing.message));
+  });
+
+  await test('should convert captured web-login credentials into tokens for HonAPI', async () => {
+    const { session } = createWebSessionStub();
+    const adapter = new HonAuthAdapter({ mobileId: 'web-device' });
+    assertEqual(adapter.createAuth()._device.mobileId, 'web-device');
+    adapter.createAuth = () => new HonAuth(session, '', '');
+
+    const tokens = await adapter.convertToJavaHonSession({ sessionId: 'web-sid', cookies: { sid: 'web-sid' } });
+    assertEqual(tokens.sessionId, 'web-sid');
+    assertEqual(tokens.refreshToken, 'web-refresh==');
+
+    const { api, calls } = await createApi(new HonMemoryTokenStore(tokens));
+    assertEqual(calls.length, 0, 'Exchanged tokens should be used without logging in');
+    assertEqual(api.auth.cognitoToken, 'web-cognito');
+  });
+
+  // ========================================
+  // Account Manager
+  // ========================================
+  console.log('\n--- Account Manager ---');
+
+  await test('should give every account its own session and cookie jar', async () => {
+    const { manager } = createAccountManager();
+    manager.addAccount('home', { email: 'home@example.com', password: 'secret' });
+    manager.addAccount('office', { email: 'office@example.com', password: 'secret' });
+
+    const home = await manager.getApi('home');
+    const office = await manager.getApi('office');
+    assert(home !== office, 'Accounts should have separate clients');
+    assert(home._session !== office._session, 'Accounts should have separate sessions');
+
+    const homeJar = manager.getCookieJar('home');
+    assert(homeJar && homeJar !== manager.getCookieJar('office'), 'Cookie jars should be separate');
+    await homeJar.setCookie('sid=home', constants.AUTH_API);
+    assertEqual((await manager.getCookieJar('office').getCookies(constants.AUTH_API)).length, 0);
+
+    const shared = (await manager.getApi('home'))._session;
+    const error = await catchRejection(async () => manager.addAccount('other', { email: 'x', password: 'y', session: shared }));
+    assert(error && /Session already used by account home/.test(error.message));
+    await manager.close();
+  });
+
+  await test('should cap concurrent logins and share a pending login', async () => {
+    const { manager, stats } = createAccountManager({ maxConcurrentLogins: 2 });
+    ['a', 'b', 'c', 'd'].forEach(id => manager.addAccount(id, { email: `${id}@example.com`, password: 'secret' }));
+
+    const apis = await Promise.all([
+      manager.getApi('a'), manager.getApi('a'), manager.getApi('b'), manager.getApi('c'), manager.getApi('d')
+    ]);
+    assertEqual(apis[0], apis[1], 'Concurrent calls should share the login');
+    assertEqual(stats.logins, 4);
+    assertEqual(stats.maxRunning, 2);
+    assertEqual(manager.activeLogins, 0);
+    await manager.close();
+  });
+
+  await test('should report a failed login and retry it on the next call', async () => {
+    const { manager, stats } = createAccountManager();
+    manager.addAccount('broken', { email: 'broken@example.com', password: 'secret', fail: true });
+
+    const error = await catchRejection(() => manager.getApi('broken'));
+    assert(error && error.name === 'HonAuthenticationError', 'Should throw HonAuthenticationError');
+    assert(/Failed to log in account broken: Login failed/.test(error.message));
+
+    await catchRejection(() => manager.getApi('broken'));
+    assertEqual(stats.logins, 2);
+    assertEqual(manager.activeLogins, 0);
+
+    const unknown = await catchRejection(() => manager.getApi('missing'));
+    assert(unknown && /Unknown account: missing/.test(unknown.message));
+  });
+
+  await test('should route appliances to their account', async () => {
+    const { manager } = createAccountManager();
+    manager.addAccount('home', { email: 'home@example.com', password: 'secret', appliances: ['aa:01'] });
+    manager.addAccount('office', { email: 'office@example.com', password: 'secret', appliances: ['bb:01', 'bb:02'] });
+
+    const appliances = await manager.loadAppliances('office');
+    await manager.loadAppliances('home');
+    assertEqual(appliances.length, 2);
+    assertEqual(manager.getAccountId('bb:02'), 'office');
+    assertEqual(manager.getAccountId('aa:01'), 'home');
+    assertEqual(manager.getAccountId('cc:01'), null);
+    assertEqual(manager.getAppliance('bb:01'), appliances[0]);
+    assertEqual(await manager.getApiForAppliance('aa:01'), await manager.getApi('home'));
+
+    const error = await catchRejection(() => manager.getApiForAppliance('cc:01'));
+    assert(error && /No account found for appliance cc:01/.test(error.message));
+    await manager.close();
+  });
+
+  await test('should tag forwarded events with the account ID', async () => {
+    const { manager, mqttClients } = createAccountManager();
+    manager.addAccount('home', { email: 'home@example.com', password: 'secret', appliances: ['aa:01'], mobileId: 'home-device' });
+    manager.addAccount('office', { email: 'office@example.com', password: 'secret', appliances: ['bb:01'] });
+
+    const events = [];
+    const updates = [];
+    const errors = [];
+    manager.on('event', event => events.push(event));
+    manager.on('applianceUpdate', event => updates.push(event));
+    manager.on('accountError', event => errors.push(event));
+
+    const mqtt = await manager.connectMqtt('home');
+    await manager.connectMqtt('office');
+    assertEqual(await manager.connectMqtt('home'), mqtt, 'Connected client should be reused');
+    assertEqual(mqtt.mobileId, 'home-device');
+    assertEqual(mqtt.appliances[0].macAddress, 'aa:01', 'Appliances should be loaded before connecting');
+
+    mqttClients[1].emit('applianceUpdate', { appliance: { macAddress: 'bb:01' }, payload: {} });
+    mqtt.emit('error', new Error('Socket closed'));
+    (await manager.getApi('home')).auth.setTokens(createTokens('renewed'));
+
+    assertEqual(updates.length, 1);
+    assertEqual(updates[0].accountId, 'office');
+    assertEqual(updates[0].data.appliance.macAddress, 'bb:01');
+    assertEqual(errors[0].accountId, 'home');
+    assertEqual(events.map(e => `${e.accountId}:${e.source}:${e.type}`).join(','),
+      'office:mqtt:applianceUpdate,home:mqtt:error,home:auth:tokens');
+    await manager.close();
+  });
+
+  await test('should tear down removed accounts', async () => {
+    const { manager, mqttClients } = createAccountManager();
+    manager.addAccount('home', { email: 'home@example.com', password: 'secret', appliances: ['aa:01'] });
+    const mqtt = await manager.connectMqtt('home');
+    const auth = (await manager.getApi('home')).auth;
+
+    const events = [];
+    manager.on('event', event => events.push(event));
+    await manager.removeAccount('home');
+
+    assertEqual(mqtt.connected, false, 'MQTT client should be disconnected');
+    assertEqual(auth.idToken, '', 'Tokens should be cleared');
+    assertEqual(manager.hasAccount('home'), false);
+    assertEqual(manager.getAccountId('aa:01'), null);
+    mqttClients[0].emit('applianceUpdate', {});
+    assertEqual(events.length, 0, 'Removed accounts should not forward events');
+  });
+
+  // ========================================
+  // Summary
+  // ========================================
+  console.log('\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total: ${passed + failed}`);
+  console.log(`✓ Passed: ${passed}`);
+  console.log(`✗ Failed: ${failed}`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,1215 @@
+/**
+ * Command Tests
+ * Tests HonCommand parameter handling, program rules and sending
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  HonAPI,
+  HonDevice,
+  HonAppliance,
+  HonCommand,
+  HonCommandBuilder,
+  HonCommandHistoryEntry,
+  HonRuleSet,
+  HonPresetStore,
+  HonFilePresetStore,
+  HonPresetManager,
+  HonParameterEnum,
+  HonParameterRange,
+  CommandValidationError,
+  CommandTimeoutError
+} = require('../index');
+
+console.log('\n========================================');
+console.log('COMMAND TESTS');
+console.log('========================================\n');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+/**
+ * Create a minimal mock appliance whose API records posted commands
+ * Payloads are built with the real HonAPI.buildCommandPayload()
+ * @param {Object} [extra=null] - Appliance type instance (appliance._extra)
+ * @returns {Object} Mock appliance (EventEmitter) with a `sent` array
+ */
+function createMockAppliance(extra = null) {
+  const appliance = Object.assign(new EventEmitter(), {
+    macAddress: 'aa-bb-cc-dd-ee-ff',
+    applianceType: 'WM',
+    options: {},
+    commands: {},
+    attributes: { parameters: { machMode: { value: '1' }, temp: { value: '30' } } },
+    _extra: extra,
+    sent: []
+  });
+  appliance.api = {
+    auth: { _device: new HonDevice() },
+    buildCommandPayload: HonAPI.prototype.buildCommandPayload,
+    async postCommand(payload) {
+      appliance.sent.push({
+        name: payload.commandName,
+        params: payload.parameters,
+        ancillaryParams: payload.ancillaryParameters,
+        payload
+      });
+      return true;
+    }
+  };
+  return appliance;
+}
+
+/**
+ * Simulate an MQTT status update on a mock appliance
+ * @param {Object} appliance - Mock appliance
+ * @param {Object} parameters - Updated parameters (key -> value)
+ */
+function mqttUpdate(appliance, parameters) {
+  const changed = [];
+  for (const [key, value] of Object.entries(parameters)) {
+    const previous = appliance.attributes.parameters[key]?.value;
+    appliance.attributes.parameters[key] = { value };
+    if (String(previous) !== String(value)) changed.push(key);
+  }
+  appliance.emit('updated', { source: 'mqtt', changed, timestamp: Date.now() });
+}
+
+/**
+ * Create startProgram attributes for a washing program with programRules
+ * @param {Object} rules - programRules fixedValue
+ * @returns {Object} Command attributes
+ */
+function createProgramAttributes(rules) {
+  return {
+    parameters: {
+      temp: { typology: 'enum', enumValues: ['30', '60', '90'], defaultValue: '30' },
+      spinSpeed: { typology: 'enum', enumValues: ['400', '800', '1200'], defaultValue: '1200' },
+      delayTime: { typology: 'range', minimumValue: '0', maximumValue: '1440', incrementValue: '30', defaultValue: '0' },
+      dryLevel: { typology: 'enum', enumValues: ['0', '1', '2'], defaultValue: '0' }
+    },
+    ancillaryParameters: {
+      programRules: { category: 'rule', typology: 'fixed', fixedValue: rules }
+    }
+  };
+}
+
+/**
+ * Create a program command registered in its own categories map
+ * @param {Object} appliance - Mock appliance
+ * @param {Object} rules - programRules fixedValue
+ * @returns {HonCommand} Program command
+ */
+function createProgramCommand(appliance, rules) {
+  const categories = {};
+  const command = new HonCommand('startProgram', createProgramAttributes(rules), appliance, categories, 'PROGRAMS.WM.COTTON');
+  categories.cotton = command;
+  return command;
+}
+
+const SPIN_RULES = {
+  spinSpeed: {
+    temp: {
+      '90': { typology: 'enum', enumValues: '400|800' }
+    }
+  }
+};
+
+async function runTests() {
+  // ========================================
+  // Program Rules
+  // ========================================
+  console.log('--- Program Rules ---');
+
+  await test('should parse programRules into a rule set', () => {
+    const command = createProgramCommand(createMockAppliance(), SPIN_RULES);
+
+    assertEqual(command._rules.length, 1);
+    assert(command._rules[0] instanceof HonRuleSet);
+    assertEqual(command._rules[0].rules.temp.length, 1);
+    assertEqual(command._rules[0].paramKeys.join(','), 'spinSpeed');
+    assert(!('programRules' in command.parameters), 'Rule should not become a parameter');
+  });
+
+  await test('should restrict enum values when trigger value is set', () => {
+    const command = createProgramCommand(createMockAppliance(), SPIN_RULES);
+    const spinSpeed = command.parameters.spinSpeed;
+
+    assertEqual(spinSpeed.values.join(','), '400,800,1200');
+
+    command.parameters.temp.value = '90';
+    assertEqual(spinSpeed.values.join(','), '400,800');
+    assertEqual(spinSpeed.value, '400', 'Disallowed value should fall back to the first allowed one');
+  });
+
+  await test('should apply fixed value rules', () => {
+    const command = createProgramCommand(createMockAppliance(), {
+      dryLevel: { temp: { '30|60': { typology: 'fixed', fixedValue: '2' } } }
+    });
+
+    command.parameters.temp.value = '60';
+    assertEqual(command.parameters.dryLevel.value, '2');
+    assertEqual(command.parameters.dryLevel.values.join(','), '2');
+  });
+
+  await test('should treat scalar rule values as fixed values', () => {
+    const command = createProgramCommand(createMockAppliance(), {
+      dryLevel: { temp: { '90': '1' } }
+    });
+
+    command.parameters.temp.value = '90';
+    assertEqual(command.parameters.dryLevel.value, '1');
+  });
+
+  await test('should patch range parameters', () => {
+    const command = createProgramCommand(createMockAppliance(), {
+      delayTime: { temp: { '90': { typology: 'range', minimumValue: '60', maximumValue: '600', incrementValue: '60' } } }
+    });
+    const delayTime = command.parameters.delayTime;
+
+    assert(delayTime instanceof HonParameterRange);
+    command.parameters.temp.value = '90';
+    assertEqual(delayTime.min, 60);
+    assertEqual(delayTime.max, 600);
+    assertEqual(delayTime.step, 60);
+    assertEqual(delayTime.value, 60, 'Value should be clamped into the new range');
+  });
+
+  await test('should only apply rules when extra conditions match', () => {
+    const command = createProgramCommand(createMockAppliance(), {
+      spinSpeed: {
+        temp: {
+          '90': { dryLevel: { '2': { typology: 'enum', enumValues: '400' } } }
+        }
+      }
+    });
+    const spinSpeed = command.parameters.spinSpeed;
+
+    command.parameters.temp.value = '90';
+    assertEqual(spinSpeed.values.join(','), '400,800,1200', 'Rule should wait for dryLevel');
+
+    command.parameters.dryLevel.value = '2';
+    assertEqual(spinSpeed.values.join(','), '400');
+  });
+
+  await test('should map option names through appliance options', () => {
+    const appliance = createMockAppliance();
+    appliance.options = { washTemp: 'temp' };
+    const command = createProgramCommand(appliance, {
+      spinSpeed: { washTemp: { '90': { typology: 'enum', enumValues: '800' } } }
+    });
+
+    command.parameters.temp.value = '90';
+    assertEqual(command.parameters.spinSpeed.values.join(','), '800');
+  });
+
+  await test('should ignore rules fixing a parameter to itself', () => {
+    const command = createProgramCommand(createMockAppliance(), {
+      spinSpeed: { temp: { '90': { typology: 'fixed', fixedValue: '@spinSpeed' } } }
+    });
+
+    assertEqual(Object.keys(command._rules[0].rules).length, 0);
+  });
+
+  await test('should not break setting the trigger when a rule cannot be applied', () => {
+    const command = createProgramCommand(createMockAppliance(), {
+      delayTime: { temp: { '90': { typology: 'fixed', fixedValue: '45' } } }
+    });
+
+    command.parameters.temp.value = '90';
+    assertEqual(command.parameters.temp.value, '90');
+  });
+
+  await test('should adjust disallowed values on send()', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, SPIN_RULES);
+
+    const result = await command.send({ program: 'cotton', temp: 90, spinSpeed: 1200 });
+
+    assertEqual(result.success, true);
+    assertEqual(appliance.sent.length, 1);
+    assertEqual(appliance.sent[0].params.temp, '90');
+    assertEqual(appliance.sent[0].params.spinSpeed, '400');
+    assert(!('programRules' in appliance.sent[0].ancillaryParams), 'programRules should not be sent');
+  });
+
+  await test('should keep allowed values on send()', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, SPIN_RULES);
+
+    await command.send({ program: 'cotton', temp: 90, spinSpeed: 800 });
+
+    assertEqual(appliance.sent[0].params.spinSpeed, '800');
+    assert(command.parameters.spinSpeed instanceof HonParameterEnum);
+  });
+
+  // ========================================
+  // Validation / Dry Run
+  // ========================================
+  console.log('\n--- Validation / Dry Run ---');
+
+  await test('should validate allowed values', () => {
+    const command = createProgramCommand(createMockAppliance(), {});
+    const validation = command.validate({ program: 'cotton', temp: 60, spinSpeed: 800, delayTime: 90 });
+
+    assertEqual(validation.valid, true);
+    assertEqual(validation.errors.length, 0);
+  });
+
+  await test('should report enum, range and fixed violations', () => {
+    const appliance = createMockAppliance();
+    const attributes = createProgramAttributes({});
+    attributes.parameters.prCode = { typology: 'fixed', fixedValue: '13' };
+    const categories = {};
+    const command = new HonCommand('startProgram', attributes, appliance, categories, 'PROGRAMS.WM.COTTON');
+    categories.cotton = command;
+
+    const validation = command.validate({ program: 'cotton', temp: 95, delayTime: 45, prCode: 12 });
+    const byParameter = Object.fromEntries(validation.errors.map(error => [error.parameter, error]));
+
+    assertEqual(validation.valid, false);
+    assertEqual(validation.errors.length, 3);
+    assert(byParameter.temp.message.includes('30, 60, 90'), 'Enum error should list allowed values');
+    assert(byParameter.delayTime.message.includes('step 30'), 'Range error should describe the range');
+    assert(byParameter.prCode.message.includes('13'), 'Fixed error should show the fixed value');
+  });
+
+  await test('should report unknown programs', () => {
+    const command = createProgramCommand(createMockAppliance(), {});
+    const validation = command.validate({ program: 'iot_unknown' });
+
+    assertEqual(validation.valid, false);
+    assertEqual(validation.errors[0].parameter, 'program');
+  });
+
+  await test('should report disabled remote control', () => {
+    const extra = {
+      validateRemoteControl(commandName) {
+        throw new Error(`Cannot execute ${commandName}: Remote control is not enabled`);
+      }
+    };
+    const command = createProgramCommand(createMockAppliance(extra), {});
+    const validation = command.validate({ program: 'cotton' });
+
+    assertEqual(validation.valid, false);
+    assertEqual(validation.errors[0].parameter, null);
+    assert(validation.errors[0].message.includes('startProgram'));
+  });
+
+  await test('should report rule conflicts as errors and leave caller params untouched', () => {
+    const command = createProgramCommand(createMockAppliance(), SPIN_RULES);
+    const params = { program: 'cotton', temp: 90, spinSpeed: 1200 };
+    const validation = command.validate(params);
+
+    assertEqual(validation.valid, false);
+    assertEqual(validation.errors.length, 1);
+    assertEqual(validation.errors[0].parameter, 'spinSpeed');
+    assert(validation.errors[0].message.includes('400, 800'));
+    assertEqual(validation.payload.parameters.spinSpeed, '1200');
+    assertEqual(params.spinSpeed, 1200);
+    assert(!('prStr' in params), 'Caller params should not be modified');
+  });
+
+  await test('should validate and dry-run without changing the command parameters', async () => {
+    const command = createProgramCommand(createMockAppliance(), SPIN_RULES);
+
+    assertEqual(command.validate({ program: 'cotton', temp: 90, spinSpeed: 800 }).valid, true);
+    await command.send({ program: 'cotton', temp: 90, spinSpeed: 400 }, { dryRun: true });
+
+    assertEqual(command.parameters.temp.value, '30');
+    assertEqual(command.parameters.spinSpeed.values.join(','), '400,800,1200');
+    assertEqual(command.parameters.spinSpeed.value, '1200');
+  });
+
+  await test('should return the payload sendCommand would post', () => {
+    const command = createProgramCommand(createMockAppliance(), {});
+    const { payload } = command.validate({ program: 'cotton', temp: 60 });
+
+    assertEqual(payload.macAddress, 'aa-bb-cc-dd-ee-ff');
+    assertEqual(payload.commandName, 'startProgram');
+    assertEqual(payload.applianceType, 'WM');
+    assertEqual(payload.programName, 'PROGRAMS.WM.COTTON');
+    assertEqual(payload.parameters.temp, '60');
+    assertEqual(payload.parameters.spinSpeed, '1200', 'Missing values should be auto-completed');
+    assertEqual(payload.attributes.prStr, 'PROGRAMS.WM.COTTON');
+    assert(payload.device && payload.device.mobileId, 'Payload should include device info');
+  });
+
+  await test('should not send in dry-run mode', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, {});
+    const result = await command.send({ program: 'cotton', temp: 60 }, { dryRun: true });
+
+    assertEqual(appliance.sent.length, 0);
+    assertEqual(result.success, true);
+    assertEqual(result.dryRun, true);
+    assertEqual(result.parameters.program, 'cotton');
+    assertEqual(result.payload.parameters.temp, '60');
+  });
+
+  await test('should throw CommandValidationError in dry-run mode for invalid values', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, {});
+
+    try {
+      await command.send({ program: 'cotton', temp: 95 }, { dryRun: true });
+      throw new Error('Expected CommandValidationError');
+    } catch (error) {
+      assert(error instanceof CommandValidationError, `Unexpected error: ${error.message}`);
+      assertEqual(error.commandName, 'startProgram');
+      assertEqual(error.errors[0].parameter, 'temp');
+    }
+    assertEqual(appliance.sent.length, 0);
+  });
+
+  // ========================================
+  // Acknowledgement
+  // ========================================
+  console.log('\n--- Acknowledgement ---');
+
+  await test('should return the transactionId of a sent command', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, {});
+    const result = await command.send({ program: 'cotton' });
+
+    assertEqual(result.transactionId, appliance.sent[0].payload.transactionId);
+    assert(result.transactionId.startsWith('aa-bb-cc-dd-ee-ff_'));
+    assertEqual(result.acknowledged, undefined);
+  });
+
+  await test('should resolve startProgram when machMode goes to running', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, {});
+    const sending = command.send({ program: 'cotton' }, { waitForAck: true, ackTimeout: 1000 });
+
+    setTimeout(() => {
+      mqttUpdate(appliance, { remainingTimeMM: '90' });
+      mqttUpdate(appliance, { machMode: '2' });
+    }, 10);
+    const result = await sending;
+
+    assertEqual(result.acknowledged, true);
+    assertEqual(result.ack.parameter, 'machMode');
+    assertEqual(result.ack.value, '2');
+    assertEqual(result.ack.transactionId, result.transactionId);
+    assertEqual(appliance.listenerCount('updated'), 0, 'Listener should be removed');
+  });
+
+  await test('should resolve startProgram when machMode goes to scheduled', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, {});
+    const sending = command.send({ program: 'cotton', delayTime: 60 }, { waitForAck: true, ackTimeout: 1000 });
+
+    setTimeout(() => mqttUpdate(appliance, { machMode: '4' }), 10);
+    const result = await sending;
+
+    assertEqual(result.ack.value, '4');
+  });
+
+  await test('should resolve when a sent parameter takes the sent value', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, {});
+    const sending = command.send({ program: 'cotton', temp: 60 }, { waitForAck: true, ackTimeout: 1000 });
+
+    setTimeout(() => {
+      mqttUpdate(appliance, { temp: '40' });
+      mqttUpdate(appliance, { temp: '60' });
+    }, 10);
+    const result = await sending;
+
+    assertEqual(result.ack.parameter, 'temp');
+    assertEqual(result.ack.value, '60');
+  });
+
+  await test('should ignore API updates', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, {});
+    const sending = command.send({ program: 'cotton' }, { waitForAck: true, ackTimeout: 50 });
+
+    setTimeout(() => {
+      appliance.attributes.parameters.machMode.value = '2';
+      appliance.emit('updated', { source: 'api', changed: ['machMode'], timestamp: Date.now() });
+    }, 10);
+
+    try {
+      await sending;
+      throw new Error('Expected CommandTimeoutError');
+    } catch (error) {
+      assert(error instanceof CommandTimeoutError, `Unexpected error: ${error.message}`);
+    }
+  });
+
+  await test('should reject with CommandTimeoutError without confirmation', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCommand(appliance, {});
+
+    try {
+      await command.send({ program: 'cotton' }, { waitForAck: true, ackTimeout: 30 });
+      throw new Error('Expected CommandTimeoutError');
+    } catch (error) {
+      assert(error instanceof CommandTimeoutError, `Unexpected error: ${error.message}`);
+      assertEqual(error.commandName, 'startProgram');
+      assertEqual(error.timeout, 30);
+      assertEqual(error.transactionId, appliance.sent[0].payload.transactionId);
+    }
+    assertEqual(appliance.listenerCount('updated'), 0, 'Listener should be removed');
+  });
+
+  await test('should stop waiting when the command is rejected by the cloud', async () => {
+    const appliance = createMockAppliance();
+    appliance.api.postCommand = async () => false;
+    const command = createProgramCommand(appliance, {});
+
+    try {
+      await command.send({ program: 'cotton' }, { waitForAck: true, ackTimeout: 1000 });
+      throw new Error('Expected ApiError');
+    } catch (error) {
+      assertEqual(error.name, 'ApiError');
+    }
+    assertEqual(appliance.listenerCount('updated'), 0, 'Listener should be removed');
+  });
+
+  await test('should start the confirmation timeout only after a slow post', async () => {
+    const appliance = createMockAppliance();
+    const postCommand = appliance.api.postCommand;
+    appliance.api.postCommand = async (payload) => {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return postCommand(payload);
+    };
+    const command = createProgramCommand(appliance, {});
+
+    const startedAt = Date.now();
+    try {
+      await command.send({ program: 'cotton' }, { waitForAck: true, ackTimeout: 20 });
+      throw new Error('Expected CommandTimeoutError');
+    } catch (error) {
+      assert(error instanceof CommandTimeoutError, `Unexpected error: ${error.message}`);
+    }
+    assert(Date.now() - startedAt >= 115, 'Timeout should run after the post');
+    assertEqual(appliance.listenerCount('updated'), 0, 'Listener should be removed');
+
+    // A confirmation arriving while the post is still pending is kept
+    const sending = command.send({ program: 'cotton' }, { waitForAck: true, ackTimeout: 20 });
+    setTimeout(() => mqttUpdate(appliance, { machMode: '2' }), 10);
+    const result = await sending;
+    assertEqual(result.ack.value, '2');
+  });
+
+  await test('should stop waiting without unhandled rejections when the post throws', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      const appliance = createMockAppliance();
+      appliance.api.postCommand = async () => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        throw new Error('Network error');
+      };
+      const command = createProgramCommand(appliance, {});
+
+      try {
+        await command.send({ program: 'cotton' }, { waitForAck: true, ackTimeout: 10 });
+        throw new Error('Expected the post error');
+      } catch (error) {
+        assertEqual(error.message, 'Network error');
+      }
+      assertEqual(appliance.listenerCount('updated'), 0, 'Listener should be removed');
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      assertEqual(unhandled.length, 0, 'No rejection should be left unhandled');
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+  });
+
+  // ========================================
+  // Command Builder
+  // ========================================
+  console.log('\n--- Command Builder ---');
+
+  /**
+   * Create a startProgram command with cotton (with rules) and synthetic programs
+   * @param {Object} appliance - Mock appliance
+   * @returns {HonCommand} Command registered as appliance.commands.startProgram
+   */
+  function createProgramCatalog(appliance) {
+    const categories = {};
+    categories.cotton = new HonCommand('startProgram', createProgramAttributes(SPIN_RULES), appliance, categories, 'PROGRAMS.WM.COTTON');
+    const synthetic = createProgramAttributes({});
+    synthetic.parameters.temp.enumValues = ['30', '40'];
+    categories.synthetic = new HonCommand('startProgram', synthetic, appliance, categories, 'PROGRAMS.WM.SYNTHETIC');
+    appliance.commands.startProgram = categories.cotton;
+    return categories.cotton;
+  }
+
+  /**
+   * Run a builder step and return the thrown error (or null)
+   * @param {Function} fn - Builder step
+   * @returns {Error|null} Thrown error
+   */
+  function catchError(fn) {
+    try {
+      fn();
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  await test('should create a builder from the appliance', () => {
+    const appliance = createMockAppliance();
+    createProgramCatalog(appliance);
+    const builder = HonAppliance.prototype.command.call({ _commands: appliance.commands }, 'startProgram');
+
+    assert(builder instanceof HonCommandBuilder);
+    assertEqual(builder.name, 'startProgram');
+
+    const error = catchError(() => HonAppliance.prototype.command.call({ _commands: appliance.commands }, 'nope'));
+    assert(error && /Unknown command 'nope'/.test(error.message));
+  });
+
+  await test('should build and send a program', async () => {
+    const appliance = createMockAppliance();
+    const builder = new HonCommandBuilder(createProgramCatalog(appliance));
+
+    const result = await builder.program('cotton').set('temp', 30).set('spinSpeed', 800).send();
+
+    assertEqual(result.success, true);
+    assertEqual(appliance.sent[0].params.program, 'cotton');
+    assertEqual(appliance.sent[0].params.temp, '30');
+    assertEqual(appliance.sent[0].params.spinSpeed, '800');
+  });
+
+  await test('should list programs and allowed values', () => {
+    const builder = new HonCommandBuilder(createProgramCatalog(createMockAppliance()));
+
+    assertEqual(builder.allowedValues('program').join(','), 'cotton,synthetic');
+    builder.program('synthetic');
+    assertEqual(builder.allowedValues('temp').join(','), '30,40');
+    assertEqual(builder.allowedValues('unknown').length, 0);
+
+    const options = builder.options();
+    assertEqual(options.temp.typology, 'enum');
+    assertEqual(options.delayTime.max, 1440);
+    assertEqual(options.delayTime.step, 30);
+    assert(!('program' in options), 'Program parameter should not be listed as an option');
+  });
+
+  await test('should validate setters immediately', () => {
+    const builder = new HonCommandBuilder(createProgramCatalog(createMockAppliance()));
+
+    const unknownProgram = catchError(() => builder.program('iot_unknown'));
+    assert(unknownProgram instanceof CommandValidationError);
+    assertEqual(unknownProgram.errors[0].parameter, 'program');
+
+    builder.program('cotton');
+    const badValue = catchError(() => builder.set('temp', 95));
+    assert(badValue instanceof CommandValidationError);
+    assertEqual(badValue.errors[0].parameter, 'temp');
+
+    const unknownParameter = catchError(() => builder.set('color', 'red'));
+    assert(unknownParameter instanceof CommandValidationError);
+    assertEqual(builder.values.temp, undefined, 'Rejected values should not be kept');
+  });
+
+  await test('should expose rule-restricted values for the next choice', () => {
+    const builder = new HonCommandBuilder(createProgramCatalog(createMockAppliance()));
+
+    builder.program('cotton').set('temp', 90);
+    assertEqual(builder.allowedValues('spinSpeed').join(','), '400,800');
+    assert(catchError(() => builder.set('spinSpeed', 1200)) instanceof CommandValidationError);
+    builder.set('spinSpeed', 800);
+    assertEqual(builder.values.spinSpeed, 800);
+  });
+
+  await test('should re-check values when the program changes', () => {
+    const builder = new HonCommandBuilder(createProgramCatalog(createMockAppliance()));
+
+    builder.program('cotton').set('temp', 60);
+    const error = catchError(() => builder.program('synthetic'));
+    assert(error instanceof CommandValidationError, 'synthetic does not allow 60 °C');
+  });
+
+  await test('should keep program and values when a program switch is rejected', () => {
+    const command = createProgramCatalog(createMockAppliance());
+    const builder = new HonCommandBuilder(command);
+
+    builder.program('cotton').set('spinSpeed', 800).set('temp', 60);
+    assert(catchError(() => builder.program('synthetic')) instanceof CommandValidationError);
+
+    assertEqual(builder.programId, 'cotton');
+    assertEqual(builder.values.temp, 60);
+    assertEqual(builder.values.spinSpeed, 800);
+    assertEqual(builder.options().temp.value, '60');
+    assertEqual(command.categories.synthetic.parameters.spinSpeed.value, '1200', 'Rejected switch should not touch the new program');
+  });
+
+  await test('should leave the appliance command untouched until send()', async () => {
+    const appliance = createMockAppliance();
+    const command = createProgramCatalog(appliance);
+
+    new HonCommandBuilder(command).program('cotton').set('temp', 90).set('spinSpeed', 400);
+    assertEqual(command.parameters.temp.value, '30');
+    assertEqual(command.parameters.spinSpeed.value, '1200');
+    assertEqual(command.parameters.spinSpeed.values.join(','), '400,800,1200');
+
+    await command.send({ program: 'cotton' });
+    assertEqual(appliance.sent[0].params.temp, '30');
+    assertEqual(appliance.sent[0].params.spinSpeed, '1200');
+  });
+
+  await test('should validate and dry-run the built command', async () => {
+    const appliance = createMockAppliance();
+    const builder = new HonCommandBuilder(createProgramCatalog(appliance)).program('cotton').set('temp', 60);
+
+    assertEqual(builder.validate().valid, true);
+    assertEqual(builder.toParams().program, 'cotton');
+
+    const result = await builder.send({ dryRun: true });
+    assertEqual(result.dryRun, true);
+    assertEqual(result.payload.parameters.temp, '60');
+    assertEqual(appliance.sent.length, 0);
+  });
+
+  // ========================================
+  // Favourites
+  // ========================================
+  console.log('\n--- Favourites ---');
+
+  /**
+   * Create a washing machine HonAppliance whose API serves commands and favourites
+   * Favourite writes go through the real HonAPI methods to a recording HTTP handler
+   * @param {Array<Object>} favourites - Favourites as returned by the hOn API
+   * @param {Array<Object>} [history=[]] - Command history as returned by the hOn API
+   * @returns {Promise<Object>} { appliance, sent, requests }
+   */
+  async function createFavouritesAppliance(favourites, history = []) {
+    const sent = [];
+    const requests = [];
+    const respond = (method) => async (url, data) => {
+      requests.push({ method, url, data });
+      const favourite = method === 'post' ? { favouriteId: 'fav-new' } : undefined;
+      return { data: { payload: { resultCode: '0', favourite } } };
+    };
+    const program = (name, prCode) => {
+      const attributes = createProgramAttributes({});
+      attributes.parameters.prCode = { typology: 'fixed', fixedValue: prCode };
+      return { description: name, protocolType: 'mqtt', ...attributes };
+    };
+    const api = {
+      auth: { _device: new HonDevice() },
+      buildCommandPayload: HonAPI.prototype.buildCommandPayload,
+      async postCommand(payload) {
+        sent.push(payload);
+        return true;
+      },
+      async loadCommands() {
+        return {
+          applianceModel: { options: {} },
+          startProgram: {
+            'PROGRAMS.WM.COTTON': program('cotton', '1'),
+            'PROGRAMS.WM.SYNTHETIC': program('synthetic', '2')
+          },
+          stopProgram: { description: 'stop', protocolType: 'mqtt', parameters: { onOffStatus: { typology: 'fixed', fixedValue: '0' } } }
+        };
+      },
+      async loadFavourites() {
+        return favourites.map(favourite => JSON.parse(JSON.stringify(favourite)));
+      },
+      _hon: { post: respond('post'), put: respond('put'), delete: respond('delete') },
+      _favouriteUrl: HonAPI.prototype._favouriteUrl,
+      saveFavourite: HonAPI.prototype.saveFavourite,
+      renameFavourite: HonAPI.prototype.renameFavourite,
+      deleteFavourite: HonAPI.prototype.deleteFavourite,
+      async loadCommandHistory() {
+        return history;
+      }
+    };
+
+    const appliance = new HonAppliance(api, { applianceTypeName: 'WM', macAddress: 'aa-bb-cc-dd-ee-ff' });
+    appliance._attributes.parameters = { machMode: { value: '1' } };
+    await appliance.loadCommands();
+    return { appliance, sent, requests };
+  }
+
+  const FAVOURITES = [
+    {
+      favouriteId: 'fav-1',
+      favouriteName: 'Hot Cotton',
+      command: {
+        commandName: 'startProgram',
+        programName: 'PROGRAMS.WM.COTTON',
+        parameters: { temp: '90', spinSpeed: '800', unknownParameter: '1' }
+      }
+    },
+    {
+      favouriteName: 'Gone',
+      command: { commandName: 'startProgram', programName: 'PROGRAMS.WM.REMOVED', parameters: { temp: '30' } }
+    }
+  ];
+
+  await test('should list favourites with base program and overrides', async () => {
+    const { appliance } = await createFavouritesAppliance(FAVOURITES);
+    const favourites = appliance.getFavourites();
+
+    assertEqual(favourites.length, 1, 'Favourites of unknown programs should be skipped');
+    assertEqual(favourites[0].name, 'Hot Cotton');
+    assertEqual(favourites[0].commandName, 'startProgram');
+    assertEqual(favourites[0].program, 'cotton');
+    assertEqual(favourites[0].id, 'fav-1');
+    assertEqual(JSON.stringify(favourites[0].overrides), JSON.stringify({ temp: '90', spinSpeed: '800' }));
+    assert('Hot Cotton' in appliance.commands.startProgram.categories, 'Favourite should stay a program category');
+
+    favourites[0].overrides.temp = '30';
+    assertEqual(appliance.getFavourites()[0].overrides.temp, '90', 'Returned favourites should be copies');
+  });
+
+  await test('should keep the base program parameters when a favourite loads', async () => {
+    const { appliance, sent } = await createFavouritesAppliance(FAVOURITES);
+    const categories = appliance.commands.startProgram.categories;
+
+    assert(categories['Hot Cotton'] !== categories.cotton, 'Favourite should be its own category');
+    assertEqual(categories['Hot Cotton'].parameters.temp.value, '90');
+    assertEqual(categories.cotton.parameters.temp.value, '30');
+    assertEqual(categories.cotton.parameters.spinSpeed.value, '1200');
+    assert(!('favourite' in categories.cotton.parameters), 'Favourite marker should not reach the base program');
+
+    await appliance.commands.startProgram.send({ program: 'cotton' });
+    assertEqual(sent[0].parameters.temp, '30');
+    assertEqual(sent[0].parameters.spinSpeed, '1200');
+  });
+
+  await test('should start a favourite by name', async () => {
+    const { appliance, sent } = await createFavouritesAppliance(FAVOURITES);
+    const result = await appliance.startFavourite('Hot Cotton');
+
+    assertEqual(result.success, true);
+    assertEqual(sent.length, 1);
+    assertEqual(sent[0].commandName, 'startProgram');
+    assertEqual(sent[0].programName, 'PROGRAMS.WM.COTTON');
+    assertEqual(sent[0].parameters.program, 'cotton');
+    assertEqual(sent[0].parameters.temp, '90');
+    assertEqual(sent[0].parameters.spinSpeed, '800');
+  });
+
+  await test('should check the machine state when starting a favourite', async () => {
+    const { appliance, sent } = await createFavouritesAppliance(FAVOURITES);
+    appliance._attributes.parameters.machMode.value = '2';
+
+    let error = null;
+    try {
+      await appliance.startFavourite('Hot Cotton');
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error && error.name, 'InvalidStateTransitionError');
+    assertEqual(sent.length, 0);
+  });
+
+  await test('should reject unknown favourites', async () => {
+    const { appliance } = await createFavouritesAppliance(FAVOURITES);
+
+    let error = null;
+    try {
+      await appliance.startFavourite('Nope');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /Unknown favourite 'Nope'.*Hot Cotton/.test(error.message), error && error.message);
+  });
+
+  await test('should save the current startProgram configuration as a favourite', async () => {
+    const { appliance, requests, sent } = await createFavouritesAppliance(FAVOURITES);
+    const startProgram = appliance.commands.startProgram.categories.synthetic;
+    appliance.commands.startProgram.category = 'synthetic';
+    startProgram.parameters.temp.value = '60';
+
+    const saved = await appliance.saveFavourite('Warm Synthetic');
+
+    assertEqual(requests.length, 1);
+    assertEqual(requests[0].method, 'post');
+    assert(requests[0].url.endsWith('/commands/v1/appliance/aa-bb-cc-dd-ee-ff/favourite'), requests[0].url);
+    assertEqual(requests[0].data.favouriteName, 'Warm Synthetic');
+    assertEqual(requests[0].data.command.programName, 'PROGRAMS.WM.SYNTHETIC');
+    assertEqual(requests[0].data.command.parameters.temp, '60');
+    assert(!('programRules' in requests[0].data.command.ancillaryParameters));
+
+    assertEqual(saved.id, 'fav-new');
+    assertEqual(saved.program, 'synthetic');
+    assert('Warm Synthetic' in appliance.commands.startProgram.categories, 'Category should be added in place');
+
+    await appliance.startFavourite('Warm Synthetic');
+    assertEqual(sent[0].parameters.temp, '60');
+  });
+
+  await test('should refuse to save a favourite under an existing name', async () => {
+    const { appliance, requests } = await createFavouritesAppliance(FAVOURITES);
+
+    let error = null;
+    try {
+      await appliance.saveFavourite('Hot Cotton');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /already exists/.test(error.message));
+    assertEqual(requests.length, 0);
+  });
+
+  await test('should rename a favourite in place', async () => {
+    const { appliance, requests } = await createFavouritesAppliance(FAVOURITES);
+    await appliance.renameFavourite('Hot Cotton', 'Boil Wash');
+
+    assertEqual(requests[0].method, 'put');
+    assert(requests[0].url.endsWith('/favourite/fav-1'), requests[0].url);
+    assertEqual(requests[0].data.favouriteName, 'Boil Wash');
+    assertEqual(requests[0].data.command.programName, 'PROGRAMS.WM.COTTON');
+
+    const categories = appliance.commands.startProgram.categories;
+    assert('Boil Wash' in categories && !('Hot Cotton' in categories), 'Category should be renamed');
+    assertEqual(appliance.getFavourites()[0].name, 'Boil Wash');
+  });
+
+  await test('should delete a favourite in place', async () => {
+    const { appliance, requests } = await createFavouritesAppliance(FAVOURITES);
+    appliance.commands.startProgram.category = 'Hot Cotton';
+
+    await appliance.deleteFavourite('Hot Cotton');
+
+    assertEqual(requests[0].method, 'delete');
+    assert(requests[0].url.endsWith('/favourite/fav-1'), requests[0].url);
+    assert(!('Hot Cotton' in appliance.commands.startProgram.categories), 'Category should be removed');
+    assertEqual(appliance.getFavourites().length, 0);
+    assertEqual(appliance.commands.startProgram, appliance.commands.startProgram.categories.cotton,
+      'Base program should become current');
+  });
+
+  await test('should surface API failures of favourite writes', async () => {
+    const { appliance } = await createFavouritesAppliance(FAVOURITES);
+    appliance._api._hon.delete = async () => ({ data: { payload: { resultCode: '1' } } });
+
+    let error = null;
+    try {
+      await appliance.deleteFavourite('Hot Cotton');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /Failed to delete favourite: resultCode 1/.test(error.message), error && error.message);
+    assertEqual(appliance.getFavourites().length, 1, 'Favourite should be kept');
+  });
+
+  // ========================================
+  // Local Presets
+  // ========================================
+  console.log('\n--- Local Presets ---');
+
+  async function catchRejection(fn) {
+    try {
+      await fn();
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  const PRESETS = [
+    { name: 'Gym clothes', applianceType: 'WM', program: 'synthetic', parameters: { temp: '30', spinSpeed: '800' } },
+    { name: 'Long delay', program: 'cotton', parameters: { delayTime: 900 } },
+    { name: 'Old program', applianceType: 'WM', program: 'removed', parameters: { temp: '30' } },
+    { name: 'Dryer only', applianceType: 'TD', program: 'cotton', parameters: {} }
+  ];
+
+  await test('should load presets of the appliance type and validate them against the catalog', async () => {
+    const { appliance } = await createFavouritesAppliance([]);
+    const presets = new HonPresetManager(appliance, new HonPresetStore(PRESETS));
+    const loaded = await presets.load();
+
+    assertEqual(loaded.map(p => p.name).join(','), 'Gym clothes,Long delay,Old program',
+      'Presets of other appliance types should be ignored');
+    assertEqual(presets.getPreset('Gym clothes').valid, true);
+    assertEqual(presets.getPreset('Long delay').valid, true);
+
+    const invalid = presets.getInvalid();
+    assertEqual(invalid.length, 1);
+    assertEqual(invalid[0].name, 'Old program');
+    assertEqual(invalid[0].errors[0].parameter, 'program');
+    assert(/Unknown program: removed/.test(invalid[0].errors[0].message));
+  });
+
+  await test('should report presets invalidated by a removed program or a narrowed range', async () => {
+    const { appliance } = await createFavouritesAppliance([]);
+    const presets = new HonPresetManager(appliance, new HonPresetStore(PRESETS));
+    await presets.load();
+
+    const categories = appliance.commands.startProgram.categories;
+    categories.cotton.parameters.delayTime.max = 600;
+    delete appliance.commands.startProgram._categories.synthetic;
+
+    const invalid = presets.revalidate();
+    assertEqual(invalid.map(p => p.name).join(','), 'Gym clothes,Long delay,Old program');
+
+    const delay = presets.getPreset('Long delay');
+    assertEqual(delay.errors.length, 1);
+    assertEqual(delay.errors[0].parameter, 'delayTime');
+    assert(/max 600/.test(delay.errors[0].message), delay.errors[0].message);
+  });
+
+  await test('should start a preset by name', async () => {
+    const { appliance, sent } = await createFavouritesAppliance([]);
+    const presets = new HonPresetManager(appliance, new HonPresetStore(PRESETS));
+    await presets.load();
+
+    const result = await presets.start('Gym clothes');
+    assertEqual(result.success, true);
+    assertEqual(sent.length, 1);
+    assertEqual(sent[0].commandName, 'startProgram');
+    assertEqual(sent[0].programName, 'PROGRAMS.WM.SYNTHETIC');
+    assertEqual(sent[0].parameters.temp, '30');
+    assertEqual(sent[0].parameters.spinSpeed, '800');
+  });
+
+  await test('should refuse to start unknown or invalid presets', async () => {
+    const { appliance, sent } = await createFavouritesAppliance([]);
+    const presets = new HonPresetManager(appliance, new HonPresetStore(PRESETS));
+    await presets.load();
+
+    const invalid = await catchRejection(() => presets.start('Old program'));
+    assert(invalid instanceof CommandValidationError, 'Should throw CommandValidationError');
+    assertEqual(invalid.errors[0].parameter, 'program');
+
+    const unknown = await catchRejection(() => presets.start('Nope'));
+    assert(unknown && /Unknown preset 'Nope'/.test(unknown.message));
+    assertEqual(sent.length, 0);
+  });
+
+  await test('should validate presets on save and keep other appliance types in the store', async () => {
+    const { appliance } = await createFavouritesAppliance([]);
+    const store = new HonPresetStore(PRESETS);
+    const presets = new HonPresetManager(appliance, store);
+    await presets.load();
+
+    const error = await catchRejection(() => presets.save('Too fast', 'cotton', { spinSpeed: '1600' }));
+    assert(error instanceof CommandValidationError, 'Should throw CommandValidationError');
+    assertEqual(error.errors[0].parameter, 'spinSpeed');
+
+    const saved = await presets.save('Quick', 'cotton', { temp: '60' });
+    assertEqual(saved.valid, true);
+    assert(await presets.remove('Old program'));
+    assertEqual(await presets.remove('Old program'), false);
+
+    const stored = await store.load();
+    assertEqual(stored.map(p => p.name).join(','), 'Gym clothes,Long delay,Dryer only,Quick');
+    assertEqual(stored.find(p => p.name === 'Quick').macAddress, 'aa-bb-cc-dd-ee-ff');
+    assertEqual(stored.find(p => p.name === 'Quick').applianceType, 'WM');
+  });
+
+  await test('should keep presets of each appliance and leave shared presets as they are', async () => {
+    const store = new HonPresetStore([{ name: 'Hand written', program: 'cotton', parameters: { temp: '60' } }]);
+    const { appliance: first } = await createFavouritesAppliance([]);
+    const { appliance: second } = await createFavouritesAppliance([]);
+    second._info.macAddress = '11-22-33-44-55-66';
+
+    const firstPresets = new HonPresetManager(first, store);
+    const secondPresets = new HonPresetManager(second, store);
+    await firstPresets.load();
+    await secondPresets.load();
+    assertEqual(firstPresets.getPreset('Hand written').shared, true);
+
+    await firstPresets.save('Quick', 'cotton', { temp: '60' });
+    await secondPresets.save('Delicate', 'synthetic', { temp: '30' });
+
+    const stored = await store.load();
+    assertEqual(stored.map(p => p.name).join(','), 'Hand written,Quick,Delicate');
+    assertEqual(stored[0].macAddress, undefined, 'Shared presets should not be re-assigned');
+    assertEqual(stored[0].applianceType, undefined);
+
+    assertEqual((await firstPresets.load()).map(p => p.name).join(','), 'Hand written,Quick');
+    assertEqual((await secondPresets.load()).map(p => p.name).join(','), 'Hand written,Delicate');
+
+    await secondPresets.save('Hand written', 'cotton', { temp: '90' });
+    assertEqual(firstPresets.getPreset('Hand written').parameters.temp, '60');
+    assertEqual((await secondPresets.load()).find(p => p.name === 'Hand written').shared, false);
+    assertEqual((await secondPresets.load()).filter(p => p.name === 'Hand written').length, 1);
+  });
+
+  await test('should persist presets in a JSON file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'javahon-presets-'));
+    try {
+      const filePath = path.join(dir, 'presets.json');
+      const { appliance } = await createFavouritesAppliance([]);
+
+      const presets = new HonPresetManager(appliance, new HonFilePresetStore(filePath));
+      assertEqual((await presets.load()).length, 0, 'Missing file should be an empty store');
+      await presets.save('Gym clothes', 'synthetic', { temp: '30', spinSpeed: '800' });
+
+      const reloaded = new HonPresetManager(appliance, new HonFilePresetStore(filePath));
+      const loaded = await reloaded.load();
+      assertEqual(loaded.length, 1);
+      assertEqual(loaded[0].program, 'synthetic');
+      assertEqual(loaded[0].parameters.spinSpeed, '800');
+      assertEqual(loaded[0].valid, true);
+
+      fs.writeFileSync(filePath, '{ not json', 'utf-8');
+      const error = await catchRejection(() => reloaded.load());
+      assert(error && error.message.startsWith(`Invalid presets file ${filePath}:`), error && error.message);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // ========================================
+  // Command History
+  // ========================================
+  console.log('\n--- Command History ---');
+
+  const HISTORY = [
+    {
+      command: { commandName: 'startProgram', programName: 'PROGRAMS.WM.COTTON', parameters: { prCode: '1' } }
+    },
+    {
+      timestamp: '2026-03-02T08:00:00.000Z',
+      command: { commandName: 'stopProgram', parameters: { onOffStatus: '0' } }
+    },
+    {
+      timestamp: '2026-03-03T18:30:00.000Z',
+      command: {
+        commandName: 'startProgram',
+        programName: 'PROGRAMS.WM.SYNTHETIC',
+        transactionId: 'aa-bb-cc-dd-ee-ff_2026-03-03T18:30:00.000Z',
+        parameters: { prCode: '2', temp: '30', spinSpeed: '800' },
+        ancillaryParameters: { remoteActionable: '1' }
+      }
+    },
+    {
+      timestamp: '2026-03-01T07:15:00.000Z',
+      command: { commandName: 'startProgram', programName: 'PROGRAMS.WM.REMOVED', parameters: { temp: '60' } }
+    }
+  ];
+
+  await test('should return typed history entries, newest first', async () => {
+    const { appliance } = await createFavouritesAppliance([], HISTORY);
+    const page = await appliance.getCommandHistory();
+
+    assertEqual(page.total, 4);
+    assertEqual(page.offset, 0);
+    assertEqual(page.nextOffset, null);
+    assert(page.entries.every(entry => entry instanceof HonCommandHistoryEntry), 'Entries should be typed');
+
+    const [latest] = page.entries;
+    assert(latest.timestamp instanceof Date, 'timestamp should be a Date');
+    assertEqual(latest.timestamp.toISOString(), '2026-03-03T18:30:00.000Z');
+    assertEqual(latest.commandName, 'startProgram');
+    assertEqual(latest.programId, 'synthetic', 'Program should be resolved by prCode');
+    assertEqual(latest.programName, 'Synthetic');
+    assertEqual(latest.parameters.spinSpeed, '800');
+    assertEqual(latest.ancillaryParameters.remoteActionable, '1');
+    assertEqual(latest.transactionId, 'aa-bb-cc-dd-ee-ff_2026-03-03T18:30:00.000Z');
+    assertEqual(page.entries[3].timestamp, null, 'Entries without timestamp should come last');
+
+    const removed = page.entries[2];
+    assertEqual(removed.programId, 'removed', 'Unknown programs should fall back to the command program name');
+    assertEqual(JSON.parse(JSON.stringify(removed)).timestamp, '2026-03-01T07:15:00.000Z');
+  });
+
+  await test('should filter history by command name and time range', async () => {
+    const { appliance } = await createFavouritesAppliance([], HISTORY);
+
+    const starts = await appliance.getCommandHistory({ commandName: 'startProgram' });
+    assertEqual(starts.total, 3);
+
+    const range = await appliance.getCommandHistory({
+      since: new Date('2026-03-01T12:00:00.000Z'),
+      until: '2026-03-03T00:00:00.000Z'
+    });
+    assertEqual(range.total, 1, 'Entries without timestamp should be excluded from time ranges');
+    assertEqual(range.entries[0].commandName, 'stopProgram');
+  });
+
+  await test('should page through the history', async () => {
+    const { appliance } = await createFavouritesAppliance([], HISTORY);
+
+    const first = await appliance.getCommandHistory({ limit: 3 });
+    assertEqual(first.entries.length, 3);
+    assertEqual(first.nextOffset, 3);
+
+    const second = await appliance.getCommandHistory({ limit: 3, offset: first.nextOffset });
+    assertEqual(second.entries.length, 1);
+    assertEqual(second.nextOffset, null);
+    assertEqual(second.entries[0].programId, 'cotton');
+  });
+
+  await test('should page through a history snapshot with a cursor', async () => {
+    const { appliance } = await createFavouritesAppliance([], HISTORY);
+    let loads = 0;
+    const loadCommandHistory = appliance.api.loadCommandHistory;
+    appliance.api.loadCommandHistory = async (...args) => {
+      loads++;
+      return loadCommandHistory(...args);
+    };
+
+    const first = await appliance.getCommandHistory({ limit: 3 });
+    const second = await appliance.getCommandHistory({ limit: 3, offset: first.nextOffset, cursor: first.cursor });
+    assertEqual(second.entries[0].programId, 'cotton');
+    assertEqual(second.cursor, first.cursor);
+    assertEqual(loads, 1, 'Cursor pages should not reload the history');
+
+    const fresh = await appliance.getCommandHistory({ limit: 3 });
+    assertEqual(loads, 2);
+    const expired = await catchRejection(() => appliance.getCommandHistory({ offset: 3, cursor: first.cursor }));
+    assert(expired && /cursor expired/.test(expired.message));
+    assert(fresh.cursor !== first.cursor);
+  });
+
+  await test('should reject invalid history options', async () => {
+    const { appliance } = await createFavouritesAppliance([], HISTORY);
+
+    const badDate = await catchRejection(() => appliance.getCommandHistory({ since: 'yesterday' }));
+    assert(badDate && /Invalid since date/.test(badDate.message));
+
+    const badLimit = await catchRejection(() => appliance.getCommandHistory({ limit: 0 }));
+    assert(badLimit && /Invalid limit/.test(badLimit.message));
+  });
+
+  // ========================================
+  // Summary
+  // ========================================
+  console.log('\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total: ${passed + failed}`);
+  console.log(`✓ Passed: ${passed}`);
+  console.log(`✗ Failed: ${failed}`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -1,9 +1,9 @@
 /**
  * Event System Tests
- * Tests event emission for token management
+ * Tests event emission for token management and appliances
  */
 
-const { HonAuth } = require('../index');
+const { HonAuth, HonAppliance, AirConditioner } = require('../index');
 const EventEmitter = require('events');
 
 console.log('\n========================================');
@@ -26,6 +26,18 @@ function test(description, fn) {
   }
 }
 
+async function testAsync(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
 function assert(condition, message) {
   if (!condition) {
     throw new Error(message || 'Assertion failed');
@@ -197,14 +209,121 @@ test('_emitTokens should emit with complete token data', () => {
 });
 
 // ========================================
-// Summary
+// Appliance Events
 // ========================================
-console.log('\n========================================');
-console.log('TEST SUMMARY');
-console.log('========================================');
-console.log(`Total: ${passed + failed}`);
-console.log(`✓ Passed: ${passed}`);
-console.log(`✗ Failed: ${failed}`);
-console.log('========================================\n');
+console.log('\n--- Appliance Events ---');
+
+/**
+ * Create a HonAppliance with loaded attributes
+ * @param {Object} info - Appliance info
+ * @param {Object} parameters - Attribute parameters (key -> value)
+ * @returns {HonAppliance} Appliance
+ */
+function createAppliance(info, parameters) {
+  const appliance = new HonAppliance(null, info);
+  appliance._attributes.parameters = {};
+  for (const [key, value] of Object.entries(parameters)) {
+    appliance._attributes.parameters[key] = { value };
+  }
+  return appliance;
+}
+
+test('HonAppliance should extend EventEmitter', () => {
+  const appliance = new HonAppliance(null, { applianceTypeName: 'XX' });
+  assert(appliance instanceof EventEmitter, 'HonAppliance should be instance of EventEmitter');
+});
+
+test('updateFromMQTT should emit attributeChanged for changed values only', () => {
+  const appliance = createAppliance({ applianceTypeName: 'XX' }, { machMode: '1', temp: '40' });
+  const changes = [];
+  appliance.on('attributeChanged', (key, oldValue, newValue) => changes.push({ key, oldValue, newValue }));
+
+  appliance.updateFromMQTT({ parameters: { machMode: '2', temp: '40', delayTime: '30' } });
+
+  assertEqual(changes.length, 2, 'Should report machMode and the new delayTime');
+  assertEqual(changes[0].key, 'machMode');
+  assertEqual(changes[0].oldValue, '1');
+  assertEqual(changes[0].newValue, '2');
+  assertEqual(changes[1].oldValue, undefined, 'New parameters have no old value');
+});
+
+test('updateFromMQTT should emit updated and connectionChanged', () => {
+  const appliance = createAppliance({ applianceTypeName: 'XX' }, { machMode: '1' });
+  appliance.connection = false;
+  const connection = [];
+  let updated = null;
+  appliance.on('connectionChanged', (event) => connection.push(event));
+  appliance.on('updated', (event) => { updated = event; });
+
+  appliance.updateFromMQTT({ parameters: { machMode: '2' } });
+  appliance.updateFromMQTT({ parameters: { machMode: '2' } });
+
+  assertEqual(connection.length, 1, 'Should emit connectionChanged once');
+  assertEqual(connection[0].connected, true);
+  assertEqual(updated.source, 'mqtt');
+  assertEqual(updated.changed.length, 0, 'Second update changed nothing');
+});
+
+test('connection setter should only emit on change', () => {
+  const appliance = new HonAppliance(null, { applianceTypeName: 'XX' });
+  let count = 0;
+  appliance.on('connectionChanged', () => count++);
+
+  appliance.connection = false;
+  appliance.connection = false;
+  appliance.connection = true;
+
+  assertEqual(count, 2);
+});
+
+test('type class domain events should also be emitted on the appliance', () => {
+  const appliance = createAppliance({ applianceTypeName: 'AC' }, { onOffStatus: '0' });
+  assert(appliance.extra instanceof AirConditioner, 'AC appliance should use AirConditioner');
+
+  const events = [];
+  appliance.on('attributeChanged', (key) => events.push(`attributeChanged:${key}`));
+  appliance.on('powerChanged', () => events.push('powerChanged'));
+
+  appliance.extra.updateFromMQTT({ parameters: { onOffStatus: '1' } });
+
+  assertEqual(events.join(','), 'attributeChanged:onOffStatus,powerChanged', 'Generic events come before domain events');
+});
+
+(async () => {
+  await testAsync('loadAttributes should emit attributeChanged after the first load and updated', async () => {
+    let machMode = '1';
+    const api = {
+      loadAttributes: async () => ({
+        shadow: { parameters: { machMode: { parNewVal: machMode } } },
+        lastConnEvent: { category: 'CONNECTED' }
+      })
+    };
+    const appliance = new HonAppliance(api, { applianceTypeName: 'XX' });
+    const changes = [];
+    const updates = [];
+    appliance.on('attributeChanged', (key, oldValue, newValue) => changes.push({ key, oldValue, newValue }));
+    appliance.on('updated', (event) => updates.push(event));
+
+    await appliance.loadAttributes();
+    machMode = '2';
+    await appliance.loadAttributes();
+
+    assertEqual(updates.length, 2);
+    assertEqual(updates[0].source, 'api');
+    assertEqual(changes.length, 1, 'First load should not report changes');
+    assertEqual(changes[0].newValue, 2);
+  });
 
-process.exit(failed > 0 ? 1 : 0);
+  // ========================================
+  // Summary
+  // ========================================
+  console.log('\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total: ${passed + failed}`);
+  console.log(`✓ Passed: ${passed}`);
+  console.log(`✗ Failed: ${failed}`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+})();